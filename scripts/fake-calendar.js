@@ -0,0 +1,226 @@
+// scripts/fake-calendar.js
+// A local stand-in for the parts of Google Calendar the hub uses, for trying the push and
+// pull sync (services/calendar.js, services/calendar-sync.js) without a Google account.
+// In-memory; restarting it forgets everything.
+//
+//   npm run fake-calendar                       # listens on :4010 (FAKE_CALENDAR_PORT)
+//   GOOGLE_API_ROOT=http://localhost:4010/ GOOGLE_CLIENT_ID=x GOOGLE_CLIENT_SECRET=x \
+//   GOOGLE_REDIRECT_URI=http://localhost:3000/api/auth/google/callback TOKEN_ENCRYPTION_KEY=dev npm start
+//
+// Then play the sitter with curl against the same API the hub calls:
+//   curl localhost:4010/_fake/events                                   # what's on the calendar
+//   curl -X PATCH localhost:4010/calendar/v3/calendars/primary/events/<id> \
+//        -H 'Content-Type: application/json' -d '{"start":{"dateTime":"2026-11-04T17:00:00-05:00"}}'
+//   curl -X DELETE localhost:4010/calendar/v3/calendars/primary/events/<id>
+//   curl -X POST localhost:4010/calendar/v3/calendars/primary/events \
+//        -H 'Content-Type: application/json' -d '{"summary":"Dentist","start":{"date":"2026-11-10"},"end":{"date":"2026-11-11"}}'
+//   curl -X POST localhost:4010/_fake/expire-sync-tokens                # next pull gets 410 Gone
+// "Connect" on /settings/calendar goes through /auth here, which approves at once.
+//   curl -X POST localhost:4010/_fake/revoke                            # refreshes get invalid_grant until the next connect
+import express from 'express';
+import crypto from 'crypto';
+
+const PORT = Number(process.env.FAKE_CALENDAR_PORT || 4010);
+const EMAIL = 'sitter@example.com';
+const CALENDARS = {
+  [EMAIL]: { id: EMAIL, summary: EMAIL, primary: true },
+  'availability@group.calendar.google.com': { id: 'availability@group.calendar.google.com', summary: 'Availability' }
+};
+
+// calendarId → Map(eventId → event); every write stamps the event with the next `seq`
+const events = new Map(Object.keys(CALENDARS).map(id => [id, new Map()]));
+let seq = 0;
+let generation = 1; // sync tokens are "sync-<generation>-<seq>"; older generations get 410
+let revoked = false; // POST /_fake/revoke: the sitter removed the app's access
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use((req, _res, next) => { console.log(req.method, req.originalUrl); next(); });
+
+function apiError(res, code, message, reason) {
+  res.status(code).json({ error: { code, message, errors: [{ reason, message }] } });
+}
+
+function calendarOf(req, res) {
+  const id = req.params.calendarId === 'primary' ? EMAIL : req.params.calendarId;
+  if (!events.has(id)) { apiError(res, 404, 'Not Found', 'notFound'); return null; }
+  return events.get(id);
+}
+
+const instant = t => new Date(t?.dateTime || `${t?.date}T00:00:00`);
+
+function save(store, ev) {
+  ev.updated = new Date().toISOString();
+  ev.seq = ++seq;
+  store.set(ev.id, ev);
+  return ev;
+}
+
+// what the API returns: no bookkeeping, and deleted events are bare stubs like Google's
+function publicEvent(ev) {
+  if (ev.status === 'cancelled') return { kind: 'calendar#event', id: ev.id, status: 'cancelled' };
+  const { seq: _seq, ...rest } = ev;
+  return rest;
+}
+
+// after a revoke the access token stops working too, so the client tries (and fails) to refresh
+app.use(['/calendar', '/oauth2'], (_req, res, next) => {
+  if (!revoked) return next();
+  apiError(res, 401, 'Invalid Credentials', 'authError');
+});
+
+/* ---------- OAuth ---------- */
+app.post('/token', (req, res) => {
+  if (req.body.grant_type === 'refresh_token' && revoked) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Token has been expired or revoked.' });
+  }
+  res.json({
+    access_token: `fake-${crypto.randomBytes(8).toString('hex')}`,
+    refresh_token: req.body.code ? 'fake-refresh-token' : undefined,
+    expires_in: 3600,
+    token_type: 'Bearer',
+    scope: 'https://www.googleapis.com/auth/calendar.events https://www.googleapis.com/auth/calendar.readonly'
+  });
+});
+
+// the consent screen: approve straight away and send the browser back with a code
+app.get('/auth', (req, res) => {
+  const back = new URL(String(req.query.redirect_uri));
+  revoked = false;
+  back.searchParams.set('code', 'fake-code');
+  if (req.query.state) back.searchParams.set('state', String(req.query.state));
+  res.redirect(back.toString());
+});
+
+app.post('/revoke', (_req, res) => res.json({}));
+
+app.get('/oauth2/v2/userinfo', (_req, res) => res.json({ id: '1', email: EMAIL, verified_email: true }));
+
+/* ---------- Calendars ---------- */
+app.get('/calendar/v3/users/me/calendarList', (_req, res) => {
+  res.json({ kind: 'calendar#calendarList', items: Object.values(CALENDARS).map(c => ({ ...c, accessRole: 'owner' })) });
+});
+
+app.get('/calendar/v3/calendars/:calendarId', (req, res) => {
+  if (!calendarOf(req, res)) return;
+  const id = req.params.calendarId === 'primary' ? EMAIL : req.params.calendarId;
+  res.json({ kind: 'calendar#calendar', id, summary: CALENDARS[id].summary, timeZone: 'America/New_York' });
+});
+
+/* ---------- Events ---------- */
+app.get('/calendar/v3/calendars/:calendarId/events', (req, res) => {
+  const store = calendarOf(req, res);
+  if (!store) return;
+  const q = req.query;
+  let list = [...store.values()].sort((a, b) => a.seq - b.seq);
+
+  if (q.syncToken) {
+    const [, gen, since] = String(q.syncToken).match(/^sync-(\d+)-(\d+)$/) || [];
+    if (Number(gen) !== generation) {
+      return apiError(res, 410, 'Sync token is no longer valid, a full sync is required.', 'fullSyncRequired');
+    }
+    list = list.filter(ev => ev.seq > Number(since));
+  } else {
+    if (q.showDeleted !== 'true') list = list.filter(ev => ev.status !== 'cancelled');
+    if (q.timeMin) list = list.filter(ev => ev.status === 'cancelled' || instant(ev.end) > new Date(q.timeMin));
+    if (q.timeMax) list = list.filter(ev => ev.status === 'cancelled' || instant(ev.start) < new Date(q.timeMax));
+    if (q.sharedExtendedProperty) {
+      const [k, v] = String(q.sharedExtendedProperty).split('=');
+      list = list.filter(ev => ev.extendedProperties?.shared?.[k] === v);
+    }
+    if (q.orderBy === 'startTime') list.sort((a, b) => instant(a.start) - instant(b.start));
+  }
+
+  const offset = Number(q.pageToken || 0);
+  const size = Math.min(Number(q.maxResults || 250), 250);
+  const page = list.slice(offset, offset + size);
+  const more = offset + size < list.length;
+  res.json({
+    kind: 'calendar#events',
+    items: page.map(publicEvent),
+    ...(more ? { nextPageToken: String(offset + size) } : { nextSyncToken: `sync-${generation}-${seq}` })
+  });
+});
+
+app.get('/calendar/v3/calendars/:calendarId/events/:eventId', (req, res) => {
+  const store = calendarOf(req, res);
+  if (!store) return;
+  const ev = store.get(req.params.eventId);
+  if (!ev) return apiError(res, 404, 'Not Found', 'notFound');
+  res.json(publicEvent(ev));
+});
+
+app.post('/calendar/v3/calendars/:calendarId/events', (req, res) => {
+  const store = calendarOf(req, res);
+  if (!store) return;
+  const ev = save(store, {
+    kind: 'calendar#event', status: 'confirmed', transparency: 'opaque',
+    ...req.body,
+    id: crypto.randomBytes(10).toString('hex'),
+    created: new Date().toISOString()
+  });
+  res.json(publicEvent(ev));
+});
+
+function update(replace) {
+  return (req, res) => {
+    const store = calendarOf(req, res);
+    if (!store) return;
+    const ev = store.get(req.params.eventId);
+    if (!ev || ev.status === 'cancelled') return apiError(res, 404, 'Not Found', 'notFound');
+    const next = replace
+      ? { kind: ev.kind, id: ev.id, created: ev.created, status: 'confirmed', transparency: 'opaque', ...req.body }
+      : { ...ev, ...req.body };
+    // a PATCH moving only the start keeps the length, like dragging in the UI
+    if (!replace && req.body.start && !req.body.end) {
+      const length = instant(ev.end) - instant(ev.start);
+      const end = new Date(instant(next.start).getTime() + length);
+      next.end = next.start.date ? { date: end.toISOString().slice(0, 10) } : { dateTime: end.toISOString() };
+    }
+    res.json(publicEvent(save(store, { ...next, id: ev.id })));
+  };
+}
+app.put('/calendar/v3/calendars/:calendarId/events/:eventId', update(true));
+app.patch('/calendar/v3/calendars/:calendarId/events/:eventId', update(false));
+
+app.delete('/calendar/v3/calendars/:calendarId/events/:eventId', (req, res) => {
+  const store = calendarOf(req, res);
+  if (!store) return;
+  const ev = store.get(req.params.eventId);
+  if (!ev || ev.status === 'cancelled') return apiError(res, 410, 'Resource has been deleted', 'deleted');
+  save(store, { ...ev, status: 'cancelled' });
+  res.status(204).end();
+});
+
+app.post('/calendar/v3/freeBusy', (req, res) => {
+  const { timeMin, timeMax, items = [] } = req.body || {};
+  const calendars = {};
+  for (const { id } of items) {
+    const store = events.get(id === 'primary' ? EMAIL : id);
+    if (!store) { calendars[id] = { errors: [{ domain: 'global', reason: 'notFound' }] }; continue; }
+    const busy = [...store.values()]
+      .filter(ev => ev.status !== 'cancelled' && ev.transparency !== 'transparent')
+      .filter(ev => instant(ev.start) < new Date(timeMax) && instant(ev.end) > new Date(timeMin))
+      .map(ev => ({ start: instant(ev.start).toISOString(), end: instant(ev.end).toISOString() }));
+    calendars[id] = { busy };
+  }
+  res.json({ kind: 'calendar#freeBusy', timeMin, timeMax, calendars });
+});
+
+/* ---------- Dev helpers ---------- */
+app.get('/_fake/events', (_req, res) => {
+  res.json(Object.fromEntries([...events].map(([id, store]) => [id, [...store.values()]])));
+});
+
+app.post('/_fake/revoke', (_req, res) => {
+  revoked = true;
+  res.json({ ok: true });
+});
+
+app.post('/_fake/expire-sync-tokens', (_req, res) => {
+  generation++;
+  res.json({ ok: true });
+});
+
+app.listen(PORT, () => console.log(`Fake Google Calendar on http://localhost:${PORT}/ (set GOOGLE_API_ROOT to this)`));
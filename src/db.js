@@ -1,2 +1,26 @@
 import { PrismaClient } from '@prisma/client';
-export const prisma = new PrismaClient();
+
+// Bookings, messages, pets and clients are soft-deleted: a deletedAt means "in the Trash"
+// (services/trash.js). `prisma` only sees live rows unless the query's where mentions
+// deletedAt itself; `prismaWithTrash` sees everything (unique lookups that must not miss
+// trashed rows, purging).
+export const SOFT_DELETE_MODELS = new Set(['Booking', 'Message', 'Pet', 'Client']);
+const FILTERED_OPS = new Set([
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany',
+  'count', 'aggregate', 'groupBy', 'updateMany'
+]);
+
+export const prismaWithTrash = new PrismaClient();
+
+export const prisma = prismaWithTrash.$extends({
+  query: {
+    $allModels: {
+      $allOperations({ model, operation, args, query }) {
+        if (SOFT_DELETE_MODELS.has(model) && FILTERED_OPS.has(operation) && !('deletedAt' in (args?.where || {}))) {
+          args = { ...args, where: { ...args?.where, deletedAt: null } };
+        }
+        return query(args);
+      }
+    }
+  }
+});
@@ -2,10 +2,11 @@
 import { Router } from 'express';
 import { prisma } from '../db.js';
 import { classifyMessage } from '../services/classifier.js';
+import { requirePermission } from './auth.js';
 
 export const adminClassify = Router();
 
-adminClassify.post('/admin/reclassify', async (_req, res) => {
+adminClassify.post('/admin/reclassify', requirePermission('admin'), async (_req, res) => {
   const messages = await prisma.message.findMany({ orderBy: { createdAt: 'asc' }, take: 2000 });
   for (const m of messages) {
     const { label, score, extracted } = await classifyMessage(m.body || '');
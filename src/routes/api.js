@@ -1,54 +1,65 @@
 // src/routes/api.js
 import express from 'express';
 import { prisma } from '../db.js';
-import { createOrUpdateBusyEvent, deleteBusyEvent, listBusy } from '../services/calendar.js';
-import { dogsInWindow } from '../services/capacity.js';
+import { createOrUpdateBusyEvent, deleteBusyEvent } from '../services/calendar.js';
+import { pullCalendarChanges, pushBookingEvent } from '../services/calendar-sync.js';
+import { parseRuleInput, parseWeightInput } from '../services/capacity.js';
+import { checkAvailability } from '../services/availability.js';
+import { findOverlappingBlocks, parseBlockInput } from '../services/blocks.js';
+import { queueReply, leaseNext, ack, retry, outboxState, isGatewayAuthorized } from '../services/outbox.js';
+import { moveMessage, bookingFromMessage, mergeBookings } from '../services/threads.js';
+import { confirmBooking, declineBooking } from '../services/booking-actions.js';
+import { confirmSeries, declineSeries } from '../services/series.js';
+import { quoteBooking, quoteLines, formatCents, parseRateInput } from '../services/pricing.js';
+import {
+  evaluateCancellation, cancellationFeeText, parsePolicyInput, CANCELED_BY
+} from '../services/cancellation.js';
+import {
+  createInvoiceForBooking, addLine, removeLine, markSent, voidInvoice, recordPayment, removePayment
+} from '../services/invoices.js';
+import {
+  parseRecurrenceInput, materializeRecurrence, cancelOccurrence, cancelFollowing
+} from '../services/recurrence.js';
 // If you need these later, they stay imported:
 import { fetchPetsFromRover } from '../services/rover.js';
+import { requirePermission } from './auth.js';
+import { can } from '../services/permissions.js';
+import { recordAudit, actorOf, queryAudit, withoutMoney } from '../services/audit.js';
+import { clientIdFor } from '../services/clients.js';
+import { normPhone } from '../services/utils/phone.js';
+import { parseInput, dayKey, zonedParts, formatRange } from '../services/utils/dates.js';
+import { PETS_INCLUDE, withPets, findBookingWithPets, savePetForBooking, detachPet } from '../services/pets.js';
+import {
+  trashBooking, restoreBooking, purgeBooking, restoreClient, purgeClient, restorePet, purgePet, restoreMessage, purgeMessage, purgeDate
+} from '../services/trash.js';
 
 export const api = express.Router();
 
-// normalize phone into last 10 digits (US-style) for consistent matching
-function normPhone(p){
-  if (!p) return null;
-  const digits = String(p).replace(/\D+/g, '');
-  return digits.length >= 10 ? digits.slice(-10) : (digits || null);
-}
-
+// blocks/capacity couldn't be read: refuse rather than book over a blackout
+const CHECK_FAILED = "Couldn't check blocked time and capacity right now. Try again in a moment.";
 
 /* ---------------- Bookings basic ---------------- */
-api.get('/bookings', async (_req, res) => {
+api.get('/bookings', requirePermission('bookings:view'), async (_req, res) => {
   const data = await prisma.booking.findMany({
     orderBy: { createdAt: 'desc' },
-    include: { messages: true, pets: true }
+    include: { messages: { where: { deletedAt: null } }, ...PETS_INCLUDE }
   });
-  res.json(data);
+  res.json(data.map(withPets));
 });
 
-// ----- Delete a booking (hard delete) -----
-// ----- Delete a booking (hard delete) -----
-api.delete('/bookings/:id', async (req, res) => {
+// ----- Delete a booking (to the Trash; see /trash to restore or purge) -----
+api.delete('/bookings/:id', requirePermission('bookings:delete'), async (req, res) => {
   const id = req.params.id;
   console.log('[DELETE] /api/bookings/%s', id);
 
   try {
-    // sanity
-    const existing = await prisma.booking.findUnique({ where: { id } });
-    if (!existing) {
+    const booking = await trashBooking(id, { actor: actorOf(req) });
+    if (!booking) {
       console.log('[DELETE] not found', id);
       return res.status(404).json({ error: 'Not found' });
     }
-
-    // remove children first to satisfy FKs
-    const delMsgs = await prisma.message.deleteMany({ where: { bookingId: id } });
-    const delPets = await prisma.pet.deleteMany({ where: { bookingId: id } });
-
-    console.log('[DELETE] children', { msgs: delMsgs.count, pets: delPets.count });
-
-    await prisma.booking.delete({ where: { id } });
-
-    console.log('[DELETE] booking removed', id);
-    return res.json({ ok: true, removed: id, msgs: delMsgs.count, pets: delPets.count });
+    console.log('[DELETE] booking trashed', id);
+    return res.json({ ok: true, removed: id, trashed: true, purgeAt: purgeDate(booking.deletedAt) });
   } catch (e) {
     console.error('[DELETE] failed', e);
     return res.status(500).json({ error: 'delete_failed', detail: String(e?.message || e) });
@@ -56,17 +67,14 @@ api.delete('/bookings/:id', async (req, res) => {
 });
 
 
-api.get('/bookings/:id', async (req, res) => {
-  const b = await prisma.booking.findUnique({
-    where: { id: req.params.id },
-    include: { messages: { orderBy: { createdAt: 'asc' } }, pets: true }
-  });
+api.get('/bookings/:id', requirePermission('bookings:view'), async (req, res) => {
+  const b = await findBookingWithPets(req.params.id, { messages: { where: { deletedAt: null }, orderBy: { createdAt: 'asc' } } });
   if (!b) return res.status(404).json({ error: 'Not found' });
   res.json(b);
 });
 
 /* ---------------- Manual create (NEW) ---------------- */
-api.post('/bookings', async (req, res) => {
+api.post('/bookings', requirePermission('bookings:manage'), async (req, res) => {
   try {
     const {
       clientName,
@@ -86,8 +94,8 @@ api.post('/bookings', async (req, res) => {
       return res.status(400).json({ error: 'clientName, startAt, endAt are required' });
     }
 
-    const start = new Date(startAt);
-    const end   = new Date(endAt);
+    const start = parseInput(startAt);
+    const end   = parseInput(endAt);
     if (isNaN(start) || isNaN(end)) {
       return res.status(400).json({ error: 'Invalid dates' });
     }
@@ -97,11 +105,42 @@ api.post('/bookings', async (req, res) => {
 
     const phoneNorm = normPhone(clientPhone);
 
+    // "Repeat weekly" on the new-booking form: the dates give the first day and the daily times
+    const repeatDays = [].concat(req.body.repeatDays || []).filter(Boolean);
+    if (repeatDays.length) {
+      const hhmm = d => { const p = zonedParts(d); return `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`; };
+      const parsed = parseRecurrenceInput({
+        ...req.body,
+        clientPhone: phoneNorm,
+        days: repeatDays,
+        startTime: hhmm(start),
+        endTime: hhmm(end),
+        startDate: dayKey(start),
+        until: req.body.repeatUntil || null,
+        exceptions: req.body.repeatExceptions
+      });
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      parsed.data.clientId = await clientIdFor(parsed.data, { actor: actorOf(req) });
+      const recurrence = await prisma.recurrence.create({ data: parsed.data });
+      await materializeRecurrence(recurrence, { now: start < new Date() ? new Date() : start, actor: actorOf(req) });
+      const first = await prisma.booking.findFirst({
+        where: { recurrenceId: recurrence.id }, orderBy: { startAt: 'asc' }, select: { id: true }
+      });
+
+      const wantsHTML = (req.headers.accept || '').includes('text/html');
+      if (wantsHTML || req.headers['content-type']?.includes('application/x-www-form-urlencoded')) {
+        return res.redirect(first ? `/booking/${first.id}` : '/');
+      }
+      return res.json({ ok: true, id: first?.id || null, recurrenceId: recurrence.id });
+    }
+
 const created = await prisma.booking.create({
   data: {
     source: 'Manual',
     clientName: String(clientName).trim(),
     clientPhone: phoneNorm,
+    clientId: await clientIdFor({ clientPhone: phoneNorm, clientName, contactLabel }, { actor: actorOf(req) }),
     contactLabel: contactLabel ? String(contactLabel).trim() : null, // ← add here
     roverRelay: roverRelay ? String(roverRelay).trim() : null,
     clientEmail: clientEmail ? String(clientEmail).trim() : null,
@@ -113,6 +152,7 @@ const created = await prisma.booking.create({
     notes: notes ? String(notes) : null
   }
 });
+    await recordAudit({ actor: actorOf(req), action: 'booking.create', entityId: created.id, after: created });
 
     const wantsHTML = (req.headers.accept || '').includes('text/html');
     if (wantsHTML || req.headers['content-type']?.includes('application/x-www-form-urlencoded')) {
@@ -126,14 +166,29 @@ const created = await prisma.booking.create({
 });
 
 // ----- Change Requests -----
-api.post('/changes/accept/:id', async (req, res) => {
-  const cr = await prisma.changeRequest.findUnique({ where: { id: req.params.id } });
+api.post('/changes/accept/:id', requirePermission('bookings:manage'), async (req, res) => {
+  const cr = await prisma.changeRequest.findUnique({ where: { id: req.params.id }, include: { booking: true } });
   if (!cr) return res.status(404).json({ error: 'Change request not found' });
+  // the include isn't soft-delete filtered: a booking in the Trash can't be rescheduled
+  if (!cr.booking || cr.booking.deletedAt) return res.status(404).json({ error: 'Booking not found' });
+
+  // moving a stay into a blackout needs the same explicit override as confirm
+  if (cr.booking.status !== 'CANCELED' && !wantsOverride(req)) {
+    let blocks;
+    try {
+      blocks = await findOverlappingBlocks(cr.newStartAt, cr.newEndAt);
+    } catch (e) {
+      console.error('[changes] block check failed', e);
+      return res.status(503).json({ error: CHECK_FAILED });
+    }
+    if (blocks.length) return res.status(409).json({ error: 'blocked', blocks });
+  }
 
   const booking = await prisma.booking.update({
     where: { id: cr.bookingId },
     data: { startAt: cr.newStartAt, endAt: cr.newEndAt }
   });
+  await recordAudit({ actor: actorOf(req), action: 'booking.reschedule', entityId: booking.id, before: cr.booking, after: booking });
 
   // reflect on calendar if this booking is confirmed
   if (booking.status === 'CONFIRMED') {
@@ -148,18 +203,75 @@ api.post('/changes/accept/:id', async (req, res) => {
   res.json({ ok: true, bookingId: booking.id, newStartAt: booking.startAt, newEndAt: booking.endAt });
 });
 
-api.post('/changes/decline/:id', async (req, res) => {
+api.post('/changes/decline/:id', requirePermission('bookings:manage'), async (req, res) => {
+  const before = await prisma.changeRequest.findUnique({ where: { id: req.params.id }, include: { booking: true } });
+  if (!before) return res.status(404).json({ error: 'Change request not found' });
   const cr = await prisma.changeRequest.update({
     where: { id: req.params.id },
     data: { status: 'DECLINED', decidedAt: new Date() }
   });
+  const { booking, ...crBefore } = before;
+  await recordAudit({
+    actor: actorOf(req), action: 'change.decline', entityType: 'ChangeRequest', entityId: cr.id,
+    bookingId: cr.bookingId, before: crBefore, after: cr
+  });
+
+  // moved in Google Calendar: declining drags the event back to the booked times
+  if (cr.source === 'CALENDAR' && booking?.status === 'CONFIRMED' && !booking.deletedAt) {
+    await pushBookingEvent(booking);
+  }
   res.json({ ok: true, declined: cr.id });
 });
 
+// ----- Calendar conflicts (event deleted in Google Calendar, services/calendar-sync.js) -----
+async function openConflict(id) {
+  return prisma.calendarConflict.findFirst({ where: { id, status: 'OPEN' }, include: { booking: true } });
+}
+
+api.post('/calendar/conflicts/:id/restore', requirePermission('bookings:manage'), async (req, res) => {
+  const conflict = await openConflict(req.params.id);
+  if (!conflict) return res.status(404).json({ error: 'Conflict not found or already resolved' });
+  if (conflict.booking?.deletedAt) return res.status(404).json({ error: 'Booking is in the Trash' });
+  if (conflict.booking?.status !== 'CONFIRMED') return res.status(400).json({ error: 'Only a confirmed booking has a calendar event' });
+
+  await pushBookingEvent(conflict.booking);
+  const { booking, ...before } = conflict;
+  const after = await prisma.calendarConflict.update({
+    where: { id: conflict.id }, data: { status: 'RESTORED', resolvedAt: new Date() }
+  });
+  await recordAudit({
+    actor: actorOf(req), action: 'calendar.event_restored', entityType: 'CalendarConflict', entityId: after.id,
+    bookingId: booking.id, before, after
+  });
+  res.json({ ok: true, restored: after.id });
+});
+
+api.post('/calendar/conflicts/:id/dismiss', requirePermission('bookings:manage'), async (req, res) => {
+  const conflict = await openConflict(req.params.id);
+  if (!conflict) return res.status(404).json({ error: 'Conflict not found or already resolved' });
+  const { booking, ...before } = conflict;
+  const after = await prisma.calendarConflict.update({
+    where: { id: conflict.id }, data: { status: 'DISMISSED', resolvedAt: new Date() }
+  });
+  await recordAudit({
+    actor: actorOf(req), action: 'calendar.conflict_dismiss', entityType: 'CalendarConflict', entityId: after.id,
+    bookingId: booking.id, before, after
+  });
+  res.json({ ok: true, dismissed: after.id });
+});
+
+// pull now instead of waiting for CALENDAR_SYNC_CRON
+api.post('/calendar/sync', requirePermission('settings'), async (_req, res) => {
+  const result = await pullCalendarChanges();
+  if (!result.connected) return res.status(400).json({ error: 'Google Calendar is not connected' });
+  if (result.error) return res.status(502).json({ error: result.error, result });
+  res.json({ ok: true, ...result });
+});
+
 
 /* ---------------- Rover imports ---------------- */
 // (kept the URL import only, since it’s what you use now)
-api.post('/rover/import-url/:id', async (req, res) => {
+api.post('/rover/import-url/:id', requirePermission('pets:edit'), async (req, res) => {
   try {
     const b = await prisma.booking.findUnique({ where: { id: req.params.id }});
     if (!b) return res.status(404).json({ error: 'Not found' });
@@ -172,12 +284,11 @@ api.post('/rover/import-url/:id', async (req, res) => {
     const pet = await (await import('../services/rover.js')).fetchPetFromProfileUrl(url);
     if (!pet) return res.status(404).json({ error: 'Could not read a pet from that URL.' });
 
-    const created = await prisma.pet.create({ data: { bookingId: b.id, ...pet } });
-    const updated = await prisma.booking.findUnique({
-      where: { id: b.id }, include: { pets: true }
-    });
+    // a dog the client already has on file gets its profile refreshed instead of a copy
+    const saved = await savePetForBooking(b, pet, { actor: actorOf(req), note: `Imported from ${url}` });
+    const updated = await findBookingWithPets(b.id);
 
-    res.json({ ok: true, added: created, pets: updated.pets });
+    res.json({ ok: true, added: saved.pet, pets: updated.pets });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'Import by URL failed' });
@@ -185,92 +296,412 @@ api.post('/rover/import-url/:id', async (req, res) => {
 });
 
 /* ---------------- Actions: confirm/decline ---------------- */
-api.post('/actions/confirm/:id', async (req, res) => {
-  const b = await prisma.booking.findUnique({ where: { id: req.params.id }});
+api.post('/actions/confirm/:id', requirePermission('bookings:manage'), async (req, res) => {
+  const b = await findBookingWithPets(req.params.id);
   if (!b) return res.status(404).json({ error: 'Not found' });
 
-  const currentDogs = await dogsInWindow(b.startAt, b.endAt);
-  const newTotal = currentDogs + (b.dogsCount || 1);
-  const transparency = newTotal >= 10 ? 'opaque' : 'transparent';
+  // a Block is a hard conflict: refuse unless the sitter explicitly overrides
+  let r;
+  try {
+    r = await confirmBooking(b, { override: wantsOverride(req), actor: actorOf(req) });
+  } catch (e) {
+    console.error('[confirm] failed', e);
+    return res.status(503).json({ error: CHECK_FAILED });
+  }
+  if (r.error === 'blocked') return res.status(409).json({ error: 'blocked', blocks: r.blocks });
 
-  const updated = await prisma.booking.update({
-    where: { id: b.id }, data: { status: 'CONFIRMED' }
+  res.json({
+    ok: true,
+    newTotal: r.cap.projected,
+    capacity: r.cap.capacity,
+    willExceed: r.cap.willExceed,
+    capacityRule: r.cap.rule,
+    capacityNote: r.cap.explanation,
+    peak: { at: r.cap.peakAt, bookings: r.cap.peakBookings },
+    transparency: r.transparency,
+    status: r.booking.status,
+    vaccineWarnings: r.vaccineWarnings,
+    overriddenBlocks: r.overriddenBlocks
   });
+});
 
-  await createOrUpdateBusyEvent(updated, transparency);
-  res.json({ ok: true, newTotal, transparency, status: updated.status });
+// override via ?override=1 or { override: true } in the JSON body
+function wantsOverride(req){
+  const v = String(req.query.override ?? req.body?.override ?? '').toLowerCase();
+  return v === '1' || v === 'true' || v === 'yes';
+}
+
+// body: { by: 'client'|'sitter' (default sitter), reason?, waiveFee? } — a client cancelling a
+// confirmed booking is charged per the cancellation policy
+api.post('/actions/decline/:id', requirePermission('bookings:manage'), async (req, res) => {
+  const { by = 'sitter', reason, waiveFee } = req.body || {};
+  if (!CANCELED_BY.includes(by)) return res.status(400).json({ error: `by must be one of ${CANCELED_BY.join(', ')}` });
+
+  const booking = await declineBooking(req.params.id, {
+    by, reason, waiveFee: waiveFee === true || waiveFee === 'true', actor: actorOf(req)
+  });
+  if (!booking) return res.status(404).json({ error: 'Not found' });
+  res.json({
+    ok: true,
+    canceledBy: booking.canceledBy,
+    feeCents: booking.cancelFeeCents,
+    policy: booking.cancelPolicy
+  });
+});
+
+// What cancelling now would cost (same numbers the cancel action would record)
+api.get('/bookings/:id/cancellation', requirePermission('finance'), async (req, res) => {
+  const b = await findBookingWithPets(req.params.id);
+  if (!b) return res.status(404).json({ error: 'Not found' });
+  res.json(await evaluateCancellation(b));
 });
 
-api.post('/actions/decline/:id', async (req, res) => {
-  const b = await prisma.booking.update({
-    where: { id: req.params.id }, data: { status: 'CANCELED' }
+// Drop-off check-in from the dashboard/booking page; { undo: true } clears it
+api.post('/bookings/:id/check-in', requirePermission('bookings:checkin'), async (req, res) => {
+  const b = await prisma.booking.findUnique({ where: { id: req.params.id } });
+  if (!b) return res.status(404).json({ error: 'Not found' });
+  if (b.status !== 'CONFIRMED') return res.status(400).json({ error: 'Only confirmed bookings can be checked in' });
+
+  const undo = req.body?.undo === true || req.body?.undo === 'true';
+  const booking = await prisma.booking.update({
+    where: { id: b.id },
+    data: undo ? { checkedInAt: null, checkedInBy: null } : { checkedInAt: new Date(), checkedInBy: req.user.username }
   });
-  await deleteBusyEvent(b.id);
-  res.json({ ok: true });
+  await recordAudit({
+    actor: actorOf(req), action: undo ? 'booking.check_in_undo' : 'booking.check_in', entityId: b.id, before: b, after: booking
+  });
+  res.json({ ok: true, checkedInAt: booking.checkedInAt, checkedInBy: booking.checkedInBy });
+});
+
+/* ---------------- Booking series ---------------- */
+// Confirm every PENDING booking in a series (or just { ids: [...] } of them).
+// Blocked segments are skipped and reported unless overridden.
+api.post('/series/:id/confirm', requirePermission('bookings:manage'), async (req, res) => {
+  let r;
+  try {
+    r = await confirmSeries(req.params.id, { override: wantsOverride(req), ids: req.body?.ids, actor: actorOf(req) });
+  } catch (e) {
+    // the ones confirmed before the failure stay confirmed; a retry picks up the rest
+    console.error('[series] confirm failed', e);
+    return res.status(503).json({ error: CHECK_FAILED });
+  }
+  if (!r) return res.status(404).json({ error: 'Series not found' });
+  res.json({ ok: true, ...r });
+});
+
+api.post('/series/:id/decline', requirePermission('bookings:manage'), async (req, res) => {
+  const r = await declineSeries(req.params.id, { ids: req.body?.ids, actor: actorOf(req) });
+  if (!r) return res.status(404).json({ error: 'Series not found' });
+  res.json({ ok: true, ...r });
 });
 
 /* ---------------- Pets create/update ---------------- */
-api.post('/bookings/:id/pets', async (req, res) => {
+// Pets are the client's profiles (services/pets.js): { petId } edits one, otherwise a pet the
+// client already has with that name is reused. stayInstructions is for this booking only.
+api.post('/bookings/:id/pets', requirePermission('pets:edit'), async (req, res) => {
   const booking = await prisma.booking.findUnique({ where: { id: req.params.id }});
   if (!booking) return res.status(404).json({ error: 'Not found' });
 
-  const { petId, name, breed, ageYears, weightLbs, instructions, photoUrl } = req.body;
-
-  let pet;
-  if (petId) {
-    pet = await prisma.pet.update({
-      where: { id: petId },
-      data: {
-        name,
-        breed,
-        ageYears: numOrNull(ageYears),
-        weightLbs: numOrNull(weightLbs),
-        instructions,
-        photoUrl
-      }
+  const { petId, name, breed, ageYears, weightLbs, instructions, photoUrl, stayInstructions } = req.body;
+  const input = { petId, stayInstructions };
+  if (!petId || name !== undefined) {
+    Object.assign(input, {
+      name: name || 'Dog',
+      breed,
+      ageYears: numOrNull(ageYears),
+      weightLbs: numOrNull(weightLbs),
+      instructions,
+      photoUrl
     });
-  } else {
-    pet = await prisma.pet.create({
-      data: {
-        bookingId: booking.id,
-        name: name || 'Dog',
-        breed,
-        ageYears: numOrNull(ageYears),
-        weightLbs: numOrNull(weightLbs),
-        instructions,
-        photoUrl
-      }
+  }
+
+  const saved = await savePetForBooking(booking, input, { actor: actorOf(req) });
+  if (!saved) return res.status(404).json({ error: 'Pet not found' });
+  res.json({ ok: true, pet: saved.pet, created: saved.created });
+});
+
+api.delete('/bookings/:id/pets/:petId', requirePermission('pets:edit'), async (req, res) => {
+  const ok = await detachPet(req.params.id, req.params.petId, { actor: actorOf(req) });
+  if (!ok) return res.status(404).json({ error: 'Pet is not on this booking' });
+  res.json({ ok: true });
+});
+function numOrNull(v){ if (v === '' || v == null) return null; const n = Number(v); return Number.isFinite(n) ? n : null; }
+
+/* ---------------- Pricing ---------------- */
+// Quote from the rate card. GET previews; POST also saves the total as the booking's rateCents.
+async function handleQuote(req, res, save) {
+  const b = await findBookingWithPets(req.params.id);
+  if (!b) return res.status(404).json({ error: 'Not found' });
+
+  const quote = await quoteBooking(b);
+  if (quote.missingRate) return res.status(422).json({ error: 'missing_rate', serviceType: b.serviceType, quote });
+
+  if (save) {
+    await prisma.booking.update({ where: { id: b.id }, data: { rateCents: quote.totalCents } });
+    await recordAudit({
+      actor: actorOf(req), action: 'booking.quote', entityId: b.id, diff: { rateCents: [b.rateCents, quote.totalCents] }
     });
   }
-  res.json({ ok: true, pet });
+  res.json({
+    ok: true,
+    quote,
+    total: formatCents(quote.totalCents),
+    rateCents: save ? quote.totalCents : b.rateCents
+  });
+}
+api.get('/bookings/:id/quote', requirePermission('finance'), (req, res) => handleQuote(req, res, false));
+api.post('/bookings/:id/quote', requirePermission('finance'), (req, res) => handleQuote(req, res, true));
+
+api.get('/pricing/rates', requirePermission('finance'), async (_req, res) => {
+  res.json(await prisma.serviceRate.findMany({ orderBy: { serviceType: 'asc' } }));
+});
+
+api.post('/pricing/rates', requirePermission('finance'), async (req, res) => {
+  const { data, error } = parseRateInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const rate = await prisma.serviceRate.create({ data }).catch(() => null);
+  if (!rate) return res.status(409).json({ error: `A rate for ${data.serviceType} already exists` });
+  res.json({ ok: true, rate });
+});
+
+api.patch('/pricing/rates/:id', requirePermission('finance'), async (req, res) => {
+  const { data, error } = parseRateInput(req.body || {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+  const rate = await prisma.serviceRate.update({ where: { id: req.params.id }, data }).catch(() => null);
+  if (!rate) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, rate });
+});
+
+api.delete('/pricing/rates/:id', requirePermission('finance'), async (req, res) => {
+  const removed = await prisma.serviceRate.delete({ where: { id: req.params.id } }).catch(() => null);
+  if (!removed) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, removed: removed.id });
+});
+
+/* ---------------- Cancellation policies ---------------- */
+api.get('/cancellation/policies', requirePermission('settings'), async (_req, res) => {
+  res.json(await prisma.cancellationPolicy.findMany({ orderBy: { serviceType: 'asc' } }));
+});
+
+api.post('/cancellation/policies', requirePermission('settings'), async (req, res) => {
+  const { data, error } = parsePolicyInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const policy = await prisma.cancellationPolicy.create({ data }).catch(() => null);
+  if (!policy) return res.status(409).json({ error: `A policy for ${data.serviceType} already exists` });
+  res.json({ ok: true, policy });
+});
+
+api.patch('/cancellation/policies/:id', requirePermission('settings'), async (req, res) => {
+  const { data, error } = parsePolicyInput(req.body || {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+  const policy = await prisma.cancellationPolicy.update({ where: { id: req.params.id }, data }).catch(() => null);
+  if (!policy) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, policy });
+});
+
+api.delete('/cancellation/policies/:id', requirePermission('settings'), async (req, res) => {
+  const removed = await prisma.cancellationPolicy.delete({ where: { id: req.params.id } }).catch(() => null);
+  if (!removed) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, removed: removed.id });
+});
+
+/* ---------------- Invoices & payments ---------------- */
+// service results are { invoice } | { error }; 'not_found' → 404, anything else → 400
+function sendInvoiceResult(res, r) {
+  if (r.error === 'not_found' || r.error === 'booking_not_found') return res.status(404).json({ error: 'Not found' });
+  if (r.error) return res.status(400).json({ error: r.error });
+  res.json({ ok: true, ...r });
+}
+
+api.get('/invoices/:id', requirePermission('finance'), async (req, res) => {
+  const invoice = await prisma.invoice.findUnique({
+    where: { id: req.params.id },
+    include: { lines: { orderBy: { sort: 'asc' } }, payments: { orderBy: { receivedAt: 'asc' } } }
+  });
+  if (!invoice) return res.status(404).json({ error: 'Not found' });
+  res.json(invoice);
+});
+
+api.post('/bookings/:id/invoices', requirePermission('finance'), async (req, res) =>
+  sendInvoiceResult(res, await createInvoiceForBooking(req.params.id)));
+
+api.post('/invoices/:id/lines', requirePermission('finance'), async (req, res) =>
+  sendInvoiceResult(res, await addLine(req.params.id, req.body || {})));
+
+api.delete('/invoices/:id/lines/:lineId', requirePermission('finance'), async (req, res) =>
+  sendInvoiceResult(res, await removeLine(req.params.id, req.params.lineId)));
+
+api.post('/invoices/:id/send', requirePermission('finance'), async (req, res) =>
+  sendInvoiceResult(res, await markSent(req.params.id)));
+
+api.post('/invoices/:id/void', requirePermission('finance'), async (req, res) =>
+  sendInvoiceResult(res, await voidInvoice(req.params.id)));
+
+// { amount: "45.00", method: CASH|VENMO|ZELLE|CHECK|OTHER, reference?, note?, receivedAt? }
+api.post('/invoices/:id/payments', requirePermission('finance'), async (req, res) =>
+  sendInvoiceResult(res, await recordPayment(req.params.id, req.body || {})));
+
+api.delete('/invoices/:id/payments/:paymentId', requirePermission('finance'), async (req, res) =>
+  sendInvoiceResult(res, await removePayment(req.params.id, req.params.paymentId)));
+
+/* ---------------- Recurring bookings ---------------- */
+api.get('/recurrences', requirePermission('bookings:view'), async (_req, res) => {
+  const list = await prisma.recurrence.findMany({ orderBy: { createdAt: 'desc' } });
+  res.json(list);
+});
+
+// { clientName, serviceType, days | rrule, startTime, endTime, startDate?, until?, exceptions? }
+api.post('/recurrences', requirePermission('bookings:manage'), async (req, res) => {
+  const { data, error } = parseRecurrenceInput(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!data.clientId) data.clientId = await clientIdFor(data, { actor: actorOf(req) });
+  const recurrence = await prisma.recurrence.create({ data });
+  const materialized = await materializeRecurrence(recurrence, { actor: actorOf(req) });
+  res.json({ ok: true, recurrence, materialized });
+});
+
+// Expand now instead of waiting for the maintenance job.
+api.post('/recurrences/:id/materialize', requirePermission('bookings:manage'), async (req, res) => {
+  const recurrence = await prisma.recurrence.findUnique({ where: { id: req.params.id } });
+  if (!recurrence) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, materialized: await materializeRecurrence(recurrence, { actor: actorOf(req) }) });
+});
+
+// scope: 'one' (skip just this day) | 'rest' (this and every later occurrence)
+api.post('/bookings/:id/cancel-recurring', requirePermission('bookings:manage'), async (req, res) => {
+  const scope = req.body?.scope === 'rest' ? 'rest' : 'one';
+  const opts = { actor: actorOf(req) };
+  const r = scope === 'rest' ? await cancelFollowing(req.params.id, opts) : await cancelOccurrence(req.params.id, opts);
+  if (!r) return res.status(404).json({ error: 'Not a recurring booking' });
+  res.json({ ok: true, scope, ...r });
+});
+
+/* ---------------- Threads: relink / split / merge ---------------- */
+// Move a message to another booking: { bookingId }. An empty bookingId detaches it.
+api.post('/messages/:id/move', requirePermission('bookings:manage'), async (req, res) => {
+  const r = await moveMessage(req.params.id, req.body?.bookingId || null, { actor: actorOf(req) });
+  if (r.error) return res.status(404).json({ error: r.error });
+  res.json({ ok: true, id: r.message.id, bookingId: r.message.bookingId, fromBookingId: r.fromBookingId });
+});
+
+api.post('/messages/:id/detach', requirePermission('bookings:manage'), async (req, res) => {
+  const r = await moveMessage(req.params.id, null, { actor: actorOf(req) });
+  if (r.error) return res.status(404).json({ error: r.error });
+  res.json({ ok: true, id: r.message.id, fromBookingId: r.fromBookingId });
+});
+
+// Start a PENDING booking from a message; dates come from its extractedDatesJson
+// unless startAt/endAt (or serviceType/clientName) are given in the body.
+api.post('/messages/:id/new-booking', requirePermission('bookings:manage'), async (req, res) => {
+  const overrides = {};
+  const { startAt, endAt, serviceType, clientName } = req.body || {};
+  if (startAt || endAt) {
+    const s = parseInput(startAt), e = parseInput(endAt);
+    if (isNaN(s) || isNaN(e) || e <= s) return res.status(400).json({ error: 'Invalid dates' });
+    overrides.startAt = s;
+    overrides.endAt = e;
+  }
+  if (serviceType) overrides.serviceType = String(serviceType).trim();
+  if (clientName) overrides.clientName = String(clientName).trim();
+
+  const r = await bookingFromMessage(req.params.id, overrides, { actor: actorOf(req) });
+  if (r.error === 'message_not_found') return res.status(404).json({ error: r.error });
+  if (r.error === 'no_dates') return res.status(400).json({ error: 'No dates found in this message — pick them manually.' });
+  res.json({ ok: true, id: r.booking.id, fromBookingId: r.fromBookingId });
+});
+
+// Merge booking :otherId into :id (the one kept).
+api.post('/bookings/:id/merge', requirePermission('bookings:manage'), async (req, res) => {
+  try {
+    const r = await mergeBookings(req.params.id, req.body?.otherId, { actor: actorOf(req) });
+    if (r.error === 'booking_not_found') return res.status(404).json({ error: r.error });
+    if (r.error) return res.status(400).json({ error: r.error });
+    res.json({ ok: true, id: r.booking.id, moved: r.moved });
+  } catch (e) {
+    console.error('[merge] failed', e);
+    res.status(500).json({ error: 'merge_failed' });
+  }
 });
-function numOrNull(v){ const n = Number(v); return Number.isFinite(n) ? n : null; }
 
-/* ---------------- Two-way SMS (disabled) ---------------- */
-api.post('/bookings/:id/reply', async (_req, res) => res.status(403).json({ error: 'two_way_disabled' }));
-api.get('/outbox/next',        async (_req, res) => res.status(403).json({ error: 'two_way_disabled' }));
-api.get('/outbox/ack',         async (_req, res) => res.status(410).send('two_way_disabled'));
-api.post('/outbox/ack',        async (_req, res) => res.status(410).json({ error: 'two_way_disabled' }));
+/* ---------------- Two-way SMS (outbox) ---------------- */
+// Dashboard side: queue a reply to the booking's client.
+api.post('/bookings/:id/reply', requirePermission('bookings:manage'), async (req, res) => {
+  const text = String(req.body?.text || '').trim();
+  if (!text) return res.status(400).json({ error: 'text is required' });
+
+  const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+  if (!booking) return res.status(404).json({ error: 'Not found' });
+
+  try {
+    const message = await queueReply(booking, text);
+    res.json({ ok: true, id: message.id, queued: true });
+  } catch (e) {
+    if (e.message === 'no_phone') return res.status(400).json({ error: 'This booking has no phone number to text.' });
+    console.error('[outbox] queue failed', e);
+    res.status(500).json({ error: 'queue_failed' });
+  }
+});
+
+// Re-queue a dead-lettered message from the booking thread.
+api.post('/outbox/retry/:id', requirePermission('bookings:manage'), async (req, res) => {
+  const message = await retry(req.params.id);
+  if (!message) return res.status(404).json({ error: 'Not found or already sent' });
+  res.json({ ok: true, id: message.id });
+});
+
+// Gateway side (phone forwarder app, sends `Authorization: Bearer <OUTBOX_TOKEN>`):
+//   GET  /api/outbox/next?limit=1      → { messages: [{ id, to, body, leaseToken, leaseUntil, attempt }] }
+//   POST /api/outbox/ack { id, leaseToken, status: 'sent'|'failed', error? }
+//   GET  /api/outbox/ack?id=&leaseToken=&status=   (same, for GET-only forwarders)
+api.get('/outbox/next', async (req, res) => {
+  if (!isGatewayAuthorized(req)) return res.status(401).json({ error: 'unauthorized' });
+  try {
+    const messages = await leaseNext({ limit: Number(req.query.limit) || 1 });
+    res.json({ ok: true, messages });
+  } catch (e) {
+    console.error('[outbox] lease failed', e);
+    res.status(500).json({ error: 'lease_failed' });
+  }
+});
+
+async function handleAck(req, res, params) {
+  if (!isGatewayAuthorized(req)) return res.status(401).json({ error: 'unauthorized' });
+  const { id, leaseToken, status, error } = params || {};
+  if (!id || !leaseToken) return res.status(400).json({ error: 'id and leaseToken are required' });
+
+  const ok = String(status || 'sent').toLowerCase() === 'sent';
+  const result = await ack({ id: String(id), leaseToken: String(leaseToken), ok, error: error ? String(error) : null });
+  if (result.error === 'not_found') return res.status(404).json({ error: result.error });
+  if (result.error) return res.status(409).json({ error: result.error });
+
+  const m = result.message;
+  res.json({ ok: true, id: m.id, state: outboxState(m), failCount: m.failCount, nextAttemptAt: m.nextAttemptAt });
+}
+api.post('/outbox/ack', (req, res) => handleAck(req, res, req.body).catch(e => {
+  console.error('[outbox] ack failed', e);
+  res.status(500).json({ error: 'ack_failed' });
+}));
+api.get('/outbox/ack', (req, res) => handleAck(req, res, req.query).catch(e => {
+  console.error('[outbox] ack failed', e);
+  res.status(500).json({ error: 'ack_failed' });
+}));
 
 /* ---------------- Templates ---------------- */
-api.get('/templates/:kind/:id', async (req, res) => {
-  const b = await prisma.booking.findUnique({ where: { id: req.params.id }, include: { pets: true }});
+api.get('/templates/:kind/:id', requirePermission('bookings:manage'), async (req, res) => {
+  const b = await findBookingWithPets(req.params.id);
   if (!b) return res.status(404).json({ error: 'Not found' });
 
   const { kind } = req.params;
   const now = new Date();
-  const start = new Date(b.startAt);
-  const daysUntil = Math.ceil((start - now) / (1000*60*60*24));
   const petNames = b.pets.length ? b.pets.map(p => p.name).join(', ') : 'your dog';
 
   if (kind === 'cancel') {
-    const within3 = daysUntil <= 3;
-    const feeText = within3 ? 'As per my policy, a 50% LATE-CANCELLATION FEE (50%) applies.' : 'No late-cancellation fee applies.';
+    const ev = await evaluateCancellation(b, { now });
     const msg =
 `Hi! I’m sorry to hear you need to cancel ${formatRange(b.startAt, b.endAt)} for ${petNames}.
-${feeText}
+${cancellationFeeText(ev)}
 Please confirm and I’ll finalize the cancellation.`;
-    return res.json({ text: msg, within3 });
+    return res.json({ text: msg, feePct: ev.feePct, feeCents: ev.feeCents, within3: ev.feePct > 0 });
   }
 
   if (kind === 'confirm') {
@@ -280,6 +711,16 @@ To confirm, please reply YES. If you need changes, let me know.`;
     return res.json({ text: msg });
   }
 
+  if (kind === 'quote') {
+    const quote = await quoteBooking(b);
+    if (quote.missingRate) return res.status(400).json({ error: `No rate set for ${b.serviceType} — add one under Settings → Pricing.` });
+    const msg =
+`Here’s your quote for ${b.serviceType} on ${formatRange(b.startAt, b.endAt)} for ${petNames}:
+${quoteLines(quote)}
+Let me know if you’d like to book!`;
+    return res.json({ text: msg, totalCents: quote.totalCents });
+  }
+
   if (kind === 'ask-photos') {
     const msg =
 `Could you send a couple of clear PHOTOS of your dog and any CARE INSTRUCTIONS (feeding, meds, routines)?
@@ -289,16 +730,14 @@ This helps me prepare and keep ${petNames} comfy. Thank you!`;
 
   res.status(400).json({ error: 'Unknown template kind' });
 });
-function formatRange(startAt, endAt){
-  const s = new Date(startAt), e = new Date(endAt);
-  return `${s.toLocaleString()} – ${e.toLocaleString()}`;
-}
 
 /* ---------------- Edit / availability ---------------- */
-api.patch('/bookings/:id', async (req, res) => {
+api.patch('/bookings/:id', requirePermission('bookings:manage'), async (req, res) => {
   // ADD contactLabel here ⬇️
   const { startAt, endAt, serviceType, dogsCount, notes, contactLabel } = req.body;
 
+  const before = await prisma.booking.findUnique({ where: { id: req.params.id } });
+  if (!before) return res.status(404).json({ error: 'Not found' });
   const updated = await prisma.booking.update({
     where: { id: req.params.id },
     data: {
@@ -306,32 +745,219 @@ api.patch('/bookings/:id', async (req, res) => {
       dogsCount: dogsCount ? Number(dogsCount) : undefined,
       notes: notes ?? undefined,
       contactLabel: contactLabel ?? undefined, // now defined ✅
-      ...(startAt ? { startAt: new Date(startAt) } : {}),
-      ...(endAt   ? { endAt:   new Date(endAt)   } : {}),
+      ...(startAt ? { startAt: parseInput(startAt) } : {}),
+      ...(endAt   ? { endAt:   parseInput(endAt)   } : {}),
     }
   });
+  await recordAudit({ actor: actorOf(req), action: 'booking.update', entityId: updated.id, before, after: updated });
   res.json(updated);
 });
 
-api.get('/availability', async (req, res) => {
+/* ---------------- Trash ---------------- */
+// Restore puts a booking's messages, pets and calendar event back; purge is permanent.
+api.post('/trash/bookings/:id/restore', requirePermission('bookings:delete'), async (req, res) => {
+  const booking = await restoreBooking(req.params.id, { actor: actorOf(req) });
+  if (!booking) return res.status(404).json({ error: 'Not in the Trash' });
+  res.json({ ok: true, id: booking.id });
+});
+
+api.delete('/trash/bookings/:id', requirePermission('bookings:delete'), async (req, res) => {
+  if (!(await purgeBooking(req.params.id, { actor: actorOf(req) }))) return res.status(404).json({ error: 'Not in the Trash' });
+  res.json({ ok: true, purged: req.params.id });
+});
+
+api.post('/trash/clients/:id/restore', requirePermission('clients:manage'), async (req, res) => {
+  const client = await restoreClient(req.params.id, { actor: actorOf(req) });
+  if (!client) return res.status(404).json({ error: 'Not in the Trash' });
+  res.json({ ok: true, id: client.id });
+});
+
+api.delete('/trash/clients/:id', requirePermission('clients:manage'), async (req, res) => {
+  if (!(await purgeClient(req.params.id, { actor: actorOf(req) }))) return res.status(404).json({ error: 'Not in the Trash' });
+  res.json({ ok: true, purged: req.params.id });
+});
+
+api.post('/trash/pets/:id/restore', requirePermission('bookings:delete'), async (req, res) => {
+  const pet = await restorePet(req.params.id, { actor: actorOf(req) });
+  if (!pet) return res.status(404).json({ error: 'Not in the Trash' });
+  res.json({ ok: true, id: pet.id });
+});
+
+api.delete('/trash/pets/:id', requirePermission('bookings:delete'), async (req, res) => {
+  if (!(await purgePet(req.params.id, { actor: actorOf(req) }))) return res.status(404).json({ error: 'Not in the Trash' });
+  res.json({ ok: true, purged: req.params.id });
+});
+
+api.post('/trash/messages/:id/restore', requirePermission('bookings:delete'), async (req, res) => {
+  if (!(await restoreMessage(req.params.id))) return res.status(404).json({ error: 'Not in the Trash' });
+  res.json({ ok: true, id: req.params.id });
+});
+
+api.delete('/trash/messages/:id', requirePermission('bookings:delete'), async (req, res) => {
+  if (!(await purgeMessage(req.params.id))) return res.status(404).json({ error: 'Not in the Trash' });
+  res.json({ ok: true, purged: req.params.id });
+});
+
+/* ---------------- Audit log ---------------- */
+// Filters: bookingId, entityType, entityId, action ("booking.*" prefix ok), actorId, actor (label),
+// field (diff touches it, e.g. startAt), since, until (ISO), limit (≤ 500). Newest first.
+api.get('/audit', requirePermission('bookings:view'), async (req, res) => {
+  const q = req.query;
+  const since = parseInput(q.since) ?? undefined;
+  const until = parseInput(q.until) ?? undefined;
+  if ((since && isNaN(since)) || (until && isNaN(until))) return res.status(400).json({ error: 'Invalid since/until' });
+
+  const str = v => (v ? String(v) : undefined);
+  const events = await queryAudit({
+    bookingId: str(q.bookingId), entityType: str(q.entityType), entityId: str(q.entityId), action: str(q.action),
+    actorId: str(q.actorId), actor: str(q.actor), field: str(q.field), since, until, limit: q.limit
+  });
+  res.json(can(req.user, 'finance') ? events : withoutMoney(events));
+});
+
+api.get('/bookings/:id/audit', requirePermission('bookings:view'), async (req, res) => {
+  const events = await queryAudit({ bookingId: req.params.id, limit: req.query.limit });
+  res.json(can(req.user, 'finance') ? events : withoutMoney(events));
+});
+
+api.get('/availability', requirePermission('bookings:view'), async (req, res) => {
   const { start, end } = req.query;
   if (!start || !end) return res.status(400).json({ error: 'start and end are required (ISO or ms)' });
 
-  const startAt = new Date(start);
-  const endAt   = new Date(end);
+  const startAt = parseInput(start);
+  const endAt   = parseInput(end);
+  if (isNaN(startAt) || isNaN(endAt)) return res.status(400).json({ error: 'Invalid start/end' });
 
-  const busy = await listBusy(startAt, endAt);
-  const calendarConnected = !!(process.env.GOOGLE_REFRESH_TOKEN && process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GOOGLE_REDIRECT_URI);
-
-  const currentDogs = await dogsInWindow(startAt, endAt);
-  const capacity = 10;
+  // optional: ?serviceType=Overnight&dogs=2&bookingId=… (exclude itself when re-checking an existing booking)
+  let busy, blocks, cap, calendarConnected;
+  try {
+    ({ busy, blocks, cap, calendarConnected } = await checkAvailability({
+      startAt, endAt,
+      serviceType: req.query.serviceType ? String(req.query.serviceType) : undefined,
+      dogsCount: Number(req.query.dogs) || 1,
+      bookingId: req.query.bookingId ? String(req.query.bookingId) : null
+    }));
+  } catch (e) {
+    console.error('[availability] check failed', e);
+    return res.status(503).json({ error: CHECK_FAILED });
+  }
 
   res.json({
     ok: true,
     window: { startAt, endAt },
     busy,
-    dogsOverlapping: currentDogs,
-    willExceed: currentDogs >= capacity,
+    blocks,
+    blocked: blocks.length > 0,
+    dogsOverlapping: cap.current,
+    willExceed: cap.willExceed,
+    capacity: {
+      limit: cap.capacity,
+      projected: cap.projected,
+      rule: cap.rule,
+      peakAt: cap.peakAt,
+      peakBookings: cap.peakBookings,
+      explanation: cap.explanation
+    },
     calendarConnected
   });
 });
+
+/* ---------------- Blocks (blackout periods) ---------------- */
+api.get('/blocks', requirePermission('bookings:view'), async (req, res) => {
+  const from = parseInput(req.query.from);
+  const to   = parseInput(req.query.to);
+  const where = {};
+  if (from && !isNaN(from)) where.endAt = { gt: from };
+  if (to && !isNaN(to))     where.startAt = { lt: to };
+  const blocks = await prisma.block.findMany({ where, orderBy: { startAt: 'asc' } });
+  res.json(blocks);
+});
+
+api.post('/blocks', requirePermission('settings'), async (req, res) => {
+  const { data, error } = parseBlockInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const block = await prisma.block.create({ data });
+
+  // let the sitter know which existing bookings now sit inside the blackout
+  const conflicts = await prisma.booking.findMany({
+    where: { status: { in: ['PENDING', 'CONFIRMED'] }, startAt: { lt: block.endAt }, endAt: { gt: block.startAt } },
+    select: { id: true, clientName: true, status: true, startAt: true, endAt: true }
+  });
+  res.json({ ok: true, block, conflicts });
+});
+
+api.patch('/blocks/:id', requirePermission('settings'), async (req, res) => {
+  const existing = await prisma.block.findUnique({ where: { id: req.params.id } });
+  if (!existing) return res.status(404).json({ error: 'Not found' });
+  // the next sync would undo it
+  if (existing.source === 'CALENDAR') return res.status(409).json({ error: 'Imported from Google Calendar; change it there' });
+
+  const { data, error } = parseBlockInput(req.body || {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+  const startAt = data.startAt || existing.startAt;
+  const endAt   = data.endAt   || existing.endAt;
+  if (endAt <= startAt) return res.status(400).json({ error: 'endAt must be after startAt' });
+
+  const block = await prisma.block.update({ where: { id: existing.id }, data });
+  res.json({ ok: true, block });
+});
+
+api.delete('/blocks/:id', requirePermission('settings'), async (req, res) => {
+  const existing = await prisma.block.findUnique({ where: { id: req.params.id } });
+  if (!existing) return res.status(404).json({ error: 'Not found' });
+  // the next sync would undo it
+  if (existing.source === 'CALENDAR') return res.status(409).json({ error: 'Imported from Google Calendar; change it there' });
+  await prisma.block.delete({ where: { id: existing.id } });
+  res.json({ ok: true, removed: existing.id });
+});
+
+/* ---------------- Capacity rules ---------------- */
+api.get('/capacity/rules', requirePermission('settings'), async (_req, res) => {
+  const [rules, weights] = await Promise.all([
+    prisma.capacityRule.findMany({ orderBy: [{ serviceType: 'asc' }, { dayType: 'asc' }] }),
+    prisma.capacityWeight.findMany({ orderBy: { minLbs: 'asc' } })
+  ]);
+  res.json({ rules, weights });
+});
+
+api.post('/capacity/rules', requirePermission('settings'), async (req, res) => {
+  const { data, error } = parseRuleInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const rule = await prisma.capacityRule.create({ data });
+  res.json({ ok: true, rule });
+});
+
+api.patch('/capacity/rules/:id', requirePermission('settings'), async (req, res) => {
+  const { data, error } = parseRuleInput(req.body || {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+  const rule = await prisma.capacityRule.update({ where: { id: req.params.id }, data }).catch(() => null);
+  if (!rule) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, rule });
+});
+
+api.delete('/capacity/rules/:id', requirePermission('settings'), async (req, res) => {
+  const removed = await prisma.capacityRule.delete({ where: { id: req.params.id } }).catch(() => null);
+  if (!removed) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, removed: removed.id });
+});
+
+api.post('/capacity/weights', requirePermission('settings'), async (req, res) => {
+  const { data, error } = parseWeightInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+  const weight = await prisma.capacityWeight.create({ data });
+  res.json({ ok: true, weight });
+});
+
+api.patch('/capacity/weights/:id', requirePermission('settings'), async (req, res) => {
+  const { data, error } = parseWeightInput(req.body || {}, { partial: true });
+  if (error) return res.status(400).json({ error });
+  const weight = await prisma.capacityWeight.update({ where: { id: req.params.id }, data }).catch(() => null);
+  if (!weight) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, weight });
+});
+
+api.delete('/capacity/weights/:id', requirePermission('settings'), async (req, res) => {
+  const removed = await prisma.capacityWeight.delete({ where: { id: req.params.id } }).catch(() => null);
+  if (!removed) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, removed: removed.id });
+});
@@ -0,0 +1,193 @@
+// src/routes/auth.js
+// Login/logout, the requireAuth + CSRF middleware, and user/session management.
+import express from 'express';
+import { prisma } from '../db.js';
+import {
+  authenticate, createSession, sessionFromToken, revokeSession, revokeUserSessions,
+  createUser, setPassword, verifyPassword, ensureBootstrapUser
+} from '../services/auth.js';
+import { createRateLimiter } from '../services/rate-limit.js';
+import { safeEqual } from '../services/utils/signature.js';
+import { can, ROLES } from '../services/permissions.js';
+
+export const authRouter = express.Router();
+
+export const SESSION_COOKIE = 'sess';
+const cookieOpts = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.COOKIE_SECURE === '1' // set when served over https
+};
+
+// LOGIN_MAX_ATTEMPTS per LOGIN_WINDOW_MIN, counted per IP and per IP+username (req.ip: set
+// TRUST_PROXY behind a reverse proxy, see server.js)
+const loginWindowMs = Number(process.env.LOGIN_WINDOW_MIN || 15) * 60 * 1000;
+const loginMax = Number(process.env.LOGIN_MAX_ATTEMPTS || 10);
+const loginByIp = createRateLimiter({ windowMs: loginWindowMs, max: loginMax * 3 });
+const loginByUser = createRateLimiter({ windowMs: loginWindowMs, max: loginMax });
+
+// routes that authenticate themselves (OUTBOX_TOKEN) or are the login itself
+const PUBLIC_PATHS = new Set(['/login', '/do-login', '/api/outbox/next', '/api/outbox/ack']);
+const UNSAFE = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Resolve the session cookie into req.session / req.user; 401 JSON for /api, redirect to
+ * /login for pages. Also exposes currentUser + csrfToken to views.
+ */
+export async function requireAuth(req, res, next) {
+  if (PUBLIC_PATHS.has(req.path)) return next();
+
+  const session = await sessionFromToken(req.cookies?.[SESSION_COOKIE]).catch(e => {
+    console.error('[auth] session lookup failed', e);
+    return null;
+  });
+
+  if (!session) {
+    // if it's an API call and not authed, return 401 JSON (so fetch sees it)
+    if (req.path.startsWith('/api')) {
+      console.log('AUTH 401 for', req.method, req.originalUrl);
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    return res.redirect('/login');
+  }
+
+  req.session = session;
+  req.user = session.user;
+  res.locals.currentUser = session.user;
+  res.locals.csrfToken = session.csrfToken;
+  res.locals.can = perm => can(session.user, perm);
+  next();
+}
+
+/** Route guard: 403 unless the signed-in user's role grants `perm` (see services/permissions.js). */
+export function requirePermission(perm) {
+  return (req, res, next) => {
+    if (can(req.user, perm)) return next();
+    console.log('AUTH 403', perm, 'for', req.user?.username, req.method, req.originalUrl);
+    if (req.originalUrl.startsWith('/api') || req.is('json')) {
+      return res.status(403).json({ error: 'forbidden', permission: perm });
+    }
+    res.status(403).send('You don’t have permission to do that.');
+  };
+}
+
+/**
+ * Unsafe requests from a signed-in browser must carry the session's CSRF token, either as a
+ * `_csrf` form field or an `X-CSRF-Token` header (layout.ejs adds it to every fetch).
+ */
+export function csrfProtection(req, res, next) {
+  if (!UNSAFE.has(req.method) || !req.session) return next();
+  const token = req.get('x-csrf-token') || req.body?._csrf;
+  if (safeEqual(String(token || ''), req.session.csrfToken)) return next();
+
+  console.log('CSRF 403 for', req.method, req.originalUrl);
+  if (req.path.startsWith('/api') || req.is('json')) return res.status(403).json({ error: 'csrf' });
+  res.status(403).send('Invalid or missing CSRF token — reload the page and try again.');
+}
+
+/* ---------------- Login / logout ---------------- */
+authRouter.get('/login', (_req, res) => res.render('login'));
+
+authRouter.post('/do-login', async (req, res) => {
+  const username = String(req.body.username || '').trim().toLowerCase();
+  const ip = req.ip;
+  const byIp = loginByIp.hit(ip);
+  const byUser = loginByUser.hit(`${ip}|${username}`);
+  if (!byIp.allowed || !byUser.allowed) {
+    const mins = Math.ceil(Math.max(byIp.retryAfterMs, byUser.retryAfterMs) / 60000);
+    return res.status(429).render('login', { error: `Too many attempts — try again in ${mins} min.` });
+  }
+
+  await ensureBootstrapUser();
+  const user = await authenticate(username, req.body.password || '');
+  if (!user) return res.render('login', { error: 'Wrong username or password' });
+  loginByUser.reset(`${ip}|${username}`);
+
+  const remember = req.body.remember === '1';
+  const { token, maxAgeMs } = await createSession(user, { remember, userAgent: req.get('user-agent'), ip });
+  res.cookie(SESSION_COOKIE, token, maxAgeMs ? { ...cookieOpts, maxAge: maxAgeMs } : cookieOpts);
+  // redirect stays in the SAME tab
+  return res.redirect('/');
+});
+
+// mounted before requireAuth, so resolve the session here; no CSRF needed to end your own session
+authRouter.post('/logout', async (req, res) => {
+  const session = await sessionFromToken(req.cookies?.[SESSION_COOKIE]);
+  if (session) await revokeSession(session.id);
+  res.clearCookie(SESSION_COOKIE, cookieOpts);
+  res.redirect('/login');
+});
+
+/* ---------------- Users & sessions (signed in) ---------------- */
+export const usersRouter = express.Router();
+
+// everyone can manage their own password and devices; owners see every user and session
+usersRouter.get('/settings/users', async (req, res) => {
+  const manage = can(req.user, 'users:manage');
+  const [users, sessions] = await Promise.all([
+    manage ? prisma.user.findMany({ orderBy: { createdAt: 'asc' } }) : [],
+    prisma.session.findMany({
+      where: { revokedAt: null, expiresAt: { gt: new Date() }, ...(manage ? {} : { userId: req.user.id }) },
+      include: { user: { select: { username: true } } },
+      orderBy: { lastSeenAt: 'desc' }
+    })
+  ]);
+  res.render('users', { users, sessions, currentSessionId: req.session.id, roles: ROLES });
+});
+
+usersRouter.post('/api/users', requirePermission('users:manage'), async (req, res) => {
+  const { user, error } = await createUser(req.body || {});
+  if (error) return res.status(400).json({ error });
+  res.json({ ok: true, user: { id: user.id, username: user.username, role: user.role } });
+});
+
+// change a user's role; their open sessions pick it up on the next request
+usersRouter.post('/api/users/:id/role', requirePermission('users:manage'), async (req, res) => {
+  const role = String(req.body?.role || '');
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  if (req.params.id === req.user.id && role !== 'owner') return res.status(400).json({ error: 'You can’t demote yourself' });
+  const user = await prisma.user.update({ where: { id: req.params.id }, data: { role } }).catch(() => null);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, role: user.role });
+});
+
+// disable/enable a user; disabling ends their sessions
+usersRouter.post('/api/users/:id/disable', requirePermission('users:manage'), async (req, res) => {
+  if (req.params.id === req.user.id) return res.status(400).json({ error: 'You can’t disable yourself' });
+  const on = req.body?.disabled !== false && req.body?.disabled !== 'false';
+  const user = await prisma.user.update({
+    where: { id: req.params.id }, data: { disabledAt: on ? new Date() : null }
+  }).catch(() => null);
+  if (!user) return res.status(404).json({ error: 'Not found' });
+  if (on) await revokeUserSessions(user.id);
+  res.json({ ok: true, disabled: !!user.disabledAt });
+});
+
+// change your own password (current one required); other sessions are signed out
+usersRouter.post('/api/users/me/password', async (req, res) => {
+  const { current, password } = req.body || {};
+  if (!(await verifyPassword(current || '', req.user.passwordHash))) {
+    return res.status(400).json({ error: 'Current password is wrong' });
+  }
+  const r = await setPassword(req.user.id, password, { keepSessionId: req.session.id });
+  if (r.error) return res.status(400).json({ error: r.error });
+  res.json({ ok: true });
+});
+
+// your own sessions, or anyone's with users:manage
+usersRouter.post('/api/sessions/:id/revoke', async (req, res) => {
+  const target = await prisma.session.findUnique({ where: { id: req.params.id } });
+  if (!target) return res.status(404).json({ error: 'Not found' });
+  if (target.userId !== req.user.id && !can(req.user, 'users:manage')) {
+    return res.status(403).json({ error: 'forbidden', permission: 'users:manage' });
+  }
+  const r = await revokeSession(req.params.id);
+  if (!r.count) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true, self: req.params.id === req.session.id });
+});
+
+// "sign out everywhere else"
+usersRouter.post('/api/sessions/revoke-others', async (req, res) => {
+  const r = await revokeUserSessions(req.user.id, { exceptId: req.session.id });
+  res.json({ ok: true, revoked: r.count });
+});
@@ -1,18 +1,21 @@
 import express from 'express';
-import { prisma } from '../db.js';
+import { prisma, prismaWithTrash } from '../db.js';
+import { requirePermission } from './auth.js';
+import { recordAudit, actorOf } from '../services/audit.js';
+import { trashClient } from '../services/trash.js';
+import { clientInsights, clientProfile } from '../services/clients.js';
+import { normPhone } from '../services/utils/phone.js';
+import { can } from '../services/permissions.js';
+import { formatCents } from '../services/pricing.js';
 
 export const clientsRouter = express.Router();
 
-// normalize phone (simple)
-const normPhone = (p = '') =>
-  p.replace(/[^\d+]/g, '').replace(/^1(\d{10})$/, '+$1').trim();
-
 /**
  * GET /clients
  * Optional search: ?q=...
  * Enrich each client with quick insights (total, last booking, LTV-ish score)
  */
-clientsRouter.get('/', async (req, res) => {
+clientsRouter.get('/', requirePermission('bookings:view'), async (req, res) => {
   const q = (req.query.q || '').trim();
 
   const where = q
@@ -24,63 +27,30 @@ clientsRouter.get('/', async (req, res) => {
       }
     : {};
 
+  // one query: linked bookings come along (see services/clients.js for the linking)
   const base = await prisma.client.findMany({
     where,
     orderBy: [{ trusted: 'desc' }, { updatedAt: 'desc' }],
+    include: {
+      bookings: {
+        where: { deletedAt: null },
+        orderBy: { startAt: 'desc' },
+        select: { startAt: true, endAt: true, serviceType: true },
+      },
+    },
   });
 
-  const clients = await Promise.all(
-    base.map(async (c) => {
-      const bookings = await prisma.booking.findMany({
-        where: {
-          OR: [
-            { clientPhone: c.phone },
-            c.name
-              ? { clientName: { equals: c.name, mode: 'insensitive' } }
-              : undefined,
-          ].filter(Boolean),
-        },
-        orderBy: { startAt: 'desc' },
-      });
-
-      const total = bookings.length;
-      const lastBookingAt = bookings[0]?.startAt || null;
-
-      // crude LTV proxy
-      const ltvScore = bookings.reduce((sum, b) => {
-        const days = Math.max(
-          1,
-          Math.round((b.endAt - b.startAt) / (24 * 60 * 60 * 1000))
-        );
-        const weight = /overnight/i.test(b.serviceType || '')
-          ? 1.0
-          : /day\s*care/i.test(b.serviceType || '')
-          ? 0.5
-          : /walk/i.test(b.serviceType || '')
-          ? 0.2
-          : 0.3;
-        return sum + days * weight;
-      }, 0);
-
-      return {
-        ...c,
-        insights: {
-          totalBookings: total,
-          lastBookingAt,
-          ltvScore: Number(ltvScore.toFixed(1)),
-        },
-      };
-    })
-  );
+  const clients = base.map(({ bookings, ...c }) => ({ ...c, insights: clientInsights(bookings) }));
 
   res.render('clients', { clients });
 });
 
 /**
  * POST /clients/add
- * Create or update by phone; marks as private automatically, optional name and trusted flag
+ * Create or update by phone; marks as private automatically, optional name and trusted flag.
+ * A trashed client with that phone is restored.
  */
-clientsRouter.post('/add', async (req, res) => {
+clientsRouter.post('/add', requirePermission('clients:manage'), async (req, res) => {
   const phone = normPhone(req.body.phone || '');
   const name = (req.body.name || '').trim() || null;
   const trusted = !!req.body.trusted;
@@ -88,58 +58,96 @@ clientsRouter.post('/add', async (req, res) => {
 
   if (!phone) return res.status(400).send('phone required');
 
-  const existing = await prisma.client.findUnique({ where: { phone } });
+  // phone is unique across the Trash too
+  const existing = await prismaWithTrash.client.findUnique({ where: { phone } });
+  let client;
   if (existing) {
-    await prisma.client.update({
+    client = await prismaWithTrash.client.update({
       where: { id: existing.id },
       data: {
         name: existing.name || name,
         isPrivate: true,
         trusted,
+        deletedAt: null,
       },
     });
+    await recordAudit({ actor: actorOf(req), action: 'client.update', entityType: 'Client', entityId: existing.id, before: existing, after: client });
   } else {
-    await prisma.client.create({
+    client = await prisma.client.create({
       data: { phone, name, isPrivate, trusted },
     });
+    await recordAudit({ actor: actorOf(req), action: 'client.create', entityType: 'Client', entityId: client.id, after: client });
   }
 
+  // pick up this number's bookings that aren't linked yet
+  await prisma.booking.updateMany({
+    where: { clientId: null, clientPhone: { endsWith: phone } },
+    data: { clientId: client.id },
+  });
+
   res.redirect('/clients');
 });
 
+/**
+ * GET /clients/:id
+ * Profile: bookings, pets, recent messages, notes, and lifetime revenue (finance only)
+ */
+clientsRouter.get('/:id', requirePermission('bookings:view'), async (req, res) => {
+  const profile = await clientProfile(req.params.id);
+  if (!profile) return res.status(404).send('not found');
+  res.render('client', { ...profile, finance: can(req.user, 'finance'), formatCents });
+});
+
+/**
+ * POST /clients/:id/notes
+ * Free-text notes about the client (gate code, preferences…)
+ */
+clientsRouter.post('/:id/notes', requirePermission('clients:manage'), async (req, res) => {
+  const before = await prisma.client.findUnique({ where: { id: req.params.id } });
+  if (!before) return res.status(404).send('not found');
+  const notes = String(req.body.notes || '').trim() || null;
+  const updated = await prisma.client.update({ where: { id: before.id }, data: { notes } });
+  await recordAudit({ actor: actorOf(req), action: 'client.update', entityType: 'Client', entityId: before.id, before, after: updated });
+  res.redirect(`/clients/${before.id}`);
+});
+
 /**
  * POST /clients/:id/trusted?on=1|0
  * Explicit trust on/off
  */
-clientsRouter.post('/:id/trusted', async (req, res) => {
+clientsRouter.post('/:id/trusted', requirePermission('clients:manage'), async (req, res) => {
   const on = (req.query.on || '').toLowerCase();
   const trusted = on === '1' || on === 'true' || on === 'yes';
-  await prisma.client.update({
+  const before = await prisma.client.findUnique({ where: { id: req.params.id } });
+  if (!before) return res.status(404).send('not found');
+  const updated = await prisma.client.update({
     where: { id: req.params.id },
     data: { trusted },
   });
+  await recordAudit({ actor: actorOf(req), action: 'client.update', entityType: 'Client', entityId: before.id, before, after: updated });
   res.redirect('/clients');
 });
 
 /**
  * POST /clients/:id/toggle-private
  */
-clientsRouter.post('/:id/toggle-private', async (req, res) => {
+clientsRouter.post('/:id/toggle-private', requirePermission('clients:manage'), async (req, res) => {
   const c = await prisma.client.findUnique({ where: { id: req.params.id } });
   if (!c) return res.status(404).send('not found');
-  await prisma.client.update({
+  const updated = await prisma.client.update({
     where: { id: c.id },
     data: { isPrivate: !c.isPrivate },
   });
+  await recordAudit({ actor: actorOf(req), action: 'client.update', entityType: 'Client', entityId: c.id, before: c, after: updated });
   res.redirect('/clients');
 });
 
 /**
  * POST /clients/:id/delete
+ * Moves the client to the Trash (restore or purge from /trash)
  */
-clientsRouter.post('/:id/delete', async (req, res) => {
-  await prisma.client
-    .delete({ where: { id: req.params.id } })
-    .catch(() => {});
+clientsRouter.post('/:id/delete', requirePermission('clients:manage'), async (req, res) => {
+  const client = await trashClient(req.params.id, { actor: actorOf(req) });
+  if (!client) return res.status(404).send('not found');
   res.redirect('/clients');
 });
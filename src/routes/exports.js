@@ -1,6 +1,10 @@
 // src/routes/exports.js
 import express from 'express';
 import { prisma } from '../db.js';
+import { renderView, htmlToPdf } from '../services/pdf.js';
+import { formatCents } from '../services/pricing.js';
+import { PETS_INCLUDE, withPets } from '../services/pets.js';
+import { requirePermission } from './auth.js';
 
 export const exportsRouter = express.Router();
 
@@ -10,52 +14,24 @@ async function fetchConfirmed() {
   const bookings = await prisma.booking.findMany({
     where: { status: 'CONFIRMED', endAt: { gte: now } },
     orderBy: [{ startAt: 'asc' }],
-    include: { pets: true }
+    include: PETS_INCLUDE
   });
-  return { bookings, generatedAt: Date.now() };
+  return { bookings: bookings.map(withPets), generatedAt: Date.now() };
 }
 
 // HTML view (print-friendly)
-exportsRouter.get('/exports/confirmed', async (req, res) => {
+exportsRouter.get('/exports/confirmed', requirePermission('admin'), async (req, res) => {
   const data = await fetchConfirmed();
   res.render('export-confirmed.ejs', data);
 });
 
 // Real PDF generation using Chromium (falls back to HTML on failure)
-exportsRouter.get('/exports/confirmed.pdf', async (req, res) => {
+exportsRouter.get('/exports/confirmed.pdf', requirePermission('admin'), async (req, res) => {
   const data = await fetchConfirmed();
 
   try {
-    // Render EJS to HTML string
-    const html = await new Promise((resolve, reject) => {
-      req.app.render('export-confirmed.ejs', data, (err, out) => {
-        if (err) reject(err); else resolve(out);
-      });
-    });
-
-    // Lazy import only when needed
-    const [{ default: chromium }, { default: puppeteer }] = await Promise.all([
-      import('@sparticuz/chromium'),
-      import('puppeteer-core')
-    ]);
-
-    const browser = await puppeteer.launch({
-      args: chromium.args,
-      defaultViewport: chromium.defaultViewport,
-      executablePath: await chromium.executablePath(),
-      headless: true,
-    });
-
-    const page = await browser.newPage();
-    await page.setContent(html, { waitUntil: ['domcontentloaded', 'networkidle0'] });
-
-    const pdf = await page.pdf({
-      format: 'Letter',
-      printBackground: true,
-      margin: { top: '14mm', right: '14mm', bottom: '14mm', left: '14mm' }
-    });
-
-    await browser.close();
+    const html = await renderView(req.app, 'export-confirmed.ejs', data);
+    const pdf = await htmlToPdf(html);
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', 'inline; filename="confirmed.pdf"');
@@ -68,3 +44,35 @@ exportsRouter.get('/exports/confirmed.pdf', async (req, res) => {
     return res.render('export-confirmed.ejs', { ...data, pdfError: msg });
   }
 });
+
+// Invoice: printable HTML + PDF through the same pipeline
+async function fetchInvoice(id) {
+  return prisma.invoice.findUnique({
+    where: { id },
+    include: { lines: { orderBy: { sort: 'asc' } }, payments: { orderBy: { receivedAt: 'asc' } } }
+  });
+}
+
+exportsRouter.get('/exports/invoices/:id.pdf', requirePermission('finance'), async (req, res) => {
+  const invoice = await fetchInvoice(req.params.id);
+  if (!invoice) return res.status(404).send('Not found');
+  const data = { invoice, formatCents, layout: false };
+
+  try {
+    const html = await renderView(req.app, 'invoice-print.ejs', data);
+    const pdf = await htmlToPdf(html);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${invoice.number}.pdf"`);
+    return res.send(pdf);
+  } catch (e) {
+    console.error('[exports] invoice PDF failed:', e);
+    return res.render('invoice-print.ejs', { ...data, pdfError: 'PDF generation failed on the server; showing the printable HTML instead.' });
+  }
+});
+
+exportsRouter.get('/exports/invoices/:id', requirePermission('finance'), async (req, res) => {
+  const invoice = await fetchInvoice(req.params.id);
+  if (!invoice) return res.status(404).send('Not found');
+  res.render('invoice-print.ejs', { invoice, formatCents, layout: false });
+});
@@ -0,0 +1,71 @@
+// src/routes/feeds.js
+// The public iCalendar feed (the token in the URL is the credential) and the settings page
+// that hands out and revokes feed URLs.
+import express from 'express';
+import { prisma } from '../db.js';
+import { requirePermission } from './auth.js';
+import { createFeedToken, feedFromToken, revokeFeedToken, bookingsCalendar } from '../services/feeds.js';
+
+// mounted at /feeds before requireAuth
+export const feedsRouter = express.Router();
+// mounted after requireAuth
+export const feedSettingsRouter = express.Router();
+
+// set PUBLIC_BASE_URL when running behind a proxy that rewrites host/proto
+const baseUrlOf = req => (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+/**
+ * GET /feeds/bookings.ics?token=…
+ * Read-only RFC 5545 calendar; 404 for unknown or revoked tokens, 503 when it can't be built
+ */
+feedsRouter.get('/bookings.ics', async (req, res) => {
+  try {
+    const feed = await feedFromToken(req.query.token);
+    if (!feed) return res.status(404).send('Not found');
+    const ics = await bookingsCalendar(feed, { baseUrl: baseUrlOf(req) });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="bookings.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (e) {
+    // calendar apps keep their last copy on a 503 and poll again later
+    console.error('[feeds] bookings.ics failed', e);
+    res.set('Retry-After', '300');
+    res.status(503).send('Temporarily unavailable');
+  }
+});
+
+async function renderSettings(req, res, created = null) {
+  const feeds = await prisma.feedToken.findMany({ orderBy: [{ revokedAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'desc' }] });
+  res.render('feeds-settings', { feeds, created });
+}
+
+/**
+ * GET /settings/feeds
+ * Feed URLs: who has one, when it was last fetched, revoke
+ */
+feedSettingsRouter.get('/settings/feeds', requirePermission('admin'), (req, res) => renderSettings(req, res));
+
+/**
+ * POST /settings/feeds
+ * New feed URL: label, limited, includePending. The URL is shown on this response only.
+ */
+feedSettingsRouter.post('/settings/feeds', requirePermission('admin'), async (req, res) => {
+  const { feed, token } = await createFeedToken({
+    label: req.body.label,
+    limited: req.body.limited === '1',
+    includePending: req.body.includePending === '1',
+    createdBy: req.user?.username || null
+  });
+  const url = `${baseUrlOf(req)}/feeds/bookings.ics?token=${token}`;
+  await renderSettings(req, res, { feed, url, webcal: url.replace(/^https?:/, 'webcal:') });
+});
+
+/**
+ * POST /settings/feeds/:id/revoke
+ */
+feedSettingsRouter.post('/settings/feeds/:id/revoke', requirePermission('admin'), async (req, res) => {
+  const feed = await revokeFeedToken(req.params.id);
+  if (!feed) return res.status(404).send('not found');
+  res.redirect('/settings/feeds');
+});
@@ -0,0 +1,112 @@
+import express from 'express';
+import { prisma } from '../db.js';
+import { requirePermission } from './auth.js';
+import { recordAudit, actorOf } from '../services/audit.js';
+import {
+  VACCINE_TYPES, REQUIRED_VACCINES, vaccineLabel, latestVaccines, parseVaccineInput, parseMedicationInput
+} from '../services/health.js';
+import { UPLOAD_KINDS } from '../services/uploads.js';
+
+export const petsRouter = express.Router();
+
+/**
+ * GET /pets/:id
+ * Pet profile: vaccines (latest per type flagged), medications, allergies, vet and stays
+ */
+petsRouter.get('/:id', requirePermission('bookings:view'), async (req, res) => {
+  const pet = await prisma.pet.findUnique({
+    where: { id: req.params.id },
+    include: {
+      client: true,
+      vaccines: { orderBy: [{ type: 'asc' }, { expiresAt: 'desc' }] },
+      medications: { orderBy: { name: 'asc' } },
+      uploads: { orderBy: { createdAt: 'desc' } },
+      stays: {
+        where: { booking: { deletedAt: null } },
+        include: { booking: true },
+        orderBy: { createdAt: 'desc' }
+      }
+    }
+  });
+  if (!pet) return res.status(404).send('not found');
+  const latest = new Set([...latestVaccines(pet.vaccines).values()].map(v => v.id));
+  res.render('pet', { pet, latest, VACCINE_TYPES, REQUIRED_VACCINES, vaccineLabel, UPLOAD_KINDS, now: new Date() });
+});
+
+/**
+ * POST /pets/:id/health
+ * Allergies and vet contact
+ */
+petsRouter.post('/:id/health', requirePermission('pets:edit'), async (req, res) => {
+  const before = await prisma.pet.findUnique({ where: { id: req.params.id } });
+  if (!before) return res.status(404).send('not found');
+  const text = k => String(req.body[k] || '').trim() || null;
+  const updated = await prisma.pet.update({
+    where: { id: before.id },
+    data: { allergies: text('allergies'), vetName: text('vetName'), vetClinic: text('vetClinic'), vetPhone: text('vetPhone') }
+  });
+  await recordAudit({ actor: actorOf(req), action: 'pet.update', entityType: 'Pet', entityId: before.id, bookingId: null, before, after: updated });
+  res.redirect(`/pets/${before.id}`);
+});
+
+/**
+ * POST /pets/:id/vaccines
+ * Add a vaccine record: type, givenAt, expiresAt, documentUrl, notes
+ */
+petsRouter.post('/:id/vaccines', requirePermission('pets:edit'), async (req, res) => {
+  const pet = await prisma.pet.findUnique({ where: { id: req.params.id } });
+  if (!pet) return res.status(404).send('not found');
+  const { data, error } = parseVaccineInput(req.body);
+  if (error) return res.status(400).send(error);
+  const vaccine = await prisma.petVaccine.create({ data: { ...data, petId: pet.id } });
+  await recordAudit({
+    actor: actorOf(req), action: 'pet.vaccine_add', entityType: 'Pet', entityId: pet.id, bookingId: null,
+    after: vaccine, note: `${vaccineLabel(vaccine.type)} for ${pet.name}`
+  });
+  res.redirect(`/pets/${pet.id}`);
+});
+
+/**
+ * POST /pets/:id/vaccines/:vaccineId/delete
+ */
+petsRouter.post('/:id/vaccines/:vaccineId/delete', requirePermission('pets:edit'), async (req, res) => {
+  const vaccine = await prisma.petVaccine.findFirst({ where: { id: req.params.vaccineId, petId: req.params.id } });
+  if (!vaccine) return res.status(404).send('not found');
+  await prisma.petVaccine.delete({ where: { id: vaccine.id } });
+  await recordAudit({
+    actor: actorOf(req), action: 'pet.vaccine_delete', entityType: 'Pet', entityId: vaccine.petId, bookingId: null,
+    before: vaccine, note: `${vaccineLabel(vaccine.type)} record removed`
+  });
+  res.redirect(`/pets/${vaccine.petId}`);
+});
+
+/**
+ * POST /pets/:id/medications
+ * Add a medication: name, dose, schedule, startsAt, endsAt, notes
+ */
+petsRouter.post('/:id/medications', requirePermission('pets:edit'), async (req, res) => {
+  const pet = await prisma.pet.findUnique({ where: { id: req.params.id } });
+  if (!pet) return res.status(404).send('not found');
+  const { data, error } = parseMedicationInput(req.body);
+  if (error) return res.status(400).send(error);
+  const med = await prisma.petMedication.create({ data: { ...data, petId: pet.id } });
+  await recordAudit({
+    actor: actorOf(req), action: 'pet.med_add', entityType: 'Pet', entityId: pet.id, bookingId: null,
+    after: med, note: `${med.name} for ${pet.name}`
+  });
+  res.redirect(`/pets/${pet.id}`);
+});
+
+/**
+ * POST /pets/:id/medications/:medicationId/delete
+ */
+petsRouter.post('/:id/medications/:medicationId/delete', requirePermission('pets:edit'), async (req, res) => {
+  const med = await prisma.petMedication.findFirst({ where: { id: req.params.medicationId, petId: req.params.id } });
+  if (!med) return res.status(404).send('not found');
+  await prisma.petMedication.delete({ where: { id: med.id } });
+  await recordAudit({
+    actor: actorOf(req), action: 'pet.med_delete', entityType: 'Pet', entityId: med.petId, bookingId: null,
+    before: med, note: `${med.name} removed`
+  });
+  res.redirect(`/pets/${med.petId}`);
+});
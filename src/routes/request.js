@@ -0,0 +1,129 @@
+// src/routes/request.js
+// The public booking request form (mounted at /request before requireAuth). No accounts and
+// no outside captcha: a per-IP rate limit, a honeypot field, and a signed form token that
+// must be at least a few seconds old (bots post instantly; people don't).
+import express from 'express';
+import crypto from 'crypto';
+import { createRateLimiter } from '../services/rate-limit.js';
+import { checkAvailability, unavailableReason } from '../services/availability.js';
+import { parseRequestInput, createBookingRequest, REQUEST_SERVICES } from '../services/booking-requests.js';
+import { sendPushAll } from '../services/push.js';
+import { hmac, safeEqual } from '../services/utils/signature.js';
+import { parseInput, inputDateTime, formatRange } from '../services/utils/dates.js';
+
+export const requestRouter = express.Router();
+
+// per IP: REQUEST_MAX_PER_HOUR bookings created, more room for posts that get sent back
+// (typos, taken dates) and for the live availability check. req.ip is only the client's
+// behind a reverse proxy when TRUST_PROXY is set (server.js).
+const requestMax = Number(process.env.REQUEST_MAX_PER_HOUR || 3);
+const requestsByIp = createRateLimiter({ windowMs: 60 * 60 * 1000, max: requestMax });
+const postsByIp = createRateLimiter({ windowMs: 60 * 60 * 1000, max: requestMax * 10 });
+const checksByIp = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 60 });
+
+const tooMany = limit => `Too many requests from here. Please try again in ${Math.ceil(limit.retryAfterMs / 60000)} min, or text me.`;
+
+// a restart only invalidates forms that are open right now ("please send it again")
+const FORM_SECRET = process.env.REQUEST_FORM_SECRET || crypto.randomBytes(32).toString('hex');
+const MIN_FILL_MS = 3000;
+const MAX_FORM_AGE_MS = 24 * 60 * 60 * 1000;
+
+const formToken = (ts = Date.now()) => `${ts}.${hmac('sha256', FORM_SECRET, `request-form:${ts}`)}`;
+
+/** 'ok', 'invalid' (forged or expired) or 'too_fast'. */
+function checkFormToken(token, now = Date.now()) {
+  const [ts, sig] = String(token || '').split('.');
+  if (!/^\d+$/.test(ts || '') || !safeEqual(sig, hmac('sha256', FORM_SECRET, `request-form:${ts}`))) return 'invalid';
+  const age = now - Number(ts);
+  if (age > MAX_FORM_AGE_MS) return 'invalid';
+  if (age < MIN_FILL_MS) return 'too_fast';
+  return 'ok';
+}
+
+// what the client is told; blocks' reasons and who else is booked stay private
+const UNAVAILABLE = {
+  blocked: "Sorry, I'm not taking bookings for that time. Could you try other dates?",
+  busy: "Sorry, I'm already booked for part of that time. Could you try other dates?",
+  full: "Sorry, I'm full for part of that time. Could you try other dates?"
+};
+
+function renderForm(res, { status = 200, values = {}, error = null, sent = false } = {}) {
+  res.status(status).render('request', {
+    layout: false, values, error, sent,
+    services: REQUEST_SERVICES,
+    token: formToken(),
+    minStart: inputDateTime(new Date())
+  });
+}
+
+requestRouter.get('/', (req, res) => renderForm(res, { sent: req.query.sent === '1' }));
+
+/**
+ * GET /request/availability?start&end&serviceType&dogs
+ * The form's live check. Only says yes/no (and why, in client terms).
+ */
+requestRouter.get('/availability', async (req, res) => {
+  const limit = checksByIp.hit(req.ip);
+  if (!limit.allowed) return res.status(429).json({ error: 'Too many checks. Try again in a few minutes.' });
+
+  const startAt = parseInput(req.query.start);
+  const endAt = parseInput(req.query.end);
+  if (!startAt || !endAt || isNaN(startAt) || isNaN(endAt) || endAt <= startAt) {
+    return res.status(400).json({ error: 'Pick a start and an end after it.' });
+  }
+  try {
+    const reason = unavailableReason(await checkAvailability({
+      startAt, endAt,
+      serviceType: REQUEST_SERVICES.find(s => s === req.query.serviceType),
+      dogsCount: Math.min(Math.max(Number(req.query.dogs) || 1, 1), 6)
+    }));
+    res.json({ ok: true, available: !reason, message: reason ? UNAVAILABLE[reason] : null });
+  } catch (e) {
+    console.error('[request] availability check failed', e);
+    res.status(503).json({ error: "Couldn't check those dates right now. Please try again in a moment." });
+  }
+});
+
+/**
+ * POST /request
+ * Re-checks availability, then creates a PENDING booking + IN message and pings the sitter.
+ */
+requestRouter.post('/', async (req, res) => {
+  const values = req.body || {};
+  const posts = postsByIp.hit(req.ip);
+  if (!posts.allowed) return renderForm(res, { status: 429, values, error: tooMany(posts) });
+
+  // filled honeypot: act like it worked so the bot moves on
+  if (values.website) {
+    console.log('[request] honeypot hit from', req.ip);
+    return res.redirect('/request?sent=1');
+  }
+  const token = checkFormToken(values.t);
+  if (token !== 'ok') {
+    return renderForm(res, { status: 400, values, error: 'This form expired or was sent too quickly. Please check the details and send it again.' });
+  }
+
+  const { data, error } = parseRequestInput(values);
+  if (error) return renderForm(res, { status: 400, values, error });
+
+  try {
+    const reason = unavailableReason(await checkAvailability({
+      startAt: data.startAt, endAt: data.endAt, serviceType: data.serviceType, dogsCount: data.pets.length
+    }));
+    if (reason) return renderForm(res, { status: 409, values, error: UNAVAILABLE[reason] });
+
+    const limit = requestsByIp.hit(req.ip);
+    if (!limit.allowed) return renderForm(res, { status: 429, values, error: tooMany(limit) });
+
+    const { booking } = await createBookingRequest(data);
+    await sendPushAll({
+      title: '📩 New booking request (web form)',
+      body: `${data.clientName}: ${data.serviceType}, ${formatRange(data.startAt, data.endAt)}`,
+      url: `/booking/${booking.id}`
+    });
+    res.redirect('/request?sent=1');
+  } catch (e) {
+    console.error('[request] failed', e);
+    renderForm(res, { status: 500, values, error: "Something went wrong on my end. Please try again, or text me." });
+  }
+});
@@ -0,0 +1,99 @@
+import express from 'express';
+import multer from 'multer';
+import { prisma } from '../db.js';
+import { requirePermission } from './auth.js';
+import { can } from '../services/permissions.js';
+import { actorOf } from '../services/audit.js';
+import { saveUpload, deleteUpload, uploadPath, ALLOWED_TYPES, MAX_UPLOAD_BYTES } from '../services/uploads.js';
+
+export const uploadsRouter = express.Router();
+
+const UPLOAD_ERRORS = {
+  empty_file: [400, 'Choose a file to upload.'],
+  too_large: [413, `Files can be up to ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB.`],
+  bad_kind: [400, 'Unknown upload kind.'],
+  type_not_allowed: [415, 'Only JPEG, PNG, WebP images and PDFs can be uploaded.']
+};
+
+// one file per request, in memory until saveUpload() has checked it
+const parseFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (_req, file, cb) => cb(ALLOWED_TYPES[file.mimetype] ? null : Object.assign(new Error('type_not_allowed'), { code: 'type_not_allowed' }), true)
+}).single('file');
+
+function withFile(req, res, next) {
+  parseFile(req, res, (err) => {
+    if (!err) return next();
+    const code = err.code === 'LIMIT_FILE_SIZE' ? 'too_large' : err.code;
+    const [status, message] = UPLOAD_ERRORS[code] || [400, err.message || 'Upload failed'];
+    res.status(status).json({ error: message });
+  });
+}
+
+async function handleUpload(req, res, target) {
+  const r = await saveUpload({
+    buffer: req.file?.buffer,
+    originalName: req.file?.originalname,
+    kind: String(req.body.kind || (target.petId ? 'photo' : 'waiver')),
+    vaccineId: target.vaccineId || null,
+    petId: target.petId || null,
+    bookingId: target.bookingId || null
+  }, { actor: actorOf(req) });
+  if (r.error) {
+    const [status, message] = UPLOAD_ERRORS[r.error] || [400, r.error];
+    return res.status(status).json({ error: message });
+  }
+  res.json({ ok: true, upload: r.upload, url: `/uploads/${r.upload.id}` });
+}
+
+/* ---------------- Pet files: photos, vaccine certificates ---------------- */
+// multipart: file, kind ("photo" | "vaccine" | "document"), vaccineId? (which record it proves)
+uploadsRouter.post('/api/pets/:id/uploads', requirePermission('pets:edit'), withFile, async (req, res) => {
+  const pet = await prisma.pet.findUnique({ where: { id: req.params.id } });
+  if (!pet) return res.status(404).json({ error: 'Not found' });
+  let vaccineId = null;
+  if (req.body.vaccineId) {
+    const v = await prisma.petVaccine.findFirst({ where: { id: String(req.body.vaccineId), petId: pet.id } });
+    if (!v) return res.status(404).json({ error: 'Vaccine record not found' });
+    vaccineId = v.id;
+  }
+  await handleUpload(req, res, { petId: pet.id, vaccineId });
+});
+
+/* ---------------- Booking files: signed waivers ---------------- */
+// multipart: file, kind ("waiver" | "document" | "photo")
+uploadsRouter.post('/api/bookings/:id/uploads', requirePermission('bookings:checkin'), withFile, async (req, res) => {
+  const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+  if (!booking) return res.status(404).json({ error: 'Not found' });
+  await handleUpload(req, res, { bookingId: booking.id });
+});
+
+uploadsRouter.delete('/api/uploads/:id', requirePermission('bookings:view'), async (req, res) => {
+  const upload = await prisma.upload.findUnique({ where: { id: req.params.id } });
+  if (!upload) return res.status(404).json({ error: 'Not found' });
+  // same permission it took to add it
+  if (!can(req.user, upload.petId ? 'pets:edit' : 'bookings:checkin')) return res.status(403).json({ error: 'forbidden' });
+  await deleteUpload(upload.id, { actor: actorOf(req) });
+  res.json({ ok: true });
+});
+
+/**
+ * GET /uploads/:id (?thumb=1 for the image thumbnail)
+ * The only way files leave STORAGE_DIR: signed-in users who can see bookings.
+ */
+uploadsRouter.get('/uploads/:id', requirePermission('bookings:view'), async (req, res) => {
+  const upload = await prisma.upload.findUnique({ where: { id: req.params.id }, include: { booking: true } });
+  if (!upload || upload.booking?.deletedAt) return res.status(404).send('Not found');
+
+  const thumb = req.query.thumb === '1' && upload.thumbKey;
+  res.set({
+    'Content-Type': thumb ? 'image/webp' : upload.mimeType,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=3600',
+    'Content-Disposition': `${req.query.download === '1' ? 'attachment' : 'inline'}; filename="${upload.originalName.replace(/[^\w.\- ]+/g, '_')}"`
+  });
+  res.sendFile(uploadPath(upload, { thumb }), (err) => {
+    if (err && !res.headersSent) res.status(err.code === 'ENOENT' ? 404 : 500).send('Not found');
+  });
+});
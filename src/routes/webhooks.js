@@ -1,76 +1,13 @@
 // src/routes/webhooks.js
 import express from 'express';
-import { prisma } from '../db.js';
-import { buildEID } from '../services/utils/eid.js';
-import webpush from 'web-push';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { classifyMessage } from '../services/classifier.js';
-
-
-// intake helpers (centralized)
-import {
-  findKeywords,
-  classifyService,
-  extractPetNames,
-  serializeRange,      // still used for backward compatibility if needed
-  parseSegments,       // NEW: multi-segment parser
-  extractRoverMeta     // NEW: owner/pet/age/weight (Rover-style)
-} from '../services/intake.js';
+import { getAdapter, adapterNames } from '../services/inbound/index.js';
+import { processInbound } from '../services/inbound/process.js';
+import { intakeDeps, applyDecision } from '../services/inbound/persist.js';
+import { webhookActor } from '../services/audit.js';
+import { sendPushAll } from '../services/push.js';
 
 export const webhooks = express.Router();
 
-// ---------- Web Push wiring ----------
-const VAPID_PUBLIC_KEY  = process.env.VAPID_PUBLIC_KEY;
-const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
-const VAPID_SUBJECT     = process.env.VAPID_SUBJECT || 'mailto:you@example.com';
-if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
-  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
-}
-
-// normalize phone for matching (strip everything but digits; keep last 10 if US-like)
-function normPhone(p) {
-  if (!p) return null;
-  const digits = String(p).replace(/\D+/g, '');
-  if (digits.length >= 10) return digits.slice(-10);
-  return digits || null;
-}
-
-// Detect Rover automated request notifications we want to ignore completely
-function isRoverAuto(body) {
-  const b = String(body || '').trim();
-
-  // Pattern A: "[ New booking request (dog boarding) from X: ... Book @ r.rover.com/XYZ ]"
-  const hasRoverLink = /\br\.rover\.com\/[A-Za-z0-9]+/i.test(b);
-  const looksLikeNewReq = /\bNew booking request\b/i.test(b);
-
-  // Pattern B: "Boarding Request - One Time: Drop-off: Fri, Nov 07 ... Pick-up: Sat, Nov 08 ..."
-  const looksLikeOneTime = /^Boarding Request\s*-\s*One Time:/i.test(b)
-    && /\bDrop-?off:/i.test(b) && /\bPick-?up:/i.test(b);
-
-  return (hasRoverLink && looksLikeNewReq) || looksLikeOneTime;
-}
-
-
-// Persisted subscriptions (JSON file; db table is fine too)
-const __filename = fileURLToPath(import.meta.url);
-const __dirname  = path.dirname(__filename);
-const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '../../storage');
-const SUBS_FILE   = path.join(STORAGE_DIR, 'push-subs.json');
-
-async function loadSubs() {
-  try { return JSON.parse(await fs.readFile(SUBS_FILE, 'utf8')); }
-  catch { return []; }
-}
-async function sendPushAll(payloadObj) {
-  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return;
-  const subs = await loadSubs();
-  if (!subs.length) return;
-  const payload = JSON.stringify(payloadObj);
-  await Promise.allSettled(subs.map(s => webpush.sendNotification(s, payload)));
-}
-
 // accept form/json/raw
 webhooks.use(
   '/sms-forward',
@@ -86,225 +23,52 @@ webhooks.get('/ping', (_req, res) => {
   res.json({ ok: true, ts: Date.now() });
 });
 
-// -------------------- Main intake --------------------
-webhooks.post('/sms-forward', async (req, res) => {
-  try {
-    const token = req.query.token;
-    if (!token || token !== process.env.SMS_FORWARD_TOKEN) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // --- Parse payload (json / form / raw / query) ---
-    let from, body, timestamp;
-    if (req.is('application/json') && req.body && typeof req.body === 'object') {
-      ({ from, body, timestamp } = req.body);
-    } else if (typeof req.body === 'string' && req.body.trim().startsWith('{')) {
-      try { ({ from, body, timestamp } = JSON.parse(req.body)); } catch {}
-    } else if (req.body && typeof req.body === 'object') {
-      ({ from, body, timestamp } = req.body);
-    }
-    if (!from && req.query) {
-      from = req.query.from; body = req.query.body; timestamp = req.query.timestamp;
-    }
-    if (!from || !body) return res.status(400).json({ error: 'Missing fields' });
+// accept form/json/raw on the adapter endpoints too (json/urlencoded are parsed app-wide with rawBody kept)
+webhooks.use('/inbound/:provider', express.text({ type: '*/*' }));
 
-    // >>> add this right after `if (!from || !body) ...`
-if (isRoverAuto(body)) {
-  // ignore these completely: no message, no booking
-  return res.json({ ok: true, ignored: 'rover_auto_notice' });
-}
-
-
-    const receivedAt = new Date(Number(timestamp) || Date.now());
+webhooks.get('/inbound/:provider', (req, res) => {
+  if (!getAdapter(req.params.provider)) return res.status(404).json({ error: 'unknown_provider', providers: adapterNames() });
+  res.send(`Webhook is up for "${req.params.provider}". Use POST.`);
+});
 
-    // EID dedupe (BEFORE writes)
-    const eid = buildEID({
-      platform: 'sms',
-      threadId: from,
-      providerMessageId: undefined,
-      from, body, timestamp: receivedAt.getTime()
-    });
-    const already = await prisma.message.findUnique({ where: { eid } });
-    if (already) {
-      return res.json({ ok: true, deduped: true, bookingId: already.bookingId || null, eid });
-    }
+// -------------------- Main intake --------------------
+// legacy forwarder endpoint + one endpoint per provider adapter, all feeding intakeMessage()
+webhooks.post('/sms-forward', inboundHandler(() => getAdapter('sms-forward')));
+webhooks.post('/inbound/:provider', inboundHandler(req => getAdapter(req.params.provider)));
 
-    // Optional AI classification
-    let classifyLabel = null, classifyScore = null, extractedJson = null;
+function inboundHandler(resolveAdapter) {
+  return async (req, res) => {
     try {
-      const { label, score, extracted } = await classifyMessage(body);
-      classifyLabel = label;
-      classifyScore = score;
-      extractedJson = extracted ? JSON.stringify(extracted) : null;
-    } catch {
-      // best-effort; ignore failures
-    }
-
-    // ---- Heuristics (keywords + segments) ----
-    const keywords   = findKeywords(body);
-    const svcGuess   = classifyService(body);
-    const segments   = parseSegments(body, receivedAt); // [{startAt,endAt,serviceHint}, ...]
-    const roverMeta  = extractRoverMeta(body);          // {ownerName, petName, petAgeMonths, petWeightLbs}
-
-    // strict gate: must have keywords AND at least one segment AND not purely "Walk"
-    const isWalkOnly = svcGuess === 'Walk';
-    const isCandidate = (keywords.length > 0) && segments.length > 0 && !isWalkOnly;
-
-    // We will attach the inbound message to the FIRST booking we create/patch (if any)
-    let bookingId = null;
-
-    // try attaching to an open thread for this exact phone first (best defense against dupes)
-    const fromNorm = normPhone(from);
-
-    // highest priority: a recent PENDING or CONFIRMED booking for this phone (any date)
-    let openThread = null;
-    if (fromNorm) {
-      openThread = await prisma.booking.findFirst({
-        where: {
-          clientPhone: { not: null },
-          status: { in: ['PENDING', 'CONFIRMED'] },
-          AND: [
-            // compare normalized versions
-            { clientPhone: { endsWith: fromNorm } } // works even if saved with separators
-          ]
-        },
-        orderBy: { createdAt: 'desc' }
-      });
+      const adapter = resolveAdapter(req);
+      if (!adapter) return res.status(404).json({ error: 'unknown_provider', providers: adapterNames() });
+      if (!adapter.verify(req)) return res.status(401).json({ error: 'Unauthorized' });
+
+      const msg = adapter.parse(req);
+      if (!msg) return res.status(400).json({ error: 'Missing fields' });
+
+      const result = await intakeMessage(msg);
+      if (adapter.respond) return adapter.respond(res, result);
+      return res.json(result);
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: 'Server error' });
     }
+  };
+}
 
-    if (openThread) {
-      bookingId = openThread.id;
-    }
-
-    if (!openThread && isCandidate) {
-      // if we didn't find an open thread, fall back to your previous “segment-aware” behavior
-      for (let idx = 0; idx < segments.length; idx++) {
-        const seg = segments[idx];
-        const inferredSvc = svcGuess !== 'Unspecified' ? svcGuess : (seg.serviceHint || 'Unspecified');
-
-        // try to reuse a recent booking for this phone near the start date (legacy behavior)
-        let booking = null;
-        if (fromNorm) {
-          booking = await prisma.booking.findFirst({
-            where: {
-              OR: [
-                { clientPhone: { endsWith: fromNorm } },
-                { roverRelay: from }
-              ],
-              AND: [
-                { startAt: { gte: new Date(seg.startAt.getTime() - 2*24*60*60*1000) } },
-                { startAt: { lte: new Date(seg.startAt.getTime() + 2*24*60*60*1000) } }
-              ]
-            },
-            orderBy: { createdAt: 'desc' }
-          });
-        }
-
-        if (!booking || booking.status === 'CANCELED') {
-          booking = await prisma.booking.create({
-            data: {
-              source: body.includes('r.rover.com') ? 'Rover' : 'SMS',
-              clientName: roverMeta.ownerName || from,
-              clientPhone: from,
-              contactLabel: roverMeta.ownerName || null,
-              roverRelay: from.includes('r.rover.com') ? from : null,
-              serviceType: inferredSvc,
-              startAt: seg.startAt,
-              endAt: seg.endAt,
-              status: 'PENDING',
-              notes: 'Created from SMS (filtered booking candidate)'
-            }
-          });
-        } else {
-          const patch = {};
-          if ((booking.serviceType || 'Unspecified') === 'Unspecified' && inferredSvc !== 'Unspecified') {
-            patch.serviceType = inferredSvc;
-          }
-          const needDates =
-            Math.abs(new Date(booking.startAt) - seg.startAt) > 60 * 1000 ||
-            Math.abs(new Date(booking.endAt)   - seg.endAt)   > 60 * 1000;
-          if (needDates) {
-            patch.startAt = seg.startAt;
-            patch.endAt   = seg.endAt;
-          }
-          if (Object.keys(patch).length) {
-            booking = await prisma.booking.update({ where: { id: booking.id }, data: patch });
-          }
-        }
-
-        if (idx === 0) bookingId = booking.id;
-
-        // (pet inference block unchanged)
-      }
-    }
-
-        // If there is an open booking thread and the message contains a new range, detect change request
-    let createdChange = null;
-    if (openThread && segments.length) {
-      const seg = segments[0];
-      const curStart = new Date(openThread.startAt);
-      const curEnd   = new Date(openThread.endAt);
-
-      const diffStart = Math.abs(curStart - seg.startAt);
-      const diffEnd   = Math.abs(curEnd   - seg.endAt);
-
-      // consider it a change if either side differs by > 1 minute
-      if (diffStart > 60_000 || diffEnd > 60_000) {
-        createdChange = await prisma.changeRequest.create({
-          data: {
-            bookingId: openThread.id,
-            oldStartAt: curStart,
-            oldEndAt:   curEnd,
-            newStartAt: seg.startAt,
-            newEndAt:   seg.endAt,
-            status: 'PENDING'
-          }
-        });
-        bookingId = openThread.id; // the message still threads to the same booking
-      }
-    }
-
-
-
-    // Store the inbound message (bookingId may be null)
-    const extractedDatesJson = JSON.stringify(
-      segments.map(s => ({
-        startISO: s.startAt.toISOString(),
-        endISO:   s.endAt.toISOString()
-      }))
-    );
-
-    await prisma.message.create({
-      data: {
-        eid,
-        platform: 'sms',
-        threadId: from,
-        providerMessageId: null,
-        fromPhone: from,
-        direction: 'IN',
-        channel: 'SMS',
-        fromLabel: roverMeta.ownerName || from,
-        body: String(body).slice(0, 2000),
-        isRead: false,
-        isBookingCandidate: isCandidate,
-        extractedKeywordsJson: JSON.stringify(keywords),
-        extractedDatesJson,
-        classifyLabel,
-        classifyScore,
-        extractedJson,
-        bookingId,
-      }
-    });
+/**
+ * Run one normalized inbound message (see services/inbound/index.js) through the intake
+ * pipeline, write the outcome and ping subscribed devices.
+ */
+async function intakeMessage(msg) {
+  const decision = await processInbound(msg, intakeDeps);
+  const result = await applyDecision(decision, { actor: webhookActor(msg.platform) });
 
+  if (decision.action === 'intake') {
     await sendPushAll({
-      title: isCandidate ? '📩 New booking message' : '📩 New message',
-      body: `${from}: ${body.slice(0, 100)}`,
-      url: isCandidate && bookingId ? `/booking/${bookingId}` : '/'
+      ...decision.push,
+      url: decision.candidate && result.bookingId ? `/booking/${result.bookingId}` : '/'
     });
-
-    return res.json({ ok: true, bookingId, eid, candidate: isCandidate });
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: 'Server error' });
   }
-});
+  return result;
+}
@@ -4,7 +4,6 @@ import express from 'express';
 import morgan from 'morgan';
 import cookieParser from 'cookie-parser';
 import path from 'path';
-import { google } from 'googleapis';
 import { fileURLToPath } from 'url';
 import { prisma } from './db.js';
 import { api } from './routes/api.js';
@@ -17,48 +16,99 @@ import fs from 'fs/promises';
 import fsSync from 'fs';
 import { adminClassify } from './routes/admin-classify.js';
 import { clientsRouter } from './routes/clients.js';
+import { petsRouter } from './routes/pets.js';
+import { uploadsRouter } from './routes/uploads.js';
+import { purgeOrphanUploads, UPLOAD_KINDS } from './services/uploads.js';
+import { authRouter, usersRouter, requireAuth, csrfProtection, requirePermission } from './routes/auth.js';
+import { purgeSessions } from './services/auth.js';
+import { can } from './services/permissions.js';
 import { reparseAll } from './services/intake.js';
 import { exportsRouter } from './routes/exports.js';
-import * as dateFnsTz from 'date-fns-tz';
-const { utcToZonedTime, zonedTimeToUtc } = dateFnsTz;
-
-
-
-
-const TZ = process.env.TZ || 'America/New_York';
+import { feedsRouter, feedSettingsRouter } from './routes/feeds.js';
+import { requestRouter } from './routes/request.js';
+import { CAPACITY_SERVICES, CAPACITY_DAY_TYPES } from './services/capacity.js';
+import { outboxState } from './services/outbox.js';
+import { getAdapter } from './services/inbound/index.js';
+import { relatedForBooking } from './services/threads.js';
+import { pullCalendarChanges, calendarSyncState } from './services/calendar-sync.js';
+import {
+  oauthClient, verifyConnection, connectAccount, disconnectAccount, listCalendars, setTargetCalendar, calendarAlert
+} from './services/calendar.js';
+import { canSeal } from './services/utils/secrets.js';
+import { hmac, safeEqual } from './services/utils/signature.js';
+import { seriesFor } from './services/series.js';
+import { materializeAll, describeRecurrence } from './services/recurrence.js';
+import { quoteBooking, formatCents, PRICING_SERVICES, BILLING_MODES } from './services/pricing.js';
+import { PAYMENT_METHODS, outstandingBalances } from './services/invoices.js';
+import { evaluateCancellation, formatTiers, describeTiers, FALLBACK_TIERS, DEFAULT_POLICY_SERVICE } from './services/cancellation.js';
+import {
+  recordAudit, actorOf, queryAudit, withoutMoney, formatAuditValue, ACTION_LABELS, MAINTENANCE_ACTOR
+} from './services/audit.js';
+import { trashBooking, listTrash, purgeExpired, purgeDate, TRASH_RETENTION_DAYS } from './services/trash.js';
+import { clientIdFor, linkClients } from './services/clients.js';
+import { PETS_INCLUDE, withPets, suggestPets, foldPetProfiles } from './services/pets.js';
+import { vaccineWarningsFor, upcomingExpirations, vaccineLabel, medicationsForStay } from './services/health.js';
+import { normPhone } from './services/utils/phone.js';
+import cron from 'node-cron';
+import { processInbound } from './services/inbound/process.js';
+import { intakeDeps } from './services/inbound/persist.js';
+import {
+  TZ, startOfDay, endOfDay, addDays, dayKey, parseInput, formatDate, formatDateTime, formatTime, inputDateTime
+} from './services/utils/dates.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
 const app = express();
 
+// Which X-Forwarded-For hops to believe for req.ip (login and /request rate limits key on it).
+// Behind a reverse proxy (Render, Fly, nginx…) leave it unset and every visitor shares the
+// proxy's address; set it too loosely on a bare server and clients can pick their own IP.
+// TRUST_PROXY is Express's 'trust proxy': a hop count ("1"), "true", or addresses/subnets
+// ("loopback, 10.0.0.0/8"). Unset trusts nothing.
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, '../views'));
 app.use(expressLayouts);
 app.set('layout', 'layout');
+// every view formats dates in the business timezone, not the server's
+Object.assign(app.locals, { TZ, dayKey, formatDate, formatDateTime, formatTime, inputDateTime });
 
 
+// URL tokens (calendar feeds, token-auth webhooks) are credentials: keep them out of the log
+const redactUrl = url => String(url || '').replace(/([?&]token=)[^&#]*/gi, '$1[redacted]');
+morgan.token('url', req => redactUrl(req.originalUrl || req.url));
 app.use(morgan('dev'));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// keep the raw bytes around for webhook signature checks (see services/inbound)
+const keepRawBody = (req, _res, buf) => { req.rawBody = buf; };
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 app.use(cookieParser());
 app.use((req, _res, next) => {
-  console.log('REQ', req.method, req.url);
+  console.log('REQ', req.method, redactUrl(req.url));
   next();
 });
 
 app.use('/public', express.static(path.join(__dirname, '../public')));
 
-app.use(adminClassify);
-
 app.get('/health', (_req, res) => res.json({ ok: true, time: new Date().toISOString() }));
 
-app.use('/clients', clientsRouter);
+// webhooks verify their own signatures/secrets; login/logout are public
 app.use('/webhooks', webhooks);
-app.use('/api', api);
-app.use('/', exportsRouter);
+app.use('/feeds', feedsRouter); // token in the URL, no session
+app.use('/request', requestRouter); // public booking request form
+app.use(authRouter);
 
 
+function trustProxySetting(v) {
+  const s = String(v ?? '').trim();
+  if (!s || s === 'false') return false;
+  if (s === 'true') return true;
+  if (/^\d+$/.test(s)) return Number(s);
+  return s;
+}
+
 const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '../storage');
 
 const FLAGS = {
@@ -87,101 +137,95 @@ app.get('/debug/push', (_req, res) => {
   });
 });
 
-// simple dashboard auth
-// simple dashboard auth
-function requireAuth(req, res, next){
-  // always allow webhooks
-  if (req.path.startsWith('/webhooks')) return next();
-
-  // allow login endpoints
-  if (req.path === '/login' || req.path === '/do-login') return next();
-
-  const ok = req.cookies?.sess === process.env.DASH_PASSWORD;
-
-  // if it's an API call and not authed, return 401 JSON (so fetch sees it)
-  if (req.path.startsWith('/api')) {
-    if (!ok) {
-      console.log('AUTH 401 for', req.method, req.originalUrl);
-      return res.status(401).json({ error: 'unauthorized' });
-    }
-    return next();
+// everything below needs a signed-in user (see routes/auth.js)
+app.use(requireAuth);
+app.use(csrfProtection);
+// "reconnect Google Calendar" banner (layout.ejs) for whoever can fix it
+app.use(async (req, res, next) => {
+  if (req.method === 'GET' && can(req.user, 'admin')) {
+    res.locals.calendarAlert = await calendarAlert().catch(() => null);
   }
+  next();
+});
 
-  // for normal pages, redirect to /login when not authed
-  if (!ok) return res.redirect('/login');
-
-  return next();
-}
-
-
-app.use(requireAuth);
+app.use(adminClassify);
+app.use(usersRouter);
+app.use('/clients', clientsRouter);
+app.use('/pets', petsRouter);
+app.use(uploadsRouter);
+app.use('/api', api);
+app.use('/', exportsRouter);
+app.use(feedSettingsRouter);
 
 // quick “latest notification” endpoint used by the UI ping
-app.get('/api/notifications/latest', async (_req, res) => {
+app.get('/api/notifications/latest', requirePermission('bookings:view'), async (_req, res) => {
   const last = await prisma.message.findFirst({
+    where: { direction: 'IN' }, // our own queued replies shouldn't ping
     orderBy: { createdAt: 'desc' },
     select: { id: true, createdAt: true }
   });
   res.json(last || {});
 });
 
-// Danger: one-time cleanup for demo/test residue
-app.post('/admin/cleanup-demo', async (_req, res) => {
+// Intake preview: what the webhook pipeline would do with a pasted message. Writes nothing.
+// Body: { from, body, timestamp?, platform? ('sms' default), threadId?, messageId?, name? }
+app.post('/api/intake/dry-run', requirePermission('admin'), async (req, res) => {
+  try {
+    const msg = getAdapter('json').parse({ body: { platform: 'sms', ...req.body } });
+    if (!msg) return res.status(400).json({ error: 'from and body are required' });
+    const decision = await processInbound(msg, intakeDeps);
+    res.json({ ok: true, message: msg, decision });
+  } catch (e) {
+    console.error('dry-run failed', e);
+    res.status(500).json({ error: 'dry_run_failed' });
+  }
+});
+
+// Danger: one-time cleanup for demo/test residue (to the Trash)
+app.post('/admin/cleanup-demo', requirePermission('admin'), async (req, res) => {
   const start = new Date('2025-11-12T00:00:00');
   const end   = new Date('2025-11-15T00:00:00');
+  const now = new Date();
+  const actor = actorOf(req);
 
-  const delMsgs = await prisma.message.deleteMany({
+  const delMsgs = await prisma.message.updateMany({
     where: {
       createdAt: { gte: start, lt: end },
       isBookingCandidate: true,
       extractedDatesJson: { contains: '2025-11-12' }
-    }
+    },
+    data: { deletedAt: now }
   });
 
-  const delBookings = await prisma.booking.deleteMany({
+  const demo = await prisma.booking.findMany({
     where: {
       startAt: { gte: start, lt: end },
       status: 'PENDING'
-    }
+    },
+    select: { id: true }
   });
+  for (const b of demo) await trashBooking(b.id, { actor, now, note: 'Demo cleanup' });
 
-  console.log('cleanup-demo removed', { delMsgs: delMsgs.count, delBookings: delBookings.count });
+  console.log('cleanup-demo trashed', { delMsgs: delMsgs.count, delBookings: demo.length });
+  await recordAudit({
+    actor, action: 'admin.cleanup_demo', entityId: '*', bookingId: null,
+    note: `${demo.length} bookings and ${delMsgs.count} messages moved to the Trash`
+  });
   res.redirect('/');
 });
 
-app.get('/login', (_req, res) => res.render('login'));
-
-app.post('/do-login', (req, res) => {
-  const ok = (req.body.password || '') === process.env.DASH_PASSWORD;
-  if (!ok) return res.render('login', { error:'Wrong Password' });
-  
-
-  const remember = req.body.remember === '1';
-  const cookieOpts = {
-    httpOnly: true,
-    sameSite: 'lax',
-    // set secure if behind https proxy
-    // secure: true,
-  };
-  if (remember) cookieOpts.maxAge = 60 * 24 * 60 * 60 * 1000; // 60 days
-
-  res.cookie('sess', process.env.DASH_PASSWORD, cookieOpts);
-  // redirect stays in the SAME tab
-  return res.redirect('/');
-});
-
-
 /** HOME with tabs — show ONLY threads that contain inbound booking-candidate messages */
-app.get('/', async (req, res) => {
+app.get('/', requirePermission('bookings:view'), async (req, res) => {
   const tab = (req.query.tab || 'unread').toLowerCase();
 
-  const commonInclude = { messages: { orderBy: { createdAt: 'desc' } }, pets: true };
+  // nested reads aren't filtered by the soft-delete extension (db.js)
+  const commonInclude = { messages: { where: { deletedAt: null }, orderBy: { createdAt: 'desc' } } };
 
   const [unread, pending, booked] = await Promise.all([
     // keep unread tied to inbound candidate messages
     prisma.booking.findMany({
       where: {
-        messages: { some: { direction: 'IN', isRead: false, isBookingCandidate: true } }
+        messages: { some: { direction: 'IN', isRead: false, isBookingCandidate: true, deletedAt: null } }
       },
       orderBy: { createdAt: 'desc' },
       include: commonInclude
@@ -223,13 +267,23 @@ async function runMaintenance() {
   const now = new Date();
   const cutoff = new Date(now.getTime() - (FLAGS.autoArchiveDays * 24 * 60 * 60 * 1000));
 
-  const arch = await prisma.booking.updateMany({
+  const toArchive = await prisma.booking.findMany({
     where: {
       endAt: { lt: cutoff },
       status: { in: ['PENDING', 'CONFIRMED', 'CANCELED'] }
     },
+    select: { id: true, status: true }
+  });
+  const arch = await prisma.booking.updateMany({
+    where: { id: { in: toArchive.map(b => b.id) } },
     data: { status: 'ARCHIVED' }
   });
+  for (const b of toArchive) {
+    await recordAudit({
+      actor: MAINTENANCE_ACTOR, action: 'booking.archive', entityId: b.id,
+      diff: { status: [b.status, 'ARCHIVED'] }, note: `Ended more than ${FLAGS.autoArchiveDays} days ago`
+    });
+  }
 
   // mark unread IN messages as read for newly archived threads
   const archivedIds = await prisma.booking.findMany({
@@ -243,9 +297,44 @@ async function runMaintenance() {
     });
   }
 
-  console.log('maintenance', { autoArchived: arch.count, cutoffDays: FLAGS.autoArchiveDays });
+  // standing bookings: keep occurrences materialized RECURRENCE_HORIZON_DAYS ahead
+  const recurring = await materializeAll({ actor: MAINTENANCE_ACTOR });
+
+  // bookings without a client yet (older ones, email-only that later got a phone…)
+  const clientsLinked = await linkClients({ actor: MAINTENANCE_ACTOR });
+  // per-booking pet rows from before pet profiles (no-op once folded)
+  const petsFolded = await foldPetProfiles({ actor: MAINTENANCE_ACTOR });
+
+  const sessionsPurged = await purgeSessions(now);
+  const trashPurged = await purgeExpired({ now, actor: MAINTENANCE_ACTOR });
+  // files whose booking and pets were purged
+  const uploadsPurged = await purgeOrphanUploads();
+
+  console.log('maintenance', { autoArchived: arch.count, cutoffDays: FLAGS.autoArchiveDays, recurring, clientsLinked, petsFolded, sessionsPurged, trashPurged, uploadsPurged });
 }
 
+// hourly by default; MAINTENANCE_CRON overrides (node-cron syntax)
+cron.schedule(process.env.MAINTENANCE_CRON || '5 * * * *', () => {
+  runMaintenance().catch(e => console.error('maintenance failed', e));
+});
+
+// pull Google Calendar edits every 5 minutes; CALENDAR_SYNC_CRON overrides. A slow run is
+// skipped over rather than overlapped (two pulls would share one sync token).
+let calendarSyncRunning = false;
+cron.schedule(process.env.CALENDAR_SYNC_CRON || '*/5 * * * *', async () => {
+  if (calendarSyncRunning) return;
+  calendarSyncRunning = true;
+  try {
+    const r = await pullCalendarChanges();
+    if (r.error) console.warn('calendar sync failed:', r.error);
+    else if (r.connected && (r.changes || r.conflicts || r.blocks || r.blocksRemoved)) console.log('calendar sync', r);
+  } catch (e) {
+    console.error('calendar sync failed', e);
+  } finally {
+    calendarSyncRunning = false;
+  }
+});
+
 // Save a subscription
 app.post('/push/subscribe', express.json(), async (req, res) => {
   try {
@@ -266,8 +355,8 @@ app.post('/push/subscribe', express.json(), async (req, res) => {
   }
 });
 
-// Optional broadcast test
-app.post('/push/test', async (_req, res) => {
+// Optional broadcast test (pings every subscribed device, so admins only)
+app.post('/push/test', requirePermission('admin'), async (_req, res) => {
   try {
     const subs = await loadSubs();
     const payload = JSON.stringify({
@@ -284,14 +373,18 @@ app.post('/push/test', async (_req, res) => {
 });
 
 /** BOOKING DETAIL: mark inbound as read */
-app.get('/booking/:id', async (req, res) => {
-  const booking = await prisma.booking.findUnique({
+app.get('/booking/:id', requirePermission('bookings:view'), async (req, res) => {
+  const booking = withPets(await prisma.booking.findUnique({
     where: { id: req.params.id },
-    include: { messages: { orderBy: { createdAt: 'asc' } },
-    pets: true,
-    changes: { where: { status: 'PENDING' }, orderBy: { createdAt: 'desc' } } // <— add this
+    include: { messages: { where: { deletedAt: null }, orderBy: { createdAt: 'asc' } },
+    ...PETS_INCLUDE,
+    changes: { where: { status: 'PENDING' }, orderBy: { createdAt: 'desc' } }, // <— add this
+    calendarConflicts: { where: { status: 'OPEN' }, orderBy: { createdAt: 'desc' } },
+    recurrence: true,
+    invoices: { orderBy: { createdAt: 'desc' } },
+    uploads: { orderBy: { createdAt: 'desc' } }
    }
-  });
+  }));
   if (!booking) return res.status(404).send('Not found');
 
   await prisma.message.updateMany({
@@ -299,24 +392,50 @@ app.get('/booking/:id', async (req, res) => {
     data: { isRead: true }
   });
 
-  res.render('booking', { booking, TZ });
+  // money (quote, cancellation fee, money fields in the history) only for roles that may see it
+  const finance = can(req.user, 'finance');
+  const [related, series, quote, cancellation, events, petSuggestions, vaccineWarnings, medications] = await Promise.all([
+    relatedForBooking(booking), seriesFor(booking), finance ? quoteBooking(booking) : null,
+    finance && booking.status === 'CONFIRMED' ? evaluateCancellation(booking) : null,
+    queryAudit({ bookingId: booking.id }),
+    suggestPets(booking),
+    ['PENDING', 'CONFIRMED'].includes(booking.status) ? vaccineWarningsFor(booking) : [],
+    medicationsForStay(booking)
+  ]);
+  const audit = finance ? events : withoutMoney(events);
+
+  res.render('booking', {
+    booking, TZ, outboxState, related, series, describeRecurrence, quote, cancellation, formatCents,
+    audit, ACTION_LABELS, formatAuditValue, petSuggestions, vaccineWarnings, medications, UPLOAD_KINDS
+  });
+});
+
+app.get('/invoice/:id', requirePermission('finance'), async (req, res) => {
+  const invoice = await prisma.invoice.findUnique({
+    where: { id: req.params.id },
+    include: { lines: { orderBy: { sort: 'asc' } }, payments: { orderBy: { receivedAt: 'asc' } } }
+  });
+  if (!invoice) return res.status(404).send('Not found');
+  res.render('invoice', { invoice, formatCents, methods: PAYMENT_METHODS });
 });
 
 /** ===== Manual Booking ===== */
-app.get('/bookings/new', (_req, res) => res.render('new-booking'));
-app.post('/bookings', async (req, res) => {
+app.get('/bookings/new', requirePermission('bookings:manage'), (_req, res) => res.render('new-booking'));
+app.post('/bookings', requirePermission('bookings:manage'), async (req, res) => {
   try {
     const { clientName, clientPhone, roverRelay, clientEmail, serviceType, dogsCount, startAt, endAt, notes } = req.body;
     if (!clientName || !startAt || !endAt) return res.status(400).send('clientName, startAt, endAt required');
-    const start = new Date(startAt);
-    const end   = new Date(endAt);
+    const start = parseInput(startAt);
+    const end   = parseInput(endAt);
     if (isNaN(start) || isNaN(end)) return res.status(400).send('Invalid dates');
+    const actor = actorOf(req);
 
     const created = await prisma.booking.create({
       data: {
         source: 'Manual',
         clientName: clientName.trim(),
         clientPhone: normPhone(clientPhone) || null,
+        clientId: await clientIdFor({ clientPhone, clientName }, { actor }),
         roverRelay: roverRelay?.trim() || null,
         clientEmail: clientEmail?.trim() || null,
         serviceType: serviceType?.trim() || 'Unspecified',
@@ -327,6 +446,7 @@ app.post('/bookings', async (req, res) => {
         notes: notes || null
       }
     });
+    await recordAudit({ actor, action: 'booking.create', entityId: created.id, after: created });
     res.redirect(`/booking/${created.id}`);
   } catch (e) {
     console.error(e);
@@ -335,22 +455,22 @@ app.post('/bookings', async (req, res) => {
 });
 
 /** ===== Export: Confirmed Bookings -> PDF (HTML fallback) ===== */
-app.get('/exports/confirmed', async (_req, res) => {
-  const bookings = await prisma.booking.findMany({
+app.get('/exports/confirmed', requirePermission('admin'), async (_req, res) => {
+  const bookings = (await prisma.booking.findMany({
     where: { status: 'CONFIRMED' },
     orderBy: [{ startAt: 'asc' }, { clientName: 'asc' }],
-    include: { pets: true }
-  });
+    include: PETS_INCLUDE
+  })).map(withPets);
   res.render('export-confirmed', { bookings, generatedAt: new Date(), layout: false });
 });
 
-app.get('/exports/confirmed.pdf', async (_req, res) => {
+app.get('/exports/confirmed.pdf', requirePermission('admin'), async (_req, res) => {
   try {
-    const confirmed = await prisma.booking.findMany({
+    const confirmed = (await prisma.booking.findMany({
       where: { status: 'CONFIRMED', endAt: { gte: new Date() } },
       orderBy: { startAt: 'asc' },
-      include: { pets: true }
-    });
+      include: PETS_INCLUDE
+    })).map(withPets);
 
     const html = `
 <!doctype html>
@@ -377,7 +497,7 @@ app.get('/exports/confirmed.pdf', async (_req, res) => {
           <div style="font-weight:700;font-size:16px;">${escapeHtml(b.clientName)}</div>
           <div class="muted">${escapeHtml(b.clientPhone || b.roverRelay || '—')}</div>
         </div>
-        <div class="muted">${new Date(b.startAt).toLocaleString()} → ${new Date(b.endAt).toLocaleString()}</div>
+        <div class="muted">${formatDateTime(b.startAt)} → ${formatDateTime(b.endAt)}</div>
       </div>
       <div class="muted" style="margin-top:6px;">
         <b>Service:</b> ${escapeHtml(b.serviceType || '—')} •
@@ -443,80 +563,151 @@ app.get('/exports/confirmed.pdf', async (_req, res) => {
 // (unchanged logic, kept for completeness)
 
 // tiny helpers
+// ?from=2026-11-01 means that business day, not UTC midnight
 function parseISODate(s) {
-  if (!s) return null;
-  const d = new Date(s);
-  return isNaN(d) ? null : d;
-}
-
-// get start/end of *calendar day in TZ*, expressed in UTC for DB querying
-
-
-
-function normPhone(p){
-  if (!p) return null;
-  const digits = String(p).replace(/\D+/g, '');
-  return digits.length >= 10 ? digits.slice(-10) : (digits || null);
+  const d = parseInput(s);
+  return d && !isNaN(d) ? d : null;
 }
 
 // Dashboard
-app.get('/dashboard', async (_req, res) => {
+app.get('/dashboard', requirePermission('bookings:view'), async (_req, res) => {
   const now = new Date();
-  const startOfToday = new Date(now); startOfToday.setHours(0,0,0,0);
-  const endOfToday   = new Date(now); endOfToday.setHours(23,59,59,999);
-  const next7        = new Date(now.getTime() + 7*24*60*60*1000);
+  const startOfToday = startOfDay(now);
+  const endOfToday   = endOfDay(now);
+  const next7        = addDays(now, 7);
 
-  const [todayActive, upcoming7, stalePending] = await Promise.all([
+  const [todayActive, upcoming7, stalePending, blocks, expiring, calendarChanges, calendarConflicts, calendarSync] = await Promise.all([
     prisma.booking.findMany({
       where: {
         status: { in: ['PENDING','CONFIRMED'] },
         AND: [{ endAt: { gte: startOfToday } }, { startAt: { lte: endOfToday } }]
       },
       orderBy: [{ startAt: 'asc' }, { clientName: 'asc' }],
-      include: { pets: true }
-    }),
+      include: PETS_INCLUDE
+    }).then(rows => rows.map(withPets)),
     prisma.booking.findMany({
       where: {
         status: { in: ['PENDING','CONFIRMED'] },
         startAt: { gt: endOfToday, lte: next7 }
       },
       orderBy: [{ startAt: 'asc' }, { clientName: 'asc' }],
-      include: { pets: true }
-    }),
+      include: PETS_INCLUDE
+    }).then(rows => rows.map(withPets)),
     prisma.booking.findMany({
       where: {
         status: 'PENDING',
         createdAt: { lt: new Date(now.getTime() - 24*60*60*1000) }
       },
       orderBy: { createdAt: 'asc' }
-    })
+    }),
+    // blackout periods touching today .. next 7 days
+    prisma.block.findMany({
+      where: { endAt: { gte: startOfToday }, startAt: { lte: next7 } },
+      orderBy: { startAt: 'asc' }
+    }),
+    // vaccine paperwork to ask clients for
+    upcomingExpirations({ now }),
+    // what the Google Calendar pull sync found (services/calendar-sync.js)
+    prisma.changeRequest.findMany({
+      where: { status: 'PENDING', source: 'CALENDAR', booking: { deletedAt: null } },
+      include: { booking: true },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.calendarConflict.findMany({
+      where: { status: 'OPEN', booking: { deletedAt: null } },
+      include: { booking: true },
+      orderBy: { createdAt: 'asc' }
+    }),
+    calendarSyncState()
+  ]);
+
+  const blocksToday    = blocks.filter(bl => bl.startAt <= endOfToday);
+  const blocksUpcoming = blocks.filter(bl => bl.endAt > endOfToday);
+
+  res.render('dashboard', {
+    today: todayActive, upcoming: upcoming7, stalePending, blocksToday, blocksUpcoming, expiring, vaccineLabel, TZ,
+    calendarChanges, calendarConflicts, calendarSync
+  });
+});
+
+// Capacity rules — limits per service/day type + size weighting; writes go through /api/capacity/*
+app.get('/settings/capacity', requirePermission('settings'), async (_req, res) => {
+  const [rules, weights] = await Promise.all([
+    prisma.capacityRule.findMany({ orderBy: [{ serviceType: 'asc' }, { dayType: 'asc' }] }),
+    prisma.capacityWeight.findMany({ orderBy: { minLbs: 'asc' } })
   ]);
+  res.render('capacity-settings', { rules, weights, services: CAPACITY_SERVICES, dayTypes: CAPACITY_DAY_TYPES });
+});
+
+// Rate card used by quotes; writes go through /api/pricing/rates
+app.get('/settings/pricing', requirePermission('finance'), async (_req, res) => {
+  const rates = await prisma.serviceRate.findMany({ orderBy: { serviceType: 'asc' } });
+  res.render('pricing-settings', { rates, services: PRICING_SERVICES, billingModes: BILLING_MODES });
+});
+
+app.get('/settings/cancellation', requirePermission('settings'), async (_req, res) => {
+  const policies = await prisma.cancellationPolicy.findMany({ orderBy: { serviceType: 'asc' } });
+  const tiersOf = json => { try { return JSON.parse(json || '[]'); } catch { return []; } };
+  res.render('cancellation-settings', {
+    policies: policies.map(p => ({ ...p, tiers: tiersOf(p.tiersJson), holidayTiers: p.holidayTiersJson ? tiersOf(p.holidayTiersJson) : null })),
+    services: [DEFAULT_POLICY_SERVICE, ...PRICING_SERVICES],
+    fallback: describeTiers(FALLBACK_TIERS),
+    formatTiers,
+    describeTiers
+  });
+});
+
+// Google Calendar connection: status, target calendar, disconnect/reconnect (OAuth routes at the bottom)
+app.get('/settings/calendar', requirePermission('admin'), async (req, res) => {
+  const status = await verifyConnection();
+  const [calendars, sync] = await Promise.all([
+    status.connected ? listCalendars() : [],
+    calendarSyncState()
+  ]);
+  res.render('calendar-settings', {
+    status, calendars, sync, canSeal: canSeal(),
+    connected: req.query.connected === '1',
+    error: req.query.error ? String(req.query.error) : null
+  });
+});
+
+app.post('/settings/calendar/target', requirePermission('admin'), async (req, res) => {
+  const id = String(req.body.calendarId || '').trim();
+  if (!id) {
+    await setTargetCalendar(null);
+    return res.redirect('/settings/calendar');
+  }
+  const found = (await listCalendars()).find(c => c.id === id);
+  if (!found) return res.status(400).send('That calendar isn’t on the connected account (or it’s read-only).');
+  await setTargetCalendar(found.id, found.summary);
+  res.redirect('/settings/calendar');
+});
 
-  res.render('dashboard', { today: todayActive, upcoming: upcoming7, stalePending, TZ });
+app.post('/settings/calendar/disconnect', requirePermission('admin'), async (_req, res) => {
+  await disconnectAccount();
+  res.redirect('/settings/calendar');
+});
+
+// Blocks (blackout periods) — list + add/remove UI; writes go through /api/blocks
+app.get('/blocks', requirePermission('bookings:view'), async (_req, res) => {
+  const since = new Date(Date.now() - 30*24*60*60*1000);
+  const blocks = await prisma.block.findMany({
+    where: { endAt: { gte: since } },
+    orderBy: { startAt: 'asc' }
+  });
+  res.render('blocks', { blocks });
 });
 
 // Analytics + CSV
 function fmt(n){ return Number.isFinite(n) ? n.toFixed(2) : '0.00'; }
 function padCSV(s=''){ return `"${String(s).replace(/"/g,'""')}"`; }
-// --- simple day boundary helpers (local time or your TZ wrapper) ---
-function startOfDay(d) {
-  const x = new Date(d);
-  x.setHours(0, 0, 0, 0);
-  return x;
-}
-function endOfDay(d) {
-  const x = new Date(d);
-  x.setHours(23, 59, 59, 999);
-  return x;
-}
-
 function defaultRange() {
   const to = new Date();
-  const from = new Date(to.getTime() - 90*24*60*60*1000);
+  const from = addDays(to, -90);
   return { from: startOfDay(from), to: endOfDay(to) };
 }
 
-app.get('/analytics', async (req, res) => {
+app.get('/analytics', requirePermission('analytics:view'), async (req, res) => {
   const qFrom = parseISODate(req.query.from);
   const qTo   = parseISODate(req.query.to);
 
@@ -526,8 +717,7 @@ app.get('/analytics', async (req, res) => {
 
   const bookings = await prisma.booking.findMany({
     where: { OR: [{ startAt: { gte: from, lte: to } }, { endAt: { gte: from, lte: to } }] },
-    orderBy: { startAt: 'asc' },
-    include: { pets: true }
+    orderBy: { startAt: 'asc' }
   });
 
   const msgs = await prisma.message.findMany({
@@ -579,7 +769,10 @@ app.get('/analytics', async (req, res) => {
       return { phone, name: first?.clientName || '—', count };
     });
 
-  const byDay = groupCount(createdInWin, b => new Date(b.createdAt).toISOString().slice(0,10));
+  const byDay = groupCount(createdInWin, b => dayKey(b.createdAt));
+
+  // money owed on sent invoices (not limited to the window — a balance is a balance); owners only
+  const outstanding = can(req.user, 'finance') ? await outstandingBalances(now) : null;
 
   res.render('analytics', {
     from, to,
@@ -594,6 +787,8 @@ app.get('/analytics', async (req, res) => {
     },
     topClients,
     byDay,
+    outstanding,
+    formatCents,
     TZ
   });
 
@@ -608,7 +803,7 @@ app.get('/analytics', async (req, res) => {
 });
 
 // CSV: bookings
-app.get('/exports/bookings.csv', async (req, res) => {
+app.get('/exports/bookings.csv', requirePermission('admin'), async (req, res) => {
   const qFrom = parseISODate(req.query.from);
   const qTo   = parseISODate(req.query.to);
   const status = (req.query.status || '').toString().toUpperCase();
@@ -620,7 +815,7 @@ app.get('/exports/bookings.csv', async (req, res) => {
   const where = { AND: [{ OR: [{ startAt: { gte: from, lte: to } }, { endAt: { gte: from, lte: to } }] }] };
   if (['PENDING','CONFIRMED','CANCELED'].includes(status)) where.AND.push({ status });
 
-  const rows = await prisma.booking.findMany({ where, orderBy: { startAt: 'asc' }, include: { pets: true } });
+  const rows = (await prisma.booking.findMany({ where, orderBy: { startAt: 'asc' }, include: PETS_INCLUDE })).map(withPets);
 
   const header = [
     'id','createdAt','startAt','endAt','status',
@@ -652,7 +847,7 @@ app.get('/exports/bookings.csv', async (req, res) => {
 });
 
 // CSV: messages
-app.get('/exports/messages.csv', async (req, res) => {
+app.get('/exports/messages.csv', requirePermission('admin'), async (req, res) => {
   const qFrom = parseISODate(req.query.from);
   const qTo   = parseISODate(req.query.to);
   const dir   = (req.query.dir || '').toString().toUpperCase();
@@ -697,7 +892,7 @@ app.get('/exports/messages.csv', async (req, res) => {
 /* -------------------- admin helpers / seed -------------------- */
 
 // quick counts
-app.get('/debug/counts', async (_req, res) => {
+app.get('/debug/counts', requirePermission('admin'), async (_req, res) => {
   const [bookings, messages] = await Promise.all([
     prisma.booking.count(),
     prisma.message.count()
@@ -706,7 +901,7 @@ app.get('/debug/counts', async (_req, res) => {
 });
 
 // one-click demo seed
-app.post('/admin/seed-demo', async (_req, res) => {
+app.post('/admin/seed-demo', requirePermission('admin'), async (_req, res) => {
   const now = new Date();
   const plus = d => new Date(now.getTime() + d*24*60*60*1000);
 
@@ -770,27 +965,38 @@ app.post('/admin/seed-demo', async (_req, res) => {
   res.redirect('/');
 });
 
-// nuke everything (careful)
-app.post('/admin/clear-all', async (_req, res) => {
-  await prisma.message.deleteMany({});
-  await prisma.pet.deleteMany({}).catch(()=>{});
-  await prisma.booking.deleteMany({});
+// everything to the Trash (careful) — restorable until TRASH_RETENTION_DAYS
+app.post('/admin/clear-all', requirePermission('admin'), async (req, res) => {
+  const now = new Date();
+  const actor = actorOf(req);
+  const all = await prisma.booking.findMany({ select: { id: true } });
+  for (const b of all) await trashBooking(b.id, { actor, now, note: 'Clear all' });
+  const loose = await prisma.message.updateMany({ where: { bookingId: null }, data: { deletedAt: now } });
+  await recordAudit({
+    actor, action: 'admin.clear_all', entityId: '*', bookingId: null,
+    note: `${all.length} bookings and ${loose.count} unlinked messages moved to the Trash`
+  });
   res.redirect('/');
 });
 
+// --- Trash: restore or purge deleted bookings, clients, pets and loose messages
+app.get('/trash', requirePermission('bookings:delete'), async (_req, res) => {
+  res.render('trash', { ...(await listTrash()), purgeDate, retentionDays: TRASH_RETENTION_DAYS });
+});
+
 
 
 // --- Admin Tools page
-app.get('/admin/tools', (_req, res) => {
+app.get('/admin/tools', requirePermission('admin'), (_req, res) => {
   res.render('admin-tools');
 });
 
 // --- Batch: Double-check & auto-fill
-app.post('/admin/intake/reparse', express.urlencoded({ extended: true }), async (req, res) => {
+app.post('/admin/intake/reparse', requirePermission('admin'), express.urlencoded({ extended: true }), async (req, res) => {
   try {
     const days = Number(req.body.days) || 120;
     const onlyUnlinked = !!req.body.onlyUnlinked;
-    const result = await reparseAll(prisma, { days, onlyUnlinked });
+    const result = await reparseAll(prisma, { days, onlyUnlinked, actor: actorOf(req) });
     res.render('admin-tools', { result });
   } catch (e) {
     console.error(e);
@@ -802,35 +1008,38 @@ app.post('/admin/intake/reparse', express.urlencoded({ extended: true }), async
 const port = process.env.PORT || 3000;
 app.listen(port, '0.0.0.0', () => console.log(`Listening on http://localhost:${port}`));
 
+// fold legacy per-booking pets right away rather than at the first maintenance run
+foldPetProfiles({ actor: MAINTENANCE_ACTOR })
+  .then(r => { if (r.profiles) console.log('pets folded', r); })
+  .catch(e => console.error('pet fold failed', e));
+
 /* ===== OAuth (Calendar) ===== */
-app.get('/api/auth/google/start', (_req, res) => {
-  const o = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-  );
-  const url = o.generateAuthUrl({
+// `state` ties the callback to the browser session that started it
+const oauthState = req => hmac('sha256', req.session.csrfToken, 'google-oauth');
+
+app.get('/api/auth/google/start', requirePermission('admin'), (req, res) => {
+  const url = oauthClient().generateAuthUrl({
     access_type: 'offline',
     prompt: 'consent',
+    state: oauthState(req),
     scope: [
       'https://www.googleapis.com/auth/calendar.events',
-      'https://www.googleapis.com/auth/calendar.readonly'
+      'https://www.googleapis.com/auth/calendar.readonly',
+      'https://www.googleapis.com/auth/userinfo.email'
     ]
   });
   res.redirect(url);
 });
 
-app.get('/api/auth/google/callback', async (req, res) => {
+app.get('/api/auth/google/callback', requirePermission('admin'), async (req, res) => {
+  if (req.query.error) return res.redirect(`/settings/calendar?error=${encodeURIComponent(String(req.query.error))}`);
+  if (!safeEqual(String(req.query.state || ''), oauthState(req))) return res.status(400).send('OAuth state mismatch. Start again from Settings → Calendar.');
   try {
-    const o = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-    const { tokens } = await o.getToken(req.query.code);
-    res.send(`<pre>Copy this REFRESH TOKEN into .env as GOOGLE_REFRESH_TOKEN:\n\n${tokens.refresh_token || '(none)'}\n\nThen restart the server.</pre>`);
+    const { tokens } = await oauthClient().getToken(String(req.query.code || ''));
+    await connectAccount(tokens);
+    res.redirect('/settings/calendar?connected=1');
   } catch (e) {
     console.error(e);
-    res.status(500).send('OAuth error. Check console.');
+    res.redirect(`/settings/calendar?error=${encodeURIComponent(e?.message || 'OAuth error')}`);
   }
 });
@@ -0,0 +1,181 @@
+// src/services/audit.js
+// Who changed what: every booking/client mutation (routes, intake, maintenance) writes an
+// AuditEvent with a before/after diff. The booking page shows them as a timeline and
+// GET /api/audit queries them.
+import { prisma } from '../db.js';
+import { formatDateTime } from './utils/dates.js';
+
+/** Actor for changes nobody in particular asked for. */
+export const SYSTEM_ACTOR = { type: 'system', label: 'system' };
+/** Actor for the hourly maintenance job (auto-archive, recurrences). */
+export const MAINTENANCE_ACTOR = { type: 'system', label: 'maintenance' };
+/** Actor for what the Google Calendar pull sync finds (services/calendar-sync.js). */
+export const CALENDAR_ACTOR = { type: 'system', label: 'google-calendar' };
+/** Actor for bookings a client sends through the public /request form. */
+export const REQUEST_FORM_ACTOR = { type: 'system', label: 'request-form' };
+
+/** The signed-in user behind a request. */
+export function actorOf(req) {
+  if (!req?.user) return SYSTEM_ACTOR;
+  return { type: 'user', id: req.user.id, label: req.user.username };
+}
+
+/** Intake from a webhook provider ("sms-forward", "twilio"…). */
+export const webhookActor = provider => ({ type: 'webhook', label: `webhook:${provider || 'unknown'}` });
+
+// money fields are hidden from roles without `finance`
+export const MONEY_FIELDS = ['rateCents', 'cancelFeeCents', 'cancelPolicy'];
+
+export const ACTION_LABELS = {
+  'booking.create': 'Created',
+  'booking.update': 'Edited',
+  'booking.delete': 'Moved to the Trash',
+  'booking.restore': 'Restored from the Trash',
+  'booking.purge': 'Purged',
+  'booking.confirm': 'Confirmed',
+  'booking.cancel': 'Canceled',
+  'booking.reschedule': 'Dates changed (change request accepted)',
+  'booking.merge': 'Merged a duplicate in',
+  'booking.quote': 'Quote saved',
+  'booking.check_in': 'Checked in',
+  'booking.check_in_undo': 'Check-in undone',
+  'booking.archive': 'Archived',
+  'booking.series': 'Linked into a series',
+  'booking.reparse': 'Re-parsed from its messages',
+  'change.create': 'Change requested',
+  'change.decline': 'Change request declined',
+  'change.withdraw': 'Change request withdrawn',
+  'calendar.event_deleted': 'Calendar event deleted in Google Calendar',
+  'calendar.event_restored': 'Calendar event put back',
+  'calendar.conflict_dismiss': 'Calendar conflict dismissed',
+  'message.move': 'Message moved',
+  'pet.create': 'Pet added',
+  'pet.update': 'Pet edited',
+  'pet.attach': 'Pet added to the stay',
+  'pet.detach': 'Pet removed from the stay',
+  'pet.stay_update': "This stay's pet notes edited",
+  'pet.merge': 'Duplicate pet rows folded into one profile',
+  'pet.delete': 'Pet moved to the Trash',
+  'pet.restore': 'Pet restored from the Trash',
+  'pet.purge': 'Pet purged',
+  'pet.vaccine_add': 'Vaccine record added',
+  'pet.vaccine_delete': 'Vaccine record removed',
+  'pet.med_add': 'Medication added',
+  'pet.med_delete': 'Medication removed',
+  'upload.create': 'File uploaded',
+  'upload.delete': 'File removed',
+  'client.create': 'Client added',
+  'client.update': 'Client edited',
+  'client.delete': 'Client moved to the Trash',
+  'client.restore': 'Client restored',
+  'client.purge': 'Client purged',
+  'admin.cleanup_demo': 'Demo data cleaned up',
+  'admin.clear_all': 'All bookings cleared'
+};
+
+// bookkeeping columns and relations aren't interesting in a diff
+const SKIP = new Set(['id', 'createdAt', 'updatedAt']);
+
+function plain(v) {
+  if (v instanceof Date) return v.toISOString();
+  return v === undefined ? null : v;
+}
+
+/**
+ * Changed scalar fields as { field: [before, after] }. `before` null means created,
+ * `after` null means deleted; nested objects (included relations) are ignored.
+ */
+export function diffRecords(before, after) {
+  const out = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    if (SKIP.has(k)) continue;
+    const a = plain(before?.[k]), b = plain(after?.[k]);
+    if ((a && typeof a === 'object') || (b && typeof b === 'object')) continue;
+    if (a !== b) out[k] = [a, b];
+  }
+  return out;
+}
+
+/**
+ * Write one event. `diff` wins over before/after when given. Nothing is written when the
+ * diff is empty and there's no note (e.g. a PATCH that changed nothing).
+ * Never throws: a failed audit write must not fail the change it describes.
+ * @param {{ actor?: { type: string, id?: string, label: string }, action: string, entityType?: string,
+ *   entityId: string, bookingId?: string|null, before?: object|null, after?: object|null,
+ *   diff?: object, sourceMessageId?: string|null, note?: string|null }} e
+ */
+export async function recordAudit({
+  actor = SYSTEM_ACTOR, action, entityType = 'Booking', entityId, bookingId,
+  before = null, after = null, diff, sourceMessageId = null, note = null
+}) {
+  const changes = diff || diffRecords(before, after);
+  if (!Object.keys(changes).length && !note) return null;
+  try {
+    return await prisma.auditEvent.create({
+      data: {
+        actorType: actor.type,
+        actorId: actor.id || null,
+        actorLabel: actor.label,
+        action,
+        entityType,
+        entityId,
+        bookingId: bookingId !== undefined ? bookingId : (entityType === 'Booking' ? entityId : null),
+        diffJson: JSON.stringify(changes),
+        sourceMessageId,
+        note
+      }
+    });
+  } catch (e) {
+    console.error('[audit] write failed', action, entityType, entityId, e);
+    return null;
+  }
+}
+
+/**
+ * Query events, newest first. `action` may end in "*" for a prefix ("booking.*");
+ * `field` keeps events whose diff touches that field ("startAt").
+ * @param {{ bookingId?: string, entityType?: string, entityId?: string, action?: string,
+ *   actorId?: string, actor?: string, field?: string, since?: Date, until?: Date, limit?: number }} [q]
+ * @returns {Promise<Array<object & { diff: object }>>} diffJson parsed into `diff`
+ */
+export async function queryAudit({
+  bookingId, entityType, entityId, action, actorId, actor, field, since, until, limit = 100
+} = {}) {
+  const where = {};
+  if (bookingId) where.bookingId = bookingId;
+  if (entityType) where.entityType = entityType;
+  if (entityId) where.entityId = entityId;
+  if (action) where.action = action.endsWith('*') ? { startsWith: action.slice(0, -1) } : action;
+  if (actorId) where.actorId = actorId;
+  if (actor) where.actorLabel = actor;
+  if (field) where.diffJson = { contains: JSON.stringify(field) + ':' };
+  if (since || until) where.createdAt = { ...(since ? { gte: since } : {}), ...(until ? { lte: until } : {}) };
+
+  const rows = await prisma.auditEvent.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    take: Math.min(Math.max(Number(limit) || 100, 1), 500)
+  });
+  return rows.map(({ diffJson, ...e }) => ({ ...e, diff: parseDiff(diffJson) }));
+}
+
+function parseDiff(json) {
+  try { return JSON.parse(json || '{}'); } catch { return {}; }
+}
+
+/** Drop money fields from events' diffs (for roles without `finance`). */
+export function withoutMoney(events) {
+  return events.map(e => {
+    const diff = { ...e.diff };
+    for (const f of MONEY_FIELDS) delete diff[f];
+    return { ...e, diff };
+  });
+}
+
+/** A diff value for display: ISO dates become business-timezone date-times, null becomes "—". */
+export function formatAuditValue(v) {
+  if (v === null || v === undefined || v === '') return '—';
+  if (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(v)) return formatDateTime(v);
+  return String(v);
+}
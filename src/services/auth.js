@@ -0,0 +1,138 @@
+// src/services/auth.js
+// Dashboard users, password hashing (scrypt) and server-side sessions. The browser only holds a
+// random session token; the DB stores its SHA-256, so a leaked table can't be replayed.
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { prisma } from '../db.js';
+import { safeEqual } from './utils/signature.js';
+import { ROLES } from './permissions.js';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LEN = 64;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
+export const REMEMBER_DAYS = Number(process.env.SESSION_REMEMBER_DAYS || 60);
+export const MIN_PASSWORD_LENGTH = 8;
+// lastSeenAt is only written this often, not on every request
+const TOUCH_EVERY_MS = 5 * 60 * 1000;
+
+/** "scrypt$<salt b64>$<key b64>" */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, KEY_LEN);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const got = await scrypt(String(password ?? ''), Buffer.from(salt, 'base64'), KEY_LEN);
+  return safeEqual(got.toString('base64'), key);
+}
+
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+export const normUsername = u => String(u || '').trim().toLowerCase();
+
+/** New users are helpers unless a role is given. Returns { user } or { error }. */
+export async function createUser({ username, name, password, role = 'helper' }) {
+  const u = normUsername(username);
+  if (!/^[a-z0-9._@-]{2,64}$/.test(u)) return { error: 'username must be 2-64 letters, digits or . _ @ -' };
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  if (!ROLES.includes(role)) return { error: `role must be one of ${ROLES.join(', ')}` };
+
+  const user = await prisma.user.create({
+    data: { username: u, name: name ? String(name).trim() : null, role, passwordHash: await hashPassword(password) }
+  }).catch(e => (e?.code === 'P2002' ? null : Promise.reject(e)));
+  if (!user) return { error: `${u} already exists` };
+  return { user };
+}
+
+/** Check a login. Returns the user, or null (unknown user, wrong password, disabled). */
+export async function authenticate(username, password) {
+  const user = await prisma.user.findUnique({ where: { username: normUsername(username) } });
+  // hash anyway so unknown usernames take as long as wrong passwords
+  const ok = await verifyPassword(password, user?.passwordHash || 'scrypt$AAAA$AAAA');
+  if (!user || !ok || user.disabledAt) return null;
+  return user;
+}
+
+/** Change a password and end every other session of that user. */
+export async function setPassword(userId, password, { keepSessionId } = {}) {
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  await prisma.user.update({ where: { id: userId }, data: { passwordHash: await hashPassword(password) } });
+  await revokeUserSessions(userId, { exceptId: keepSessionId });
+  return { ok: true };
+}
+
+/**
+ * Start a session. The returned token goes in the cookie; only its hash is stored.
+ * @returns {Promise<{ token: string, session: object, maxAgeMs: number|null }>}
+ */
+export async function createSession(user, { remember = false, userAgent, ip } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const ttl = remember ? REMEMBER_DAYS * 24 * HOUR_MS : SESSION_TTL_HOURS * HOUR_MS;
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      tokenHash: sha256(token),
+      csrfToken: crypto.randomBytes(24).toString('base64url'),
+      expiresAt: new Date(Date.now() + ttl),
+      userAgent: userAgent ? String(userAgent).slice(0, 200) : null,
+      ip: ip || null
+    }
+  });
+  await prisma.user.update({ where: { id: user.id }, data: { lastLoginAt: new Date() } });
+  return { token, session, maxAgeMs: remember ? ttl : null };
+}
+
+/** Live session (with user) for a cookie token, or null if unknown/expired/revoked/disabled. */
+export async function sessionFromToken(token, now = new Date()) {
+  if (!token) return null;
+  const session = await prisma.session.findUnique({ where: { tokenHash: sha256(String(token)) }, include: { user: true } });
+  if (!session || session.revokedAt || session.expiresAt <= now || session.user.disabledAt) return null;
+
+  if (now - session.lastSeenAt > TOUCH_EVERY_MS) {
+    await prisma.session.update({ where: { id: session.id }, data: { lastSeenAt: now } }).catch(() => {});
+  }
+  return session;
+}
+
+export async function revokeSession(id) {
+  return prisma.session.updateMany({ where: { id, revokedAt: null }, data: { revokedAt: new Date() } });
+}
+
+export async function revokeUserSessions(userId, { exceptId } = {}) {
+  return prisma.session.updateMany({
+    where: { userId, revokedAt: null, ...(exceptId ? { id: { not: exceptId } } : {}) },
+    data: { revokedAt: new Date() }
+  });
+}
+
+/** Drop sessions that ended more than a day ago (maintenance). */
+export async function purgeSessions(now = new Date()) {
+  const before = new Date(now.getTime() - 24 * HOUR_MS);
+  const r = await prisma.session.deleteMany({
+    where: { OR: [{ expiresAt: { lt: before } }, { revokedAt: { lt: before } }] }
+  });
+  return r.count;
+}
+
+/**
+ * Migration path for installs that only have DASH_PASSWORD: with no users yet, create one
+ * (DASH_USER, default "owner") whose password is DASH_PASSWORD. No-op once any user exists.
+ * The old password is kept as-is even if shorter than MIN_PASSWORD_LENGTH.
+ */
+export async function ensureBootstrapUser() {
+  if (await prisma.user.count()) return null;
+  const password = process.env.DASH_PASSWORD;
+  if (!password) {
+    console.warn('[auth] no users and no DASH_PASSWORD — nobody can sign in');
+    return null;
+  }
+  const user = await prisma.user.create({
+    data: { username: normUsername(process.env.DASH_USER || 'owner'), name: 'Owner', role: 'owner', passwordHash: await hashPassword(password) }
+  });
+  console.log(`[auth] created user "${user.username}" from DASH_PASSWORD — sign in with it, then change the password under Settings → Users`);
+  return user;
+}
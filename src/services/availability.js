@@ -0,0 +1,41 @@
+// src/services/availability.js
+// One window checked against Google busy times, blackout blocks and capacity. Backs
+// GET /api/availability and the public request form, so both see the same answer.
+import { prisma } from '../db.js';
+import { listBusy, hasCalendarCredentials } from './calendar.js';
+import { evaluateCapacity } from './capacity.js';
+import { findOverlappingBlocks } from './blocks.js';
+import { LIVE_STAYS } from './pets.js';
+
+/**
+ * @param {{ startAt: Date, endAt: Date, serviceType?: string, dogsCount?: number, bookingId?: string|null }} req
+ *   bookingId: an existing booking being re-checked (its own dogs and stay don't count against it)
+ * @returns {Promise<{ busy: Array<{start: string, end: string}>, blocks: object[], cap: object, calendarConnected: boolean }>}
+ */
+export async function checkAvailability({ startAt, endAt, serviceType, dogsCount = 1, bookingId = null }) {
+  const busy = await listBusy(startAt, endAt);
+  const calendarConnected = await hasCalendarCredentials();
+
+  let pets = [];
+  if (bookingId) {
+    const stays = await prisma.bookingPet.findMany({ where: { bookingId, ...LIVE_STAYS }, select: { pet: { select: { weightLbs: true } } } });
+    pets = stays.map(s => s.pet);
+  }
+  const cap = await evaluateCapacity(
+    { startAt, endAt, pets, serviceType, dogsCount },
+    { excludeBookingId: bookingId }
+  );
+  const blocks = await findOverlappingBlocks(startAt, endAt);
+  return { busy, blocks, cap, calendarConnected };
+}
+
+/**
+ * Why a window can't be booked, in the order the booking page reports it:
+ * 'blocked' (blackout), 'busy' (Google Calendar), 'full' (over capacity); null when it's free.
+ */
+export function unavailableReason({ blocks, busy, cap }) {
+  if (blocks.length) return 'blocked';
+  if (busy.length) return 'busy';
+  if (cap.willExceed) return 'full';
+  return null;
+}
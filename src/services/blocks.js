@@ -0,0 +1,54 @@
+// src/services/blocks.js
+import { prisma } from '../db.js';
+import { parseInput, formatDate } from './utils/dates.js';
+
+/**
+ * Blackout periods (vacations, sick days) that overlap a window.
+ * Touching edges don't count: a block ending at 9am doesn't conflict with a 9am drop-off.
+ * @param {Date} startAt
+ * @param {Date} endAt
+ * Throws when the lookup fails: a failed check must never read as "nothing blocked".
+ * @returns {Promise<Array<{ id: string, startAt: Date, endAt: Date, reason: string }>>}
+ */
+export async function findOverlappingBlocks(startAt, endAt) {
+  const s = new Date(startAt), e = new Date(endAt);
+  if (isNaN(s) || isNaN(e)) return [];
+  return prisma.block.findMany({
+    where: { startAt: { lt: e }, endAt: { gt: s } },
+    orderBy: { startAt: 'asc' }
+  });
+}
+
+/** Short human label for a block, e.g. "Vacation (11/3/2025 – 11/5/2025)". */
+export function describeBlock(b) {
+  const s = formatDate(b.startAt);
+  const e = formatDate(b.endAt);
+  return `${b.reason || 'Blocked'} (${s} – ${e})`;
+}
+
+/**
+ * Validate + normalize a block payload from a form/JSON body.
+ * Returns { data } or { error }.
+ */
+export function parseBlockInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.startAt != null && body.startAt !== '') {
+    const d = parseInput(body.startAt);
+    if (isNaN(d)) return { error: 'Invalid startAt' };
+    data.startAt = d;
+  } else if (!partial) return { error: 'startAt is required' };
+
+  if (body.endAt != null && body.endAt !== '') {
+    const d = parseInput(body.endAt);
+    if (isNaN(d)) return { error: 'Invalid endAt' };
+    data.endAt = d;
+  } else if (!partial) return { error: 'endAt is required' };
+
+  if (body.reason != null) data.reason = String(body.reason).trim() || 'Unavailable';
+  else if (!partial) data.reason = 'Unavailable';
+
+  if (data.startAt && data.endAt && data.endAt <= data.startAt) {
+    return { error: 'endAt must be after startAt' };
+  }
+  return { data };
+}
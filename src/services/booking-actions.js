@@ -0,0 +1,78 @@
+// src/services/booking-actions.js
+// Confirm / decline a booking, shared by the single-booking and series routes.
+import { prisma } from '../db.js';
+import { createOrUpdateBusyEvent, deleteBusyEvent } from './calendar.js';
+import { evaluateCapacity } from './capacity.js';
+import { findOverlappingBlocks, describeBlock } from './blocks.js';
+import { evaluateCancellation } from './cancellation.js';
+import { recordAudit } from './audit.js';
+import { findBookingWithPets } from './pets.js';
+import { vaccineWarningsFor } from './health.js';
+
+/**
+ * Confirm a booking and sync its calendar event (opaque when it fills capacity).
+ * A Block is a hard conflict: returns { error: 'blocked', blocks } unless `override`.
+ * `actor` is recorded in the audit log (services/audit.js). Vaccine problems (missing, or
+ * expiring before endAt) don't stop it; they come back as `vaccineWarnings`.
+ * @returns {Promise<{ booking, cap, transparency: string, vaccineWarnings: object[], overriddenBlocks?: object[] } | { error: 'blocked', blocks: object[] }>}
+ */
+export async function confirmBooking(b, { override = false, actor } = {}) {
+  const blocks = await findOverlappingBlocks(b.startAt, b.endAt);
+  if (blocks.length && !override) return { error: 'blocked', blocks };
+
+  const cap = await evaluateCapacity(b, { excludeBookingId: b.id });
+  const transparency = cap.atCapacity ? 'opaque' : 'transparent';
+
+  const booking = await prisma.booking.update({
+    where: { id: b.id }, data: { status: 'CONFIRMED' }
+  });
+
+  await recordAudit({
+    actor, action: 'booking.confirm', entityId: booking.id, before: b, after: booking,
+    note: blocks.length ? `Confirmed over blocked time: ${blocks.map(describeBlock).join('; ')}` : null
+  });
+
+  await createOrUpdateBusyEvent(booking, transparency);
+  const vaccineWarnings = await vaccineWarningsFor(booking);
+  return { booking, cap, transparency, vaccineWarnings, overriddenBlocks: blocks.length ? blocks : undefined };
+}
+
+/**
+ * Cancel a booking, drop its calendar event and record who canceled, why and the fee.
+ * A fee is only charged when the client cancels a CONFIRMED booking (and it isn't waived);
+ * it comes from the service's cancellation policy.
+ * @param {string} id
+ * @param {{ by?: 'client'|'sitter', reason?: string|null, waiveFee?: boolean, now?: Date, actor?: object }} [opts]
+ */
+export async function declineBooking(id, { by = 'sitter', reason = null, waiveFee = false, now = new Date(), actor } = {}) {
+  const b = await findBookingWithPets(id);
+  if (!b) return null;
+
+  let cancellation = null;
+  if (by === 'client' && b.status === 'CONFIRMED' && !waiveFee) {
+    cancellation = await evaluateCancellation(b, { now });
+  }
+
+  const booking = await prisma.booking.update({
+    where: { id },
+    data: {
+      status: 'CANCELED',
+      canceledAt: now,
+      canceledBy: by,
+      cancelReason: reason ? String(reason).trim() : null,
+      cancelFeeCents: cancellation?.feeCents ?? 0,
+      cancelPolicy: cancellation ? cancellation.summary : null
+    }
+  });
+  await recordAudit({
+    actor, action: 'booking.cancel', entityId: booking.id, before: b, after: booking,
+    note: waiveFee && by === 'client' ? 'Cancellation fee waived' : null
+  });
+  await deleteBusyEvent(booking.id);
+  // an event deleted in Google Calendar (services/calendar-sync.js) is now what we want
+  await prisma.calendarConflict.updateMany({
+    where: { bookingId: booking.id, status: 'OPEN' },
+    data: { status: 'DISMISSED', resolvedAt: now }
+  });
+  return booking;
+}
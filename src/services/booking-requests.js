@@ -0,0 +1,108 @@
+// src/services/booking-requests.js
+// Booking requests from the public /request form: structured fields instead of a free-form
+// text for intake.js to guess at. A request becomes a PENDING booking with an IN message
+// on its thread, exactly like a texted request that parsed cleanly.
+import { prisma } from '../db.js';
+import { recordAudit, REQUEST_FORM_ACTOR } from './audit.js';
+import { clientIdFor } from './clients.js';
+import { savePetForBooking } from './pets.js';
+import { PRICING_SERVICES } from './pricing.js';
+import { buildEID } from './utils/eid.js';
+import { normPhone } from './utils/phone.js';
+import { parseInput, formatRange, DAY_MS } from './utils/dates.js';
+
+export const REQUEST_SERVICES = PRICING_SERVICES;
+// how far ahead a client may ask
+const REQUEST_MAX_DAYS_AHEAD = Number(process.env.REQUEST_MAX_DAYS_AHEAD || 365);
+const MAX_PETS = 6;
+
+const clip = (v, n) => String(v ?? '').trim().slice(0, n);
+
+/**
+ * Validate + normalize the form body.
+ * Returns { data } or { error } (the error is shown to the client as is).
+ * @param {object} body name, phone, serviceType, startAt, endAt, pets (one per line or comma-separated), notes
+ */
+export function parseRequestInput(body = {}, { now = new Date() } = {}) {
+  const clientName = clip(body.name, 80);
+  if (!clientName) return { error: 'Please enter your name.' };
+
+  const clientPhone = normPhone(body.phone);
+  if (!clientPhone || clientPhone.length < 10) return { error: 'Please enter a phone number I can text, with area code.' };
+
+  const serviceType = REQUEST_SERVICES.find(s => s === body.serviceType);
+  if (!serviceType) return { error: 'Please pick a service.' };
+
+  const startAt = parseInput(body.startAt);
+  const endAt = parseInput(body.endAt);
+  if (!startAt || !endAt || isNaN(startAt) || isNaN(endAt)) return { error: 'Please pick a start and end date and time.' };
+  if (endAt <= startAt) return { error: 'The end has to be after the start.' };
+  if (startAt <= now) return { error: 'The start is in the past.' };
+  if (startAt > new Date(now.getTime() + REQUEST_MAX_DAYS_AHEAD * DAY_MS)) return { error: 'That is too far ahead to book yet.' };
+
+  const seen = new Set();
+  const pets = String(body.pets || '').split(/[\n,]+/).map(p => clip(p, 40))
+    .filter(p => p && !seen.has(p.toLowerCase()) && seen.add(p.toLowerCase()));
+  if (!pets.length) return { error: "Please list your pets' names." };
+  if (pets.length > MAX_PETS) return { error: `For more than ${MAX_PETS} pets, please text me instead.` };
+
+  return {
+    data: { clientName, clientPhone, serviceType, startAt, endAt, pets, notes: clip(body.notes, 1000) || null }
+  };
+}
+
+/** The message body stored on the thread, so the inbox reads like any other request. */
+function requestText(d) {
+  return [
+    `Booking request (web form): ${d.serviceType}`,
+    formatRange(d.startAt, d.endAt),
+    `Pets: ${d.pets.join(', ')}`,
+    ...(d.notes ? [`Notes: ${d.notes}`] : [])
+  ].join('\n');
+}
+
+/**
+ * Create the PENDING booking (client linked, pets attached) and its IN message.
+ * @param {ReturnType<typeof parseRequestInput>['data']} data
+ * @returns {Promise<{ booking: object, message: object }>}
+ */
+export async function createBookingRequest(data, { now = new Date() } = {}) {
+  const actor = REQUEST_FORM_ACTOR;
+  const booking = await prisma.booking.create({
+    data: {
+      source: 'Request form',
+      clientName: data.clientName,
+      clientPhone: data.clientPhone,
+      clientId: await clientIdFor({ clientPhone: data.clientPhone, clientName: data.clientName }, { actor }),
+      serviceType: data.serviceType,
+      dogsCount: data.pets.length,
+      startAt: data.startAt,
+      endAt: data.endAt,
+      status: 'PENDING',
+      notes: data.notes
+    }
+  });
+
+  const body = requestText(data);
+  const message = await prisma.message.create({
+    data: {
+      eid: buildEID({ platform: 'request-form', from: data.clientPhone, body, timestamp: now.getTime() }),
+      platform: 'request-form',
+      direction: 'IN',
+      channel: 'WEB',
+      fromPhone: data.clientPhone,
+      fromLabel: data.clientName,
+      body,
+      isRead: false,
+      isBookingCandidate: true,
+      extractedDatesJson: JSON.stringify([{ startISO: data.startAt.toISOString(), endISO: data.endAt.toISOString() }]),
+      bookingId: booking.id
+    }
+  });
+  await recordAudit({ actor, action: 'booking.create', entityId: booking.id, after: booking, sourceMessageId: message.id, note: 'Requested through the web form' });
+
+  // a returning client's profiles are matched by name (savePetForBooking reuses them)
+  for (const name of data.pets) await savePetForBooking(booking, { name }, { actor });
+
+  return { booking, message };
+}
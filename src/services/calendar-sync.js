@@ -0,0 +1,212 @@
+// src/services/calendar-sync.js
+// Pull side of the Google Calendar sync. calendar.js only pushes; this reads back what changed
+// in the calendar since the last run (events.list with an incremental sync token) so that:
+//   - a booking's event dragged to other times becomes a CALENDAR change request,
+//   - a booking's event deleted while the stay is still on becomes a CalendarConflict,
+//   - personal busy events (no bookingId property) become CALENDAR Blocks.
+// The hub never changes a booking on its own here; the sitter decides on the booking page.
+import { prisma } from '../db.js';
+import { calendarClient, createOrUpdateBusyEvent, withRetries, isInvalidGrant, flagInvalidGrant } from './calendar.js';
+import { evaluateCapacity } from './capacity.js';
+import { recordAudit, CALENDAR_ACTOR } from './audit.js';
+import { parseInput, formatRange, DAY_MS } from './utils/dates.js';
+
+// how far back the first (or a reset) full sync looks; the token covers everything after that
+const FULL_SYNC_DAYS = Number(process.env.CALENDAR_SYNC_DAYS || 30);
+// only confirmed bookings have an event (booking-actions.js); canceled ones lost theirs on purpose
+const LIVE_STATUSES = ['CONFIRMED'];
+
+// 410 Gone: the sync token expired or was invalidated, start over with a full sync
+function isGone(err) {
+  return (err?.response?.status || err?.code) === 410;
+}
+
+// { dateTime } for timed events, { date } (business-day midnight, end exclusive) for all-day ones
+function eventTime(t) {
+  const d = t?.dateTime ? new Date(t.dateTime) : parseInput(t?.date);
+  return d && !isNaN(d) ? d : null;
+}
+
+const sameInstant = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+const fullSyncFrom = now => new Date(now.getTime() - FULL_SYNC_DAYS * DAY_MS);
+
+async function fetchChanges(cal, calendarId, syncToken, now) {
+  const items = [];
+  let pageToken = null;
+  for (;;) {
+    const params = syncToken
+      ? { calendarId, syncToken }
+      : { calendarId, timeMin: fullSyncFrom(now).toISOString() };
+    const { data } = await withRetries(
+      () => cal.events.list({ ...params, singleEvents: true, maxResults: 250, ...(pageToken && { pageToken }) }),
+      'events.list(sync)'
+    );
+    items.push(...(data.items || []));
+    if (!data.nextPageToken) return { items, nextSyncToken: data.nextSyncToken || null };
+    pageToken = data.nextPageToken;
+  }
+}
+
+async function withdrawChange(cr, note) {
+  await prisma.changeRequest.delete({ where: { id: cr.id } });
+  await recordAudit({
+    actor: CALENDAR_ACTOR, action: 'change.withdraw', entityType: 'ChangeRequest', entityId: cr.id,
+    bookingId: cr.bookingId, before: cr, note
+  });
+}
+
+async function applyBookingEvent(ev, booking, totals) {
+  if (!booking || !LIVE_STATUSES.includes(booking.status)) return;
+
+  if (ev.status === 'cancelled') {
+    // an older duplicate going away isn't the booking's event going away
+    if (booking.calendarEventId && booking.calendarEventId !== ev.id) return;
+    const open = await prisma.calendarConflict.findFirst({ where: { bookingId: booking.id, status: 'OPEN' } });
+    if (open) return;
+    const conflict = await prisma.calendarConflict.create({ data: { bookingId: booking.id, eventId: ev.id } });
+    await recordAudit({
+      actor: CALENDAR_ACTOR, action: 'calendar.event_deleted', entityType: 'CalendarConflict', entityId: conflict.id,
+      bookingId: booking.id, after: conflict, note: 'The booking is still confirmed'
+    });
+    totals.conflicts++;
+    return;
+  }
+
+  // deleted and then undone in Google Calendar: the same event is back
+  await prisma.calendarConflict.updateMany({
+    where: { bookingId: booking.id, eventId: ev.id, status: 'OPEN' },
+    data: { status: 'RESTORED', resolvedAt: new Date() }
+  });
+
+  const startAt = eventTime(ev.start), endAt = eventTime(ev.end);
+  if (!startAt || !endAt) return;
+  const pending = await prisma.changeRequest.findMany({
+    where: { bookingId: booking.id, status: 'PENDING', source: 'CALENDAR' }
+  });
+
+  // our own push echoing back, or the event dragged back to where it was
+  if (sameInstant(startAt, booking.startAt) && sameInstant(endAt, booking.endAt)) {
+    for (const cr of pending) await withdrawChange(cr, 'Event is back at the booked times');
+    return;
+  }
+  if (pending.some(cr => sameInstant(cr.newStartAt, startAt) && sameInstant(cr.newEndAt, endAt))) return;
+
+  // dragged again before anyone decided: the latest position replaces the earlier request
+  for (const cr of pending) await withdrawChange(cr, 'Event moved again in Google Calendar');
+  const cr = await prisma.changeRequest.create({
+    data: {
+      bookingId: booking.id, source: 'CALENDAR',
+      oldStartAt: booking.startAt, oldEndAt: booking.endAt, newStartAt: startAt, newEndAt: endAt
+    }
+  });
+  await recordAudit({
+    actor: CALENDAR_ACTOR, action: 'change.create', entityType: 'ChangeRequest', entityId: cr.id,
+    bookingId: booking.id, after: cr, note: `Event moved in Google Calendar to ${formatRange(startAt, endAt)}`
+  });
+  totals.changes++;
+}
+
+// personal events: busy ones block the time, free/cancelled ones stop blocking it
+async function applyPersonalEvent(ev, totals, seen) {
+  const startAt = eventTime(ev.start), endAt = eventTime(ev.end);
+  const busy = ev.status !== 'cancelled' && ev.transparency !== 'transparent' && startAt && endAt && endAt > startAt;
+  if (!busy) {
+    const removed = await prisma.block.deleteMany({ where: { calendarEventId: ev.id } });
+    totals.blocksRemoved += removed.count;
+    return;
+  }
+  const data = { startAt, endAt, reason: (ev.summary || '').trim() || 'Busy (Google Calendar)', source: 'CALENDAR' };
+  await prisma.block.upsert({
+    where: { calendarEventId: ev.id },
+    create: { ...data, calendarEventId: ev.id },
+    update: data
+  });
+  seen.add(ev.id);
+  totals.blocks++;
+}
+
+async function applyEvent(ev, totals, seen) {
+  const bookingId = ev.extendedProperties?.shared?.bookingId;
+  // deletions arrive as bare { id, status: 'cancelled' }, so fall back to the stored event id
+  const booking = bookingId
+    ? await prisma.booking.findUnique({ where: { id: bookingId } })
+    : await prisma.booking.findFirst({ where: { calendarEventId: ev.id } });
+  if (bookingId || booking) return applyBookingEvent(ev, booking, totals);
+  return applyPersonalEvent(ev, totals, seen);
+}
+
+/**
+ * Put a booking's event back at the booking's times: a declined calendar change request, or a
+ * deleted event the sitter wants restored (a new event; the deleted one can't come back).
+ */
+export async function pushBookingEvent(booking) {
+  const cap = await evaluateCapacity(booking, { excludeBookingId: booking.id });
+  await createOrUpdateBusyEvent(booking, cap.atCapacity ? 'opaque' : 'transparent');
+}
+
+/**
+ * One pull: everything that changed in the connected calendar since the stored sync token
+ * (a full sync of the last CALENDAR_SYNC_DAYS the first time, or when Google expires the token).
+ * A full sync also drops imported Blocks in its window whose events are gone. Errors are stored on the
+ * CalendarSync row and returned, never thrown, so the cron keeps going.
+ * @returns {Promise<{ connected: boolean, calendarId?: string, full?: boolean, events?: number,
+ *   changes?: number, conflicts?: number, blocks?: number, blocksRemoved?: number, error?: string }>}
+ */
+export async function pullCalendarChanges({ now = new Date() } = {}) {
+  const client = await calendarClient();
+  if (!client) return { connected: false };
+  const { cal, calendarId } = client;
+
+  const totals = { connected: true, calendarId, full: false, events: 0, changes: 0, conflicts: 0, blocks: 0, blocksRemoved: 0 };
+  try {
+    const state = await prisma.calendarSync.findUnique({ where: { calendarId } });
+    let res;
+    try {
+      res = await fetchChanges(cal, calendarId, state?.syncToken || null, now);
+      totals.full = !state?.syncToken;
+    } catch (e) {
+      if (!isGone(e) || !state?.syncToken) throw e;
+      res = await fetchChanges(cal, calendarId, null, now);
+      totals.full = true;
+    }
+
+    const seen = new Set();
+    for (const ev of res.items) {
+      totals.events++;
+      try {
+        await applyEvent(ev, totals, seen);
+      } catch (e) {
+        console.error('[calendar-sync] could not apply event', ev.id, e);
+      }
+    }
+    if (totals.full) {
+      const stale = await prisma.block.deleteMany({
+        where: { source: 'CALENDAR', endAt: { gt: fullSyncFrom(now) }, calendarEventId: { notIn: [...seen] } }
+      });
+      totals.blocksRemoved += stale.count;
+    }
+
+    await prisma.calendarSync.upsert({
+      where: { calendarId },
+      create: { calendarId, syncToken: res.nextSyncToken, lastSyncAt: now },
+      update: { syncToken: res.nextSyncToken, lastSyncAt: now, lastError: null }
+    });
+    return totals;
+  } catch (e) {
+    const invalidGrant = isInvalidGrant(e);
+    if (invalidGrant) await flagInvalidGrant('calendar sync');
+    const error = invalidGrant ? 'invalid_grant (refresh token revoked?)' : (e?.message || 'unknown_error');
+    await prisma.calendarSync.upsert({
+      where: { calendarId },
+      create: { calendarId, lastError: error },
+      update: { lastError: error }
+    }).catch(err => console.error('[calendar-sync] could not store the error', err));
+    return { ...totals, error };
+  }
+}
+
+/** Last sync time/error of the connected calendar (null when it never ran). */
+export async function calendarSyncState() {
+  return prisma.calendarSync.findFirst({ orderBy: { lastSyncAt: { sort: 'desc', nulls: 'last' } } });
+}
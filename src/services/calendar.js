@@ -1,10 +1,15 @@
 // src/services/calendar.js
 import { google } from 'googleapis';
+import { prisma, prismaWithTrash } from '../db.js';
+import { TZ } from './utils/dates.js';
+import { sealSecret, openSecret, canSeal } from './utils/secrets.js';
 
 /* ======================== Config & Helpers ======================== */
 
-const TZ = process.env.TZ || 'America/New_York';
 const CAL_DEBUG = process.env.CAL_DEBUG === '1';
+// point every Google call (API + OAuth token endpoint) somewhere else, e.g. the local fake
+// server from `npm run fake-calendar` (GOOGLE_API_ROOT=http://localhost:4010/)
+const API_ROOT = process.env.GOOGLE_API_ROOT || null;
 
 function dlog(...args) {
   if (CAL_DEBUG) console.log('[calendar]', ...args);
@@ -15,19 +20,19 @@ function missingEnv() {
   if (!process.env.GOOGLE_CLIENT_ID) miss.push('GOOGLE_CLIENT_ID');
   if (!process.env.GOOGLE_CLIENT_SECRET) miss.push('GOOGLE_CLIENT_SECRET');
   if (!process.env.GOOGLE_REDIRECT_URI) miss.push('GOOGLE_REDIRECT_URI');
-  if (!process.env.GOOGLE_REFRESH_TOKEN) miss.push('GOOGLE_REFRESH_TOKEN');
   return miss;
 }
 
-function isInvalidGrant(err) {
-  const msg =
-    err?.response?.data?.error_description ||
-    err?.response?.data?.error ||
-    err?.errors?.[0]?.message ||
-    err?.code ||
-    err?.message ||
-    '';
-  return String(msg).toLowerCase().includes('invalid_grant');
+export function isInvalidGrant(err) {
+  // Google puts "invalid_grant" in `error` and prose in `error_description`, so look at all of them
+  const msgs = [
+    err?.response?.data?.error,
+    err?.response?.data?.error_description,
+    err?.errors?.[0]?.message,
+    err?.code,
+    err?.message
+  ];
+  return msgs.some(m => String(m || '').toLowerCase().includes('invalid_grant'));
 }
 
 function isRetryable(err) {
@@ -40,7 +45,7 @@ function backoff(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-async function withRetries(fn, label = 'request', max = 3) {
+export async function withRetries(fn, label = 'request', max = 3) {
   let attempt = 0, delay = 400;
   for (;;) {
     attempt++;
@@ -60,31 +65,104 @@ async function withRetries(fn, label = 'request', max = 3) {
 
 /* ======================== Auth & Calendar ======================== */
 
-function getAuth() {
+// one row holds the account (sealed refresh token, target calendar, invalid_grant flag)
+const CONNECTION_ID = 'google';
+const INVALID_GRANT_MESSAGE = 'Google refused the saved sign-in (invalid_grant): access was revoked, expired or the password changed.';
+
+// one OAuth2 client per refresh token, so its access token is reused and refreshed only when it expires
+let authCache = null;
+// layout banner text; undefined until first read from the DB
+let alertCache;
+
+/** An OAuth2 client for the app's Google credentials (also used by the connect/callback routes). */
+export function oauthClient() {
+  return new google.auth.OAuth2({
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    redirectUri: process.env.GOOGLE_REDIRECT_URI,
+    // a 401 means the cached access token died early (revoked access): refresh right away, which
+    // surfaces invalid_grant now instead of after the token's hour is up
+    forceRefreshOnFailure: true,
+    ...(API_ROOT && {
+      endpoints: {
+        oauth2TokenUrl: new URL('token', API_ROOT).toString(),
+        oauth2AuthBaseUrl: new URL('auth', API_ROOT).toString(),
+        oauth2RevokeUrl: new URL('revoke', API_ROOT).toString()
+      }
+    })
+  });
+}
+
+async function loadConnection() {
+  try {
+    return await prisma.calendarConnection.findUnique({ where: { id: CONNECTION_ID } });
+  } catch (e) {
+    console.error('[calendar] could not read the connection', e?.message || e);
+    return null;
+  }
+}
+
+async function saveConnection(data) {
+  const conn = await prisma.calendarConnection.upsert({
+    where: { id: CONNECTION_ID },
+    create: { id: CONNECTION_ID, ...data },
+    update: data
+  });
+  alertCache = conn.status === 'INVALID_GRANT' ? conn.lastError || INVALID_GRANT_MESSAGE : null;
+  return conn;
+}
+
+// the sealed token from the DB; the legacy GOOGLE_REFRESH_TOKEN env var until someone connects
+// or disconnects on /settings/calendar
+function refreshTokenOf(conn) {
+  if (conn?.refreshTokenEnc) {
+    const token = openSecret(conn.refreshTokenEnc);
+    if (!token) console.warn('[calendar] the saved refresh token cannot be decrypted — was TOKEN_ENCRYPTION_KEY changed? Reconnect on /settings/calendar.');
+    return token;
+  }
+  if (conn?.status === 'DISCONNECTED') return null;
+  return process.env.GOOGLE_REFRESH_TOKEN || null;
+}
+
+function getAuth(conn) {
   const miss = missingEnv();
   if (miss.length) {
     dlog('not connected — missing env:', miss.join(', '));
     return null;
   }
-  const oauth2 = new google.auth.OAuth2(
-    process.env.GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET,
-    process.env.GOOGLE_REDIRECT_URI
-  );
-  oauth2.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
-  return oauth2;
+  const refreshToken = refreshTokenOf(conn);
+  if (!refreshToken) {
+    dlog('not connected — no refresh token');
+    return null;
+  }
+  if (authCache?.refreshToken !== refreshToken) {
+    const oauth2 = oauthClient();
+    oauth2.setCredentials({ refresh_token: refreshToken });
+    // Google may hand out a new refresh token while refreshing; keep the newest
+    oauth2.on('tokens', tokens => {
+      if (tokens.refresh_token && tokens.refresh_token !== refreshToken && canSeal()) {
+        saveConnection({ refreshTokenEnc: sealSecret(tokens.refresh_token) })
+          .catch(e => console.error('[calendar] could not save the rotated refresh token', e?.message || e));
+      }
+    });
+    authCache = { refreshToken, oauth2 };
+  }
+  return authCache.oauth2;
 }
 
 function getCalendar(auth) {
-  return google.calendar({ version: 'v3', auth });
+  return google.calendar({ version: 'v3', auth, ...(API_ROOT && { rootUrl: API_ROOT }) });
 }
 
 /**
  * Resolve a calendar "id" to a usable ID.
+ * - The calendar picked on /settings/calendar wins.
  * - If AVAIL_CAL_ID looks like an email or 'primary' → use directly.
  * - Otherwise, treat it as a *name* and search the user’s calendars to find a match.
  */
-async function resolveCalendarId(cal) {
+async function resolveCalendarId(cal, conn) {
+  if (conn?.calendarId) return conn.calendarId;
+
   const raw = (process.env.AVAIL_CAL_ID || 'primary').trim();
   if (raw === 'primary' || raw.includes('@')) {
     return raw;
@@ -108,38 +186,153 @@ async function resolveCalendarId(cal) {
   return 'primary';
 }
 
+// auth + calendar + target calendar id, or null when not connected
+async function connect() {
+  const conn = await loadConnection();
+  const auth = getAuth(conn);
+  if (!auth) return null;
+  const cal = getCalendar(auth);
+  return { auth, cal, conn, calendarId: await resolveCalendarId(cal, conn) };
+}
+
+/**
+ * The connected calendar for callers that talk to the API themselves (services/calendar-sync.js).
+ * @returns {Promise<{ cal: object, calendarId: string } | null>} null when not connected
+ */
+export async function calendarClient() {
+  const c = await connect();
+  return c && { cal: c.cal, calendarId: c.calendarId };
+}
+
+/** True when there are credentials to try (it may still fail, see calendarAlert). */
+export async function hasCalendarCredentials() {
+  return !missingEnv().length && !!refreshTokenOf(await loadConnection());
+}
+
+/**
+ * Record that Google rejected the refresh token, so the UI asks for a reconnect instead of
+ * every push and sync quietly doing nothing.
+ */
+export async function flagInvalidGrant(where) {
+  console.warn(`[calendar] invalid_grant in ${where} — reconnect on /settings/calendar.`);
+  authCache = null;
+  try {
+    await saveConnection({ status: 'INVALID_GRANT', lastError: INVALID_GRANT_MESSAGE });
+  } catch (e) {
+    console.error('[calendar] could not record invalid_grant', e?.message || e);
+  }
+}
+
+/** Banner text when the calendar needs reconnecting, else null (cached; layout shows it). */
+export async function calendarAlert() {
+  if (alertCache === undefined) {
+    const conn = await loadConnection();
+    alertCache = conn?.status === 'INVALID_GRANT' ? conn.lastError || INVALID_GRANT_MESSAGE : null;
+  }
+  return alertCache;
+}
+
+/* ======================== Public: Connection settings ======================== */
+
+/**
+ * Store the refresh token from the OAuth callback (sealed) and clear any invalid_grant flag.
+ * @param {{ refresh_token?: string }} tokens from oauthClient().getToken(code)
+ */
+export async function connectAccount(tokens) {
+  if (!tokens?.refresh_token) throw new Error('Google sent no refresh token; remove the app’s access in your Google account and connect again');
+  if (!canSeal()) throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+  authCache = null;
+  return saveConnection({
+    refreshTokenEnc: sealSecret(tokens.refresh_token),
+    status: 'OK', lastError: null, connectedAt: new Date()
+  });
+}
+
+/** Forget the token (revoking it at Google when possible). Env GOOGLE_REFRESH_TOKEN is ignored after this. */
+export async function disconnectAccount() {
+  const conn = await loadConnection();
+  const token = refreshTokenOf(conn);
+  if (token && !missingEnv().length) {
+    await oauthClient().revokeToken(token).catch(e => dlog('revoke failed (already revoked?)', e?.message || e));
+  }
+  authCache = null;
+  return saveConnection({ refreshTokenEnc: null, email: null, status: 'DISCONNECTED', lastError: null });
+}
+
+/** Calendars the account can write to, for the target picker. [] when not connected. */
+export async function listCalendars() {
+  const c = await connect();
+  if (!c) return [];
+  try {
+    const res = await withRetries(() => c.cal.calendarList.list({ maxResults: 250, minAccessRole: 'writer' }), 'calendarList.list');
+    return (res.data.items || []).map(x => ({ id: x.id, summary: x.summaryOverride || x.summary || x.id, primary: !!x.primary }));
+  } catch (e) {
+    if (isInvalidGrant(e)) await flagInvalidGrant('listCalendars');
+    else console.error('[calendar] listCalendars error', e?.response?.data || e);
+    return [];
+  }
+}
+
+/** Push/pull bookings to this calendar from now on (null → back to AVAIL_CAL_ID). */
+export async function setTargetCalendar(calendarId, calendarName = null) {
+  return saveConnection({ calendarId: calendarId || null, calendarName: calendarId ? calendarName : null });
+}
+
 /* ======================== Public: Verify ======================== */
 
 /**
- * Quick connection verification you can call from e.g. a /debug route.
- * Returns { connected: boolean, calendarId?: string, email?: string, reason?: string }
+ * Quick connection verification for /settings/calendar.
+ * Returns { connected: boolean, calendarId?: string, email?: string, reason?: string,
+ *   source?: 'saved'|'env', calendarName?: string|null }
  */
 export async function verifyConnection() {
   const miss = missingEnv();
   if (miss.length) return { connected: false, reason: `Missing env: ${miss.join(', ')}` };
 
-  const auth = getAuth();
-  if (!auth) return { connected: false, reason: 'Auth not created' };
+  const c = await connect();
+  if (!c) {
+    const sealed = (await loadConnection())?.refreshTokenEnc;
+    return { connected: false, reason: sealed ? 'The saved token cannot be decrypted (TOKEN_ENCRYPTION_KEY changed?)' : 'Not connected' };
+  }
+  const source = c.conn?.refreshTokenEnc ? 'saved' : 'env';
 
   try {
-    const oauth2 = google.oauth2({ version: 'v2', auth });
+    const oauth2 = google.oauth2({ version: 'v2', auth: c.auth, ...(API_ROOT && { rootUrl: API_ROOT }) });
     const me = await withRetries(() => oauth2.userinfo.get(), 'userinfo.get');
-    const cal = getCalendar(auth);
-    const calendarId = await resolveCalendarId(cal);
     // No-op call to ensure token works
-    await withRetries(
-      () => cal.calendars.get({ calendarId }),
+    const got = await withRetries(
+      () => c.cal.calendars.get({ calendarId: c.calendarId }),
       'calendars.get'
     );
-    return { connected: true, email: me?.data?.email || null, calendarId };
+    const email = me?.data?.email || null;
+    if (c.conn && (c.conn.status !== 'OK' || c.conn.email !== email)) {
+      await saveConnection({ status: 'OK', lastError: null, email });
+    }
+    return { connected: true, email, calendarId: c.calendarId, calendarName: got?.data?.summary || null, source };
   } catch (e) {
-    if (isInvalidGrant(e)) return { connected: false, reason: 'invalid_grant (refresh token revoked?)' };
-    return { connected: false, reason: e?.message || 'unknown_error' };
+    if (isInvalidGrant(e)) {
+      await flagInvalidGrant('verifyConnection');
+      return { connected: false, reason: 'invalid_grant (refresh token revoked?)', source };
+    }
+    return { connected: false, reason: e?.message || 'unknown_error', source };
   }
 }
 
 /* ======================== Core Operations ======================== */
 
+// remember which event belongs to the booking (trashed ones too: the Trash drops their event);
+// null once we deleted it ourselves, so the pull sync doesn't report our own deletion
+async function rememberEventId(bookingId, eventId) {
+  try {
+    await prismaWithTrash.booking.updateMany({
+      where: { id: bookingId, OR: [{ calendarEventId: null }, { calendarEventId: { not: eventId } }] },
+      data: { calendarEventId: eventId }
+    });
+  } catch (e) {
+    console.error('[calendar] could not store the event id for', bookingId, e?.message || e);
+  }
+}
+
 function toCalDateTime(isoOrDate) {
   const d = new Date(isoOrDate);
   return {
@@ -153,11 +346,9 @@ function toCalDateTime(isoOrDate) {
  * Safe no-op when not connected; robust on errors.
  */
 export async function createOrUpdateBusyEvent(booking, transparency = 'transparent') {
-  const auth = getAuth();
-  if (!auth) return; // not connected
-
-  const cal = getCalendar(auth);
-  const calendarId = await resolveCalendarId(cal);
+  const c = await connect();
+  if (!c) return; // not connected
+  const { cal, calendarId } = c;
 
   const summary = transparency === 'opaque'
     ? 'FULLY BOOKED'
@@ -192,16 +383,18 @@ export async function createOrUpdateBusyEvent(booking, transparency = 'transpare
         () => cal.events.update({ calendarId, eventId: id, requestBody }),
         'events.update'
       );
+      await rememberEventId(booking.id, id);
     } else {
       dlog('Inserting new event for booking', booking.id);
-      await withRetries(
+      const created = await withRetries(
         () => cal.events.insert({ calendarId, requestBody }),
         'events.insert'
       );
+      if (created?.data?.id) await rememberEventId(booking.id, created.data.id);
     }
   } catch (e) {
     if (isInvalidGrant(e)) {
-      console.warn('[calendar] invalid_grant in createOrUpdateBusyEvent — skipping. Check GOOGLE_REFRESH_TOKEN.');
+      await flagInvalidGrant('createOrUpdateBusyEvent');
       return;
     }
     console.error('[calendar] createOrUpdateBusyEvent error', e?.response?.data || e);
@@ -212,11 +405,9 @@ export async function createOrUpdateBusyEvent(booking, transparency = 'transpare
  * Delete the busy event for a bookingId. Safe on errors/not-connected.
  */
 export async function deleteBusyEvent(bookingId) {
-  const auth = getAuth();
-  if (!auth) return;
-
-  const cal = getCalendar(auth);
-  const calendarId = await resolveCalendarId(cal);
+  const c = await connect();
+  if (!c) return;
+  const { cal, calendarId } = c;
 
   try {
     const q = await withRetries(
@@ -236,6 +427,7 @@ export async function deleteBusyEvent(bookingId) {
         () => cal.events.delete({ calendarId, eventId: id }),
         'events.delete'
       );
+      await rememberEventId(bookingId, null);
       return;
     }
 
@@ -261,10 +453,11 @@ export async function deleteBusyEvent(bookingId) {
         () => cal.events.delete({ calendarId, eventId: candidate.id }),
         'events.delete(fallback)'
       );
+      await rememberEventId(bookingId, null);
     }
   } catch (e) {
     if (isInvalidGrant(e)) {
-      console.warn('[calendar] invalid_grant in deleteBusyEvent — skipping.');
+      await flagInvalidGrant('deleteBusyEvent');
       return;
     }
     console.error('[calendar] deleteBusyEvent error', e?.response?.data || e);
@@ -276,11 +469,9 @@ export async function deleteBusyEvent(bookingId) {
  * Returns [] on not-connected or any error.
  */
 export async function listBusy(startAt, endAt) {
-  const auth = getAuth();
-  if (!auth) return [];
-
-  const cal = getCalendar(auth);
-  const calendarId = await resolveCalendarId(cal);
+  const c = await connect();
+  if (!c) return [];
+  const { cal, calendarId } = c;
 
   try {
     const fb = await withRetries(
@@ -300,7 +491,7 @@ export async function listBusy(startAt, endAt) {
     return (busy || []).map(b => ({ start: b.start, end: b.end }));
   } catch (e) {
     if (isInvalidGrant(e)) {
-      console.warn('[calendar] invalid_grant in listBusy — returning empty [].');
+      await flagInvalidGrant('listBusy');
       return [];
     }
     console.error('[calendar] listBusy error', e?.response?.data || e);
@@ -0,0 +1,149 @@
+// src/services/cancellation.js
+// Cancellation policies: fee tiers by notice period, per service, with an optional stricter
+// set of tiers for stays that touch a US holiday. The fee is a percentage of the booking's
+// price (saved rate, else the rate-card quote). The cancel template and the cancel action
+// both go through evaluateCancellation so they always agree.
+import { prisma } from '../db.js';
+import { serviceCategory } from './capacity.js';
+import { usHolidayName } from './intake.js';
+import { billableUnits, quoteBooking, formatCents } from './pricing.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_POLICY_SERVICE = '*';
+// what the cancel template used to hardcode: 3 days' notice or less → 50%
+export const FALLBACK_TIERS = [{ days: 3, pct: 50 }];
+export const CANCELED_BY = ['client', 'sitter'];
+
+/** "3:50, 1:100" or [{ days, pct }] → tiers sorted by notice, longest first. Returns { tiers } or { error }. */
+export function parseTiers(v) {
+  const raw = Array.isArray(v)
+    ? v
+    : String(v ?? '').split(',').map(s => s.trim()).filter(Boolean).map(s => {
+      const [days, pct] = s.split(':').map(x => Number(String(x).replace('%', '').trim()));
+      return { days, pct };
+    });
+  const tiers = [];
+  for (const t of raw) {
+    const days = Number(t?.days), pct = Number(t?.pct);
+    if (!Number.isFinite(days) || days <= 0) return { error: 'each tier needs a notice period in days (e.g. 3:50)' };
+    if (!Number.isFinite(pct) || pct < 0 || pct > 100) return { error: 'each tier needs a fee between 0 and 100%' };
+    tiers.push({ days, pct });
+  }
+  return { tiers: tiers.sort((a, b) => b.days - a.days) };
+}
+
+/** Tiers back to the "3:50, 1:100" form used by the settings page. */
+export function formatTiers(tiers) {
+  return (tiers || []).map(t => `${t.days}:${t.pct}`).join(', ');
+}
+
+const notice = days => `≤${days} ${days === 1 ? "day's" : "days'"} notice`;
+
+/** "≤3 days' notice: 50% • ≤1 day's notice: 100%" */
+export function describeTiers(tiers) {
+  if (!tiers?.length) return 'No fee';
+  return tiers.map(t => `${notice(t.days)}: ${t.pct}%`).join(' • ');
+}
+
+function readTiers(json) {
+  if (!json) return null;
+  try { return parseTiers(JSON.parse(json)).tiers || null; } catch { return null; }
+}
+
+/**
+ * Policy for a service: exact name, then its capacity category, then the "*" default row,
+ * then the built-in fallback. Tiers are parsed from their JSON columns.
+ * @returns {Promise<{ id: string|null, serviceType: string, tiers: Array<{days:number,pct:number}>, holidayTiers: Array<{days:number,pct:number}>|null }>}
+ */
+export async function policyFor(serviceType) {
+  const policies = await prisma.cancellationPolicy.findMany();
+  const s = String(serviceType || '').trim().toLowerCase();
+  const p = policies.find(x => x.serviceType.toLowerCase() === s)
+    || policies.find(x => x.serviceType === serviceCategory(serviceType))
+    || policies.find(x => x.serviceType === DEFAULT_POLICY_SERVICE);
+  if (!p) return { id: null, serviceType: DEFAULT_POLICY_SERVICE, tiers: FALLBACK_TIERS, holidayTiers: null };
+  return { id: p.id, serviceType: p.serviceType, tiers: readTiers(p.tiersJson) || [], holidayTiers: readTiers(p.holidayTiersJson) };
+}
+
+/** First US holiday touched by the stay, or null. */
+function holidayDuring(startAt, endAt) {
+  for (const d of billableUnits(startAt, endAt, 'DAY')) {
+    const name = usHolidayName(d);
+    if (name) return name;
+  }
+  return null;
+}
+
+/**
+ * What canceling this booking now would cost the client.
+ * @param {{ startAt: Date, endAt: Date, serviceType: string, rateCents?: number|null, dogsCount?: number, pets?: object[] }} booking
+ * @param {{ now?: Date, policy?: object }} [opts]
+ * @returns {Promise<{ policyId: string|null, policyService: string, holiday: string|null, holidayRule: boolean, noticeDays: number,
+ *   tier: { days: number, pct: number }|null, feePct: number, baseCents: number|null, feeCents: number|null, summary: string }>}
+ */
+export async function evaluateCancellation(booking, { now = new Date(), policy } = {}) {
+  policy = policy || await policyFor(booking.serviceType);
+  const holiday = holidayDuring(booking.startAt, booking.endAt);
+  const holidayRule = !!(holiday && policy.holidayTiers);
+  const tiers = holidayRule ? policy.holidayTiers : policy.tiers;
+
+  const noticeMs = new Date(booking.startAt) - now;
+  // tiers are longest-notice first; the last one that still covers the notice is the strictest
+  const tier = tiers.filter(t => noticeMs <= t.days * DAY_MS).pop() || null;
+  const feePct = tier ? tier.pct : 0;
+
+  let baseCents = booking.rateCents ?? null;
+  if (baseCents == null) {
+    const quote = await quoteBooking(booking);
+    baseCents = quote.missingRate ? null : quote.totalCents;
+  }
+  const feeCents = baseCents == null ? null : Math.round(baseCents * feePct / 100);
+
+  const rule = tier ? `${notice(tier.days)}${holidayRule ? ` (${holiday})` : ''}` : 'enough notice';
+  return {
+    policyId: policy.id,
+    policyService: policy.serviceType,
+    holiday,
+    holidayRule,
+    noticeDays: Math.max(0, Math.ceil(noticeMs / DAY_MS)),
+    tier,
+    feePct,
+    baseCents,
+    feeCents,
+    summary: `${rule}: ${feePct}% fee${feeCents != null && feePct ? ` (${formatCents(feeCents)})` : ''}`
+  };
+}
+
+/** The fee sentence of the cancel message. */
+export function cancellationFeeText(ev) {
+  if (!ev.feePct) return 'No late-cancellation fee applies.';
+  const amount = ev.feeCents != null ? ` of ${formatCents(ev.feeCents)}` : '';
+  const why = ev.holidayRule ? ` (holiday stay — ${ev.holiday})` : '';
+  return `As per my policy, a ${ev.feePct}% LATE-CANCELLATION FEE${amount} applies${why}.`;
+}
+
+/** Validate a CancellationPolicy payload. Returns { data } or { error }. */
+export function parsePolicyInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.serviceType != null) {
+    data.serviceType = String(body.serviceType).trim();
+    if (!data.serviceType) return { error: 'serviceType is required' };
+  } else if (!partial) return { error: 'serviceType is required' };
+
+  if (body.tiers != null) {
+    const { tiers, error } = parseTiers(body.tiers);
+    if (error) return { error };
+    data.tiersJson = JSON.stringify(tiers);
+  } else if (!partial) data.tiersJson = '[]';
+
+  if (body.holidayTiers != null) {
+    const empty = Array.isArray(body.holidayTiers) ? !body.holidayTiers.length : !String(body.holidayTiers).trim();
+    if (empty) data.holidayTiersJson = null;
+    else {
+      const { tiers, error } = parseTiers(body.holidayTiers);
+      if (error) return { error: `holiday ${error}` };
+      data.holidayTiersJson = JSON.stringify(tiers);
+    }
+  }
+  return { data };
+}
@@ -1,5 +1,7 @@
 // src/services/capacity.js
 import { prisma } from '../db.js';
+import { isUSHoliday } from './intake.js';
+import { startOfDay, endOfDay, addDays, weekday, formatDateTime } from './utils/dates.js';
 
 /** True if two intervals [aS,aE] and [bS,bE] overlap with an optional grace (ms). */
 function overlaps(aStart, aEnd, bStart, bEnd, graceMs = 0) {
@@ -8,7 +10,53 @@ function overlaps(aStart, aEnd, bStart, bEnd, graceMs = 0) {
 }
 
 /**
- * Count dogs overlapping a window.
+ * Sweep-line peak over [start,end]. Each row needs startAt/endAt and contributes
+ * `unitsOf(row)` while present. Ends sort before starts at the same instant, so
+ * back-to-back stays (one picks up at 5pm, the next drops off at 5pm) never stack.
+ * Returns { peak, at, rows } — `rows` are the ones present at the peak instant.
+ * @param {Array<{ startAt: Date, endAt: Date }>} rows
+ * @param {Date} start
+ * @param {Date} end
+ * @param {(row: any) => number} [unitsOf]
+ */
+export function peakConcurrent(rows, start, end, unitsOf = dogsOf) {
+  const s = new Date(start).getTime(), e = new Date(end).getTime();
+  const events = [];
+  for (const r of rows) {
+    const rs = new Date(r.startAt).getTime(), re = new Date(r.endAt).getTime();
+    // present during the window? (an instant window counts stays that started at or before it)
+    const inWindow = s === e ? (rs <= s && re > s) : (rs < e && re > s);
+    if (!inWindow) continue;
+    events.push({ t: Math.max(rs, s), d: +1, r }, { t: Math.min(re, e), d: -1, r });
+  }
+  events.sort((x, y) => x.t - y.t || x.d - y.d);
+
+  const active = new Set();
+  let running = 0, peak = 0, at = null, atRows = [];
+  for (const ev of events) {
+    if (ev.d < 0) {
+      active.delete(ev.r);
+      running -= unitsOf(ev.r);
+      continue;
+    }
+    active.add(ev.r);
+    running += unitsOf(ev.r);
+    if (running > peak) {
+      peak = running;
+      at = new Date(ev.t);
+      atRows = [...active];
+    }
+  }
+  return { peak, at, rows: atRows };
+}
+
+function dogsOf(b) {
+  return Number.isFinite(b.dogsCount) && b.dogsCount > 0 ? b.dogsCount : 1;
+}
+
+/**
+ * Peak number of dogs present at the same time anywhere in a window
+ * (not the sum of every booking that touches it).
  * @param {Date} startAt
  * @param {Date} endAt
  * @param {{ includePending?: boolean, excludeBookingId?: string, statuses?: string[], graceMinutes?: number }} [opts]
@@ -25,22 +73,24 @@ export async function dogsInWindow(startAt, endAt, opts = {}) {
   const graceMs = Math.max(0, (graceMinutes|0) * 60 * 1000);
 
   try {
-    // Do a coarse DB filter first (cheap) then exact overlap in JS with grace
+    // Do a coarse DB filter first (cheap) then the exact sweep in JS with grace
     const rows = await prisma.booking.findMany({
       where: {
         status: { in: statuses },
         ...(excludeBookingId ? { NOT: { id: excludeBookingId } } : {}),
         // coarse overlap: (start <= endAt) AND (end >= startAt)
-        startAt: { lte: endAt },
-        endAt:   { gte: startAt }
+        startAt: { lte: new Date(new Date(endAt).getTime() + graceMs) },
+        endAt:   { gte: new Date(new Date(startAt).getTime() - graceMs) }
       },
       select: { id: true, startAt: true, endAt: true, dogsCount: true }
     });
 
-    return rows.reduce((sum, b) => {
-      const dogs = Number.isFinite(b.dogsCount) && b.dogsCount > 0 ? b.dogsCount : 1;
-      return overlaps(b.startAt, b.endAt, startAt, endAt, graceMs) ? sum + dogs : sum;
-    }, 0);
+    const padded = rows.map(b => ({
+      ...b,
+      startAt: new Date(b.startAt.getTime() - graceMs),
+      endAt:   new Date(b.endAt.getTime() + graceMs)
+    }));
+    return peakConcurrent(padded, startAt, endAt).peak;
   } catch (e) {
     console.error('[capacity] dogsInWindow failed:', e);
     return 0;
@@ -110,17 +160,254 @@ export async function dogsTimeline(startAt, endAt, opts = {}) {
   return points;
 }
 
+/* ======================== Rules engine ======================== */
+
+// Used when no CapacityRule rows exist (matches the old hardcoded 10-dog limit).
+const DEFAULT_RULE = { id: null, serviceType: 'ALL', dayType: 'ANY', maxUnits: 10, label: 'Default limit' };
+export const CAPACITY_SERVICES = ['Overnight', 'Daycare', 'Drop-in'];
+export const CAPACITY_DAY_TYPES = ['WEEKDAY', 'WEEKEND', 'HOLIDAY'];
+
+/** Map free-text serviceType onto the rule buckets ("Other" only matches ALL rules). */
+export function serviceCategory(serviceType) {
+  const s = String(serviceType || '').toLowerCase();
+  if (/overnight|board|sleep/.test(s)) return 'Overnight';
+  if (/day\s*care|guard[eé]ria/.test(s)) return 'Daycare';
+  if (/drop[\s-]?in|check ?in|visit/.test(s)) return 'Drop-in';
+  return 'Other';
+}
+
+/** HOLIDAY beats WEEKEND beats WEEKDAY. */
+export function dayTypeOf(d) {
+  if (isUSHoliday(d)) return 'HOLIDAY';
+  const wd = weekday(d);
+  return wd === 0 || wd === 6 ? 'WEEKEND' : 'WEEKDAY';
+}
+
+/** Units one dog counts for, from the weight table (unknown weight or no match → 1). */
+export function unitsForWeight(weightLbs, weights = []) {
+  const w = Number(weightLbs);
+  if (weightLbs == null || !Number.isFinite(w)) return 1;
+  const hit = weights.find(x =>
+    (x.minLbs == null || w >= x.minLbs) && (x.maxLbs == null || w < x.maxLbs)
+  );
+  return hit && Number.isFinite(hit.units) ? hit.units : 1;
+}
+
+/**
+ * Weighted units for a booking: each known pet by weight, any remaining dogs
+ * (dogsCount beyond the pets on file) at 1 unit each.
+ */
+export function bookingUnits(booking, weights = []) {
+  const pets = booking.pets || [];
+  const dogs = Math.max(Number.isFinite(booking.dogsCount) && booking.dogsCount > 0 ? booking.dogsCount : 1, pets.length);
+  const petUnits = pets.reduce((sum, p) => sum + unitsForWeight(p.weightLbs, weights), 0);
+  return petUnits + (dogs - pets.length);
+}
+
+/**
+ * Active rules + weight table; the default limit only when no rule is configured.
+ * Throws when they can't be read: the owner's limits are never swapped for the default.
+ */
+export async function loadCapacityConfig() {
+  const [rules, weights] = await Promise.all([
+    prisma.capacityRule.findMany({ where: { active: true } }),
+    prisma.capacityWeight.findMany({ orderBy: { minLbs: 'asc' } })
+  ]);
+  return { rules: rules.length ? rules : [DEFAULT_RULE], weights };
+}
+
+/**
+ * Rules that bind on a given day for a service: at most one per scope
+ * (the service itself, then ALL), picking the most specific day type.
+ * Holidays without a HOLIDAY rule fall back to the weekday/weekend rule.
+ */
+function rulesForDay(rules, category, day) {
+  const wd = weekday(day);
+  const base = wd === 0 || wd === 6 ? 'WEEKEND' : 'WEEKDAY';
+  const chain = isUSHoliday(day) ? ['HOLIDAY', base, 'ANY'] : [base, 'ANY'];
+  const out = [];
+  for (const scope of [category, 'ALL']) {
+    if (scope === 'Other') continue;
+    for (const dt of chain) {
+      const hit = rules.find(r => r.serviceType === scope && r.dayType === dt);
+      if (hit) { out.push(hit); break; }
+    }
+  }
+  return out;
+}
+
+function describeRule(r) {
+  if (r.label) return r.label;
+  const svc = r.serviceType === 'ALL' ? 'all services' : r.serviceType;
+  const day = r.dayType === 'ANY' ? '' : ` (${r.dayType.toLowerCase()})`;
+  return `Limit for ${svc}${day}`;
+}
+
+function fmtUnits(n) { return Number.isInteger(n) ? String(n) : n.toFixed(1); }
+
 /**
- * Convenience: will adding `dogsToAdd` exceed `capacity` in [startAt,endAt]?
- * Returns { willExceed, current, projected, capacity }
+ * The one place capacity is decided. Walks each calendar day the window touches,
+ * finds the rules that bind that day for the booking's service, and checks the
+ * peak concurrent weighted units in that slice plus the new booking.
+ *
+ * Returns the worst check as { willExceed, atCapacity, current, projected, capacity, rule, day,
+ * peakAt, peakBookings, explanation } plus `violations` (every day/rule pair that would go over).
+ * Throws when bookings or rules can't be read, so callers refuse instead of seeing an empty day.
+ *
+ * @param {{ startAt: Date, endAt: Date, serviceType?: string, dogsCount?: number, pets?: Array<{weightLbs?: number}> }} booking
+ * @param {{ includePending?: boolean, excludeBookingId?: string, statuses?: string[] }} [opts]
  */
-export async function willExceedCapacity(startAt, endAt, dogsToAdd = 1, capacity = 10, opts = {}) {
-  const current = await dogsInWindow(startAt, endAt, opts);
-  const projected = current + (Number.isFinite(dogsToAdd) ? dogsToAdd : 1);
+export async function evaluateCapacity(booking, opts = {}) {
+  const {
+    includePending = false,
+    excludeBookingId = null,
+    statuses = includePending ? ['CONFIRMED','PENDING'] : ['CONFIRMED']
+  } = opts;
+  const start = new Date(booking.startAt);
+  const end = new Date(booking.endAt);
+  const category = serviceCategory(booking.serviceType);
+  const { rules, weights } = await loadCapacityConfig();
+  const units = bookingUnits(booking, weights);
+
+  const rows = await prisma.booking.findMany({
+    where: {
+      status: { in: statuses },
+      ...(excludeBookingId ? { NOT: { id: excludeBookingId } } : {}),
+      startAt: { lte: end },
+      endAt:   { gte: start }
+    },
+    select: { id: true, clientName: true, startAt: true, endAt: true, dogsCount: true, serviceType: true, petStays: { where: { pet: { deletedAt: null } }, select: { pet: { select: { weightLbs: true } } } } }
+  });
+  const booked = rows.map(({ petStays, ...b }) => ({ ...b, pets: petStays.map(s => s.pet) }))
+    .map(b => ({ ...b, units: bookingUnits(b, weights), category: serviceCategory(b.serviceType) }));
+
+  let tightest = null;
+  const violations = [];
+  // one slice per business day the stay touches
+  for (let day = startOfDay(start); day <= end; day = addDays(day, 1)) {
+    const sliceStart = new Date(Math.max(day.getTime(), start.getTime()));
+    const dayEnd = endOfDay(day);
+    const sliceEnd = new Date(Math.min(dayEnd.getTime(), end.getTime()));
+    if (sliceEnd < sliceStart) continue;
+
+    for (const rule of rulesForDay(rules, category, day)) {
+      const scoped = booked.filter(b => rule.serviceType === 'ALL' || b.category === rule.serviceType);
+      const pk = peakConcurrent(scoped, sliceStart, sliceEnd, b => b.units);
+      const current = pk.peak;
+      const check = {
+        current,
+        projected: current + units,
+        peakAt: pk.at || sliceStart,
+        peakBookings: pk.rows.map(b => ({ id: b.id, clientName: b.clientName, units: b.units, startAt: b.startAt, endAt: b.endAt })),
+        capacity: rule.maxUnits,
+        rule: { id: rule.id, label: describeRule(rule), serviceType: rule.serviceType, dayType: rule.dayType, maxUnits: rule.maxUnits },
+        day: new Date(day),
+        dayType: dayTypeOf(day)
+      };
+      if (check.projected > check.capacity) violations.push(check);
+      if (!tightest || check.projected / check.capacity > tightest.projected / tightest.capacity) tightest = check;
+    }
+  }
+
+  if (!tightest) {
+    // nothing binds this service (e.g. only Overnight rules and this is a Walk)
+    return { willExceed: false, atCapacity: false, current: 0, projected: units, capacity: null, rule: null, day: null, peakAt: null, peakBookings: [], units, violations, explanation: 'No capacity rule applies.' };
+  }
+
+  // report the worst violation (or, if none, the closest call)
+  const hit = violations.length
+    ? violations.reduce((a, b) => (b.projected - b.capacity > a.projected - a.capacity ? b : a))
+    : tightest;
+  const when = formatDateTime(hit.peakAt, { weekday: 'short', month: 'short', day: 'numeric', year: undefined });
+  const who = hit.peakBookings.length
+    ? ` with ${hit.peakBookings.map(b => `${b.clientName || 'booking'} (${fmtUnits(b.units)})`).join(', ')}`
+    : '';
+  const explanation = violations.length
+    ? `${hit.rule.label}: ${fmtUnits(hit.projected)} of ${fmtUnits(hit.capacity)} units at ${when}${who} — over by ${fmtUnits(hit.projected - hit.capacity)}.`
+    : `${hit.rule.label}: peak ${fmtUnits(hit.projected)} of ${fmtUnits(hit.capacity)} units at ${when}${who}.`;
+
   return {
-    willExceed: projected > capacity,
-    current,
-    projected,
-    capacity
+    willExceed: violations.length > 0,
+    atCapacity: hit.projected >= hit.capacity,
+    current: hit.current,
+    projected: hit.projected,
+    capacity: hit.capacity,
+    rule: hit.rule,
+    day: hit.day,
+    peakAt: hit.peakAt,
+    peakBookings: hit.peakBookings,
+    units,
+    violations,
+    explanation
   };
 }
+
+/**
+ * Convenience: will adding `dogsToAdd` exceed capacity in [startAt,endAt]?
+ * Goes through the rules engine; pass `opts.serviceType` to pick the service's rules.
+ * Returns { willExceed, current, projected, capacity, rule, explanation }
+ */
+export async function willExceedCapacity(startAt, endAt, dogsToAdd = 1, opts = {}) {
+  const r = await evaluateCapacity({
+    startAt, endAt,
+    serviceType: opts.serviceType,
+    dogsCount: Number.isFinite(dogsToAdd) ? dogsToAdd : 1
+  }, opts);
+  return {
+    willExceed: r.willExceed,
+    current: r.current,
+    projected: r.projected,
+    capacity: r.capacity,
+    rule: r.rule,
+    explanation: r.explanation
+  };
+}
+
+/* ======================== Rule / weight input ======================== */
+
+/** Validate a CapacityRule payload. Returns { data } or { error }. */
+export function parseRuleInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.serviceType != null) {
+    const v = String(body.serviceType).trim();
+    if (v !== 'ALL' && !CAPACITY_SERVICES.includes(v)) return { error: `serviceType must be ALL or one of ${CAPACITY_SERVICES.join(', ')}` };
+    data.serviceType = v;
+  }
+  if (body.dayType != null) {
+    const v = String(body.dayType).trim().toUpperCase();
+    if (v !== 'ANY' && !CAPACITY_DAY_TYPES.includes(v)) return { error: `dayType must be ANY or one of ${CAPACITY_DAY_TYPES.join(', ')}` };
+    data.dayType = v;
+  }
+  if (body.maxUnits != null && body.maxUnits !== '') {
+    const n = Number(body.maxUnits);
+    if (!Number.isFinite(n) || n <= 0) return { error: 'maxUnits must be a positive number' };
+    data.maxUnits = n;
+  } else if (!partial) return { error: 'maxUnits is required' };
+  if (body.label != null) data.label = String(body.label).trim() || null;
+  if (body.active != null) data.active = body.active === true || ['1','true','on','yes'].includes(String(body.active).toLowerCase());
+  return { data };
+}
+
+/** Validate a CapacityWeight payload. Returns { data } or { error }. */
+export function parseWeightInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  const num = v => (v == null || v === '' ? null : Number(v));
+  if (body.label != null) data.label = String(body.label).trim();
+  if (!partial && !data.label) return { error: 'label is required' };
+  for (const k of ['minLbs', 'maxLbs']) {
+    if (k in body) {
+      const n = num(body[k]);
+      if (n != null && (!Number.isFinite(n) || n < 0)) return { error: `${k} must be a non-negative number` };
+      data[k] = n;
+    }
+  }
+  if (data.minLbs != null && data.maxLbs != null && data.maxLbs <= data.minLbs) {
+    return { error: 'maxLbs must be greater than minLbs' };
+  }
+  if (body.units != null && body.units !== '') {
+    const n = Number(body.units);
+    if (!Number.isFinite(n) || n <= 0) return { error: 'units must be a positive number' };
+    data.units = n;
+  } else if (!partial) return { error: 'units is required' };
+  return { data };
+}
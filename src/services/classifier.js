@@ -1,10 +1,11 @@
 // src/services/classifier.js
 // Strict, regex-first classifier with safe parsing and an AI fallback only if enabled.
 // It never invents dates. If we can't parse confidently, we return no segments.
+import { zonedDate, zonedParts } from './utils/dates.js';
 
 function thisYearBase(now = new Date()) {
-  // if today is, say, 2025-11-04, base is 2025
-  return now.getFullYear();
+  // if today is, say, 2025-11-04, base is 2025 (in the business timezone)
+  return zonedParts(now).year;
 }
 
 // Accept forms like: 12-15, 12/15, dec 15, december 1st, nov 20 to nov 23, 12-24 to 12-30
@@ -20,7 +21,7 @@ function normalizePiece(p='') {
 }
 
 function toISO(year, monthIndex, day) {
-  const d = new Date(Date.UTC(year, monthIndex, day, 12, 0, 0)); // noon UTC avoids tz edge cases
+  const d = zonedDate(year, monthIndex, day, 12); // noon business time: the right day in any host zone
   return isNaN(d) ? null : d.toISOString();
 }
 
@@ -29,8 +30,8 @@ function maybeBumpYear(iso, now = new Date()) {
   const d = new Date(iso);
   const sevenDaysAgo = new Date(now.getTime() - 7*24*60*60*1000);
   if (d < sevenDaysAgo) {
-    const bumped = new Date(Date.UTC(d.getUTCFullYear()+1, d.getUTCMonth(), d.getUTCDate(), 12, 0, 0));
-    return bumped.toISOString();
+    const p = zonedParts(d);
+    return toISO(p.year + 1, p.month, p.day);
   }
   return iso;
 }
@@ -0,0 +1,155 @@
+// src/services/clients.js
+// Client records keyed by normalized phone (utils/phone.js): bookings from intake and manual
+// entry are linked to one automatically, and the maintenance job links older ones.
+import { prisma, prismaWithTrash } from '../db.js';
+import { normPhone } from './utils/phone.js';
+import { recordAudit } from './audit.js';
+import { PETS_INCLUDE, withPets } from './pets.js';
+
+/**
+ * The Client for a phone, created when there isn't one yet (the name fills an empty one).
+ * Returns null without a phone, or when that client is in the Trash — trashed clients are
+ * only brought back by hand.
+ */
+export async function ensureClient({ phone, name } = {}, { actor, note = 'Auto-linked from a booking' } = {}) {
+  const p = normPhone(phone);
+  if (!p) return null;
+  // intake falls back to the sender's number as the name; that's not a name
+  const cleanName = name && /[a-z]/i.test(name) ? String(name).trim() : null;
+
+  const existing = await prismaWithTrash.client.findUnique({ where: { phone: p } });
+  if (existing?.deletedAt) return null;
+  if (existing) {
+    if (existing.name || !cleanName) return existing;
+    const updated = await prisma.client.update({ where: { id: existing.id }, data: { name: cleanName } });
+    await recordAudit({ actor, action: 'client.update', entityType: 'Client', entityId: existing.id, before: existing, after: updated, note });
+    return updated;
+  }
+
+  // auto-created clients aren't marked private; that's a choice made on /clients
+  const created = await prisma.client.create({ data: { phone: p, name: cleanName, isPrivate: false } })
+    .catch(e => (e?.code === 'P2002' ? prisma.client.findUnique({ where: { phone: p } }) : Promise.reject(e)));
+  if (created) await recordAudit({ actor, action: 'client.create', entityType: 'Client', entityId: created.id, after: created, note });
+  return created;
+}
+
+/** clientId for new booking data (`{ clientPhone, clientName }`), or null. */
+export async function clientIdFor(data, opts) {
+  const client = await ensureClient({ phone: data.clientPhone, name: data.contactLabel || data.clientName }, opts);
+  return client?.id || null;
+}
+
+/**
+ * Maintenance/backfill: rewrite client phones to the normalized form (skipping ones that would
+ * collide with an existing client) and link every unlinked booking that has a phone; pets
+ * on those bookings without an owner become the client's.
+ * @returns {Promise<{ normalized: number, conflicts: string[], linked: number }>}
+ */
+export async function linkClients({ actor } = {}) {
+  const stats = { normalized: 0, conflicts: [], linked: 0 };
+
+  const clients = await prismaWithTrash.client.findMany({ select: { id: true, phone: true } });
+  const taken = new Set(clients.map(c => c.phone));
+  for (const c of clients) {
+    const p = normPhone(c.phone);
+    if (!p || p === c.phone) continue;
+    if (taken.has(p)) { stats.conflicts.push(c.phone); continue; }
+    await prismaWithTrash.client.update({ where: { id: c.id }, data: { phone: p } });
+    taken.delete(c.phone);
+    taken.add(p);
+    stats.normalized++;
+  }
+
+  const unlinked = await prisma.booking.findMany({
+    where: { clientId: null, clientPhone: { not: null } },
+    orderBy: { createdAt: 'desc' },
+    select: { id: true, clientPhone: true, clientName: true, contactLabel: true }
+  });
+  // newest booking's name wins when creating the client
+  const byPhone = new Map();
+  for (const b of unlinked) {
+    const p = normPhone(b.clientPhone);
+    if (!p) continue;
+    if (!byPhone.has(p)) byPhone.set(p, { name: b.contactLabel || b.clientName, ids: [] });
+    byPhone.get(p).ids.push(b.id);
+  }
+  for (const [phone, { name, ids }] of byPhone) {
+    const client = await ensureClient({ phone, name }, { actor });
+    if (!client) continue;
+    const r = await prisma.booking.updateMany({ where: { id: { in: ids } }, data: { clientId: client.id } });
+    await prisma.pet.updateMany({
+      where: { clientId: null, stays: { some: { bookingId: { in: ids } } } },
+      data: { clientId: client.id }
+    });
+    stats.linked += r.count;
+  }
+  return stats;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * List/profile numbers from a client's bookings (newest first): count, last stay and a rough
+ * lifetime-value score (days booked, weighted by service).
+ */
+export function clientInsights(bookings) {
+  const score = bookings.reduce((sum, b) => {
+    const days = Math.max(1, Math.round((new Date(b.endAt) - new Date(b.startAt)) / DAY_MS));
+    const weight = /overnight/i.test(b.serviceType || '') ? 1.0
+      : /day\s*care/i.test(b.serviceType || '') ? 0.5
+      : /walk/i.test(b.serviceType || '') ? 0.2
+      : 0.3;
+    return sum + days * weight;
+  }, 0);
+  return {
+    totalBookings: bookings.length,
+    lastBookingAt: bookings[0]?.startAt || null,
+    ltvScore: Number(score.toFixed(1))
+  };
+}
+
+/**
+ * Everything for the client profile page: bookings (newest first), the client's pets with
+ * their number of stays, recent messages (linked, plus unlinked ones from the same phone) and
+ * money: invoiced, paid and open cents across the client's invoices.
+ * Returns null for an unknown/trashed client.
+ */
+export async function clientProfile(id) {
+  const client = await prisma.client.findUnique({ where: { id } });
+  if (!client) return null;
+
+  const [bookings, pets, unlinked, invoices] = await Promise.all([
+    prisma.booking.findMany({
+      where: { clientId: id },
+      orderBy: { startAt: 'desc' },
+      include: { ...PETS_INCLUDE, messages: { where: { deletedAt: null }, orderBy: { createdAt: 'desc' }, take: 20 } }
+    }).then(rows => rows.map(withPets)),
+    prisma.pet.findMany({
+      where: { clientId: id },
+      orderBy: { name: 'asc' },
+      include: { _count: { select: { stays: { where: { booking: { deletedAt: null } } } } } }
+    }),
+    prisma.message.findMany({
+      where: { bookingId: null, fromPhone: { endsWith: client.phone } },
+      orderBy: { createdAt: 'desc' },
+      take: 20
+    }),
+    prisma.invoice.findMany({
+      where: { OR: [{ clientId: id }, { booking: { clientId: id } }], status: { not: 'VOID' } },
+      orderBy: { issuedAt: 'desc' }
+    })
+  ]);
+
+  const messages = [
+    ...bookings.flatMap(b => b.messages.map(m => ({ ...m, booking: b }))),
+    ...unlinked
+  ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)).slice(0, 30);
+
+  const money = invoices.reduce((m, inv) => ({
+    invoicedCents: m.invoicedCents + inv.totalCents,
+    paidCents: m.paidCents + inv.paidCents
+  }), { invoicedCents: 0, paidCents: 0 });
+  money.openCents = money.invoicedCents - money.paidCents;
+
+  return { client, bookings, pets: pets.map(({ _count, ...p }) => ({ ...p, stays: _count.stays })), messages, invoices, money, insights: clientInsights(bookings) };
+}
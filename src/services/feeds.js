@@ -0,0 +1,110 @@
+// src/services/feeds.js
+// Read-only iCalendar feeds of bookings for people who don't use Google Calendar. Each feed
+// token is its own subscription URL: full (owner) or limited (helper: no phone numbers,
+// emails or notes), optionally with pending bookings. Independent of services/calendar.js,
+// so it works without any Google setup.
+import crypto from 'crypto';
+import { prisma } from '../db.js';
+import { PETS_INCLUDE, withPets } from './pets.js';
+import { buildCalendar, escapeText, icsDateTime } from './utils/ics.js';
+import { TZ, DAY_MS } from './utils/dates.js';
+
+// how far back a feed reaches; everything ahead is included
+const FEED_PAST_DAYS = Number(process.env.FEED_PAST_DAYS || 30);
+const PROD_ID = '-//Booking Hub//Bookings feed//EN';
+
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+
+/**
+ * New feed token. The plain token is returned once (it goes in the URL); only its hash is stored.
+ * @param {{ label?: string, limited?: boolean, includePending?: boolean, createdBy?: string|null }} opts
+ * @returns {Promise<{ feed: object, token: string }>}
+ */
+export async function createFeedToken({ label, limited = false, includePending = false, createdBy = null } = {}) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const feed = await prisma.feedToken.create({
+    data: {
+      label: String(label || '').trim() || (limited ? 'Helper' : 'Bookings'),
+      tokenHash: sha256(token), limited: !!limited, includePending: !!includePending, createdBy
+    }
+  });
+  return { feed, token };
+}
+
+/** The live feed for a URL token, or null (unknown or revoked). Touches lastUsedAt. */
+export async function feedFromToken(token) {
+  if (!token) return null;
+  const feed = await prisma.feedToken.findUnique({ where: { tokenHash: sha256(String(token)) } });
+  if (!feed || feed.revokedAt) return null;
+  await prisma.feedToken.update({ where: { id: feed.id }, data: { lastUsedAt: new Date() } }).catch(() => {});
+  return feed;
+}
+
+/** Stop a feed URL from working. Returns null if there's no such feed. */
+export async function revokeFeedToken(id) {
+  const feed = await prisma.feedToken.findUnique({ where: { id } });
+  if (!feed) return null;
+  if (feed.revokedAt) return feed;
+  return prisma.feedToken.update({ where: { id }, data: { revokedAt: new Date() } });
+}
+
+// Rover relays and unknown senders leave a number as the name; a limited feed must not show it
+function displayName(b, limited) {
+  const name = b.contactLabel || b.clientName || 'Client';
+  if (limited && String(name).replace(/\D+/g, '').length >= 7) return 'Client';
+  return name;
+}
+
+function describe(b, { limited }) {
+  const pets = b.pets.map(p => (p.breed ? `${p.name} (${p.breed})` : p.name)).join(', ');
+  const lines = [
+    `Service: ${b.serviceType}`,
+    `Pets: ${pets || '—'}`,
+    `Dogs: ${b.dogsCount || 1}`,
+    `Client: ${displayName(b, limited)}`
+  ];
+  if (!limited) {
+    if (b.clientPhone) lines.push(`Phone: ${b.clientPhone}`);
+    if (b.clientEmail) lines.push(`Email: ${b.clientEmail}`);
+    if (b.notes) lines.push(`Notes: ${b.notes}`);
+  }
+  if (b.status === 'PENDING') lines.push('Pending: not confirmed yet');
+  return lines.join('\n');
+}
+
+function toEvent(b, feed, baseUrl) {
+  const pending = b.status === 'PENDING';
+  return [
+    ['UID', `${b.id}@booking-hub`],
+    ['DTSTAMP', icsDateTime(b.updatedAt || b.createdAt)],
+    ['LAST-MODIFIED', icsDateTime(b.updatedAt || b.createdAt)],
+    ['DTSTART', icsDateTime(b.startAt)],
+    ['DTEND', icsDateTime(b.endAt)],
+    ['SUMMARY', escapeText(`${pending ? '[Pending] ' : ''}${b.serviceType}: ${displayName(b, feed.limited)}`)],
+    ['DESCRIPTION', escapeText(describe(b, feed))],
+    ['STATUS', pending ? 'TENTATIVE' : 'CONFIRMED'],
+    ['TRANSP', pending ? 'TRANSPARENT' : 'OPAQUE'],
+    ...(baseUrl ? [['URL', `${baseUrl}/booking/${b.id}`]] : [])
+  ];
+}
+
+/**
+ * The .ics body for a feed: confirmed bookings (and pending ones when the feed asks for them)
+ * that ended at most FEED_PAST_DAYS ago.
+ * @param {object} feed a FeedToken row
+ * @param {{ now?: Date, baseUrl?: string|null }} [opts] baseUrl adds a link to each booking
+ */
+export async function bookingsCalendar(feed, { now = new Date(), baseUrl = null } = {}) {
+  const bookings = await prisma.booking.findMany({
+    where: {
+      status: { in: feed.includePending ? ['CONFIRMED', 'PENDING'] : ['CONFIRMED'] },
+      endAt: { gte: new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS) }
+    },
+    orderBy: { startAt: 'asc' },
+    include: PETS_INCLUDE
+  });
+  return buildCalendar(
+    { name: feed.limited ? 'Bookings (helper)' : 'Bookings', prodId: PROD_ID, timeZone: TZ, refreshMinutes: 15 },
+    bookings.map(withPets).map(b => toEvent(b, feed, baseUrl))
+  );
+}
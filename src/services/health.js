@@ -0,0 +1,149 @@
+// src/services/health.js
+// Vaccines, medications, allergies and vet contact on pet profiles. Confirming a booking
+// warns when a pet's required vaccines are missing or lapse before the stay ends, and the
+// dashboard lists expirations coming up so updated paperwork can be requested in time.
+import { prisma } from '../db.js';
+import { parseInput, formatDate } from './utils/dates.js';
+
+export const VACCINE_TYPES = { rabies: 'Rabies', dhpp: 'DHPP', bordetella: 'Bordetella' };
+// comma-separated keys of VACCINE_TYPES (or any other type name) proof is required for
+export const REQUIRED_VACCINES = (process.env.REQUIRED_VACCINES || 'rabies,dhpp,bordetella')
+  .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+// how far ahead (and back) the dashboard looks for expirations
+export const VACCINE_ALERT_DAYS = Number(process.env.VACCINE_ALERT_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const vaccineLabel = type => VACCINE_TYPES[type] || type;
+
+/** "rabies", "Rabies 3yr", "DHPP" → a VACCINE_TYPES key when it is one; otherwise trimmed lowercase. */
+export function normVaccineType(input) {
+  const s = String(input || '').trim().toLowerCase();
+  if (!s) return null;
+  if (/rabies/.test(s)) return 'rabies';
+  if (/dhpp|da2pp|dapp|distemper/.test(s)) return 'dhpp';
+  if (/bordetella|kennel cough/.test(s)) return 'bordetella';
+  return s;
+}
+
+/** Newest record per vaccine type (by expiry, then date given). */
+export function latestVaccines(vaccines = []) {
+  const latest = new Map();
+  const rank = v => new Date(v.expiresAt || v.givenAt || 0).getTime();
+  for (const v of vaccines) {
+    const cur = latest.get(v.type);
+    if (!cur || rank(v) > rank(cur)) latest.set(v.type, v);
+  }
+  return latest;
+}
+
+/**
+ * Vaccine problems for a stay ending at `endAt`: a required vaccine with no record, or any
+ * vaccine whose latest record expires before the stay ends. Pets need `vaccines` loaded.
+ * @returns {Array<{ petId: string, petName: string, type: string, problem: 'missing'|'expires', expiresAt?: Date, message: string }>}
+ */
+export function vaccineWarnings(pets, endAt) {
+  const end = new Date(endAt);
+  const out = [];
+  for (const pet of pets) {
+    const latest = latestVaccines(pet.vaccines);
+    for (const type of REQUIRED_VACCINES) {
+      if (!latest.has(type)) {
+        out.push({ petId: pet.id, petName: pet.name, type, problem: 'missing', message: `${pet.name}: no ${vaccineLabel(type)} on file` });
+      }
+    }
+    for (const [type, v] of latest) {
+      if (v.expiresAt && new Date(v.expiresAt) < end) {
+        const expired = new Date(v.expiresAt) < new Date();
+        out.push({
+          petId: pet.id, petName: pet.name, type, problem: 'expires', expiresAt: v.expiresAt,
+          message: `${pet.name}: ${vaccineLabel(type)} ${expired ? 'expired' : 'expires'} ${formatDate(v.expiresAt)}`
+        });
+      }
+    }
+  }
+  return out;
+}
+
+/** vaccineWarnings() for a booking's pets, looked up by booking id. */
+export async function vaccineWarningsFor(booking) {
+  const stays = await prisma.bookingPet.findMany({
+    where: { bookingId: booking.id, pet: { deletedAt: null } },
+    include: { pet: { include: { vaccines: true } } }
+  });
+  return vaccineWarnings(stays.map(s => s.pet), booking.endAt);
+}
+
+/**
+ * Latest vaccine records expiring within VACCINE_ALERT_DAYS either side of `now` (a renewed
+ * record hides the old one), soonest first, with the pet and its client.
+ */
+export async function upcomingExpirations({ now = new Date(), days = VACCINE_ALERT_DAYS } = {}) {
+  const from = new Date(now.getTime() - days * DAY_MS);
+  const to = new Date(now.getTime() + days * DAY_MS);
+  const expiring = await prisma.petVaccine.findMany({
+    where: { expiresAt: { gte: from, lte: to }, pet: { deletedAt: null } },
+    orderBy: { expiresAt: 'asc' },
+    include: { pet: { include: { client: true, vaccines: true } } }
+  });
+  return expiring
+    .filter(v => !v.pet.client?.deletedAt && latestVaccines(v.pet.vaccines).get(v.type)?.id === v.id)
+    .map(({ pet: { vaccines, ...pet }, ...v }) => ({ ...v, pet, expired: new Date(v.expiresAt) < now }));
+}
+
+// "YYYY-MM-DD" from a date input is that business day's midnight
+function parseDate(v, field) {
+  const d = parseInput(v);
+  if (!d) return { value: null };
+  return isNaN(d) ? { error: `Invalid ${field}` } : { value: d };
+}
+
+/** Validate a vaccine record from a form/JSON body. Returns { data } or { error }. */
+export function parseVaccineInput(body = {}) {
+  const type = normVaccineType(body.type);
+  if (!type) return { error: 'type is required' };
+  const givenAt = parseDate(body.givenAt, 'givenAt');
+  if (givenAt.error) return givenAt;
+  const expiresAt = parseDate(body.expiresAt, 'expiresAt');
+  if (expiresAt.error) return expiresAt;
+  if (!givenAt.value && !expiresAt.value) return { error: 'Enter the date given or the expiry date' };
+  if (givenAt.value && expiresAt.value && expiresAt.value <= givenAt.value) {
+    return { error: 'expiresAt must be after givenAt' };
+  }
+  const documentUrl = String(body.documentUrl || '').trim() || null;
+  if (documentUrl && !/^(https?:\/\/|\/)/i.test(documentUrl)) return { error: 'documentUrl must be a link' };
+  return {
+    data: {
+      type, givenAt: givenAt.value, expiresAt: expiresAt.value, documentUrl,
+      notes: String(body.notes || '').trim() || null
+    }
+  };
+}
+
+/** Validate a medication from a form/JSON body. Returns { data } or { error }. */
+export function parseMedicationInput(body = {}) {
+  const name = String(body.name || '').trim();
+  if (!name) return { error: 'name is required' };
+  const startsAt = parseDate(body.startsAt, 'startsAt');
+  if (startsAt.error) return startsAt;
+  const endsAt = parseDate(body.endsAt, 'endsAt');
+  if (endsAt.error) return endsAt;
+  if (startsAt.value && endsAt.value && endsAt.value < startsAt.value) return { error: 'endsAt must be after startsAt' };
+  const text = k => String(body[k] || '').trim() || null;
+  return { data: { name, dose: text('dose'), schedule: text('schedule'), startsAt: startsAt.value, endsAt: endsAt.value, notes: text('notes') } };
+}
+
+/** Medications being given during [startAt, endAt] (no dates = ongoing). */
+export function activeMedications(medications = [], startAt = new Date(), endAt = startAt) {
+  return medications.filter(m =>
+    (!m.startsAt || new Date(m.startsAt) <= new Date(endAt)) && (!m.endsAt || new Date(m.endsAt) >= new Date(startAt)));
+}
+
+/** A booking's pets' medications that overlap the stay, by pet id. */
+export async function medicationsForStay(booking) {
+  const petIds = (booking.pets || []).map(p => p.id);
+  if (!petIds.length) return {};
+  const meds = await prisma.petMedication.findMany({ where: { petId: { in: petIds } }, orderBy: { name: 'asc' } });
+  const byPet = {};
+  for (const m of activeMedications(meds, booking.startAt, booking.endAt)) (byPet[m.petId] ||= []).push(m);
+  return byPet;
+}
@@ -0,0 +1,79 @@
+// src/services/inbound/email.js
+// Parsed email from an email-to-webhook service (Mailgun routes, CloudMailin, etc.),
+// posted as JSON or urlencoded form. Field names vary by provider; we accept the common ones.
+// Verification: Mailgun-style timestamp/token/signature (INBOUND_EMAIL_SIGNING_KEY),
+// or a plain ?token=INBOUND_EMAIL_TOKEN for providers that can't sign.
+import { safeEqual, hmac } from '../utils/signature.js';
+
+function pick(obj, ...keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v != null && v !== '') return String(v);
+  }
+  return null;
+}
+
+/** "Rover <no-reply@rover.com>" → { name: 'Rover', address: 'no-reply@rover.com' } */
+export function parseAddress(s = '') {
+  const m = String(s).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (m) return { name: m[1].trim() || null, address: m[2].trim().toLowerCase() };
+  return { name: null, address: String(s).trim().toLowerCase() || null };
+}
+
+// Rover conversation links are the stable thread key in their notification emails
+function roverThread(text = '') {
+  const m = text.match(/rover\.com\/(?:[a-z-]+\/)*conversations?\/([A-Za-z0-9_-]+)/i)
+         || text.match(/\br\.rover\.com\/([A-Za-z0-9]+)/i);
+  return m ? m[1] : null;
+}
+
+export const email = {
+  name: 'email',
+
+  verify(req) {
+    // Mailgun routes post the fields flat; its newer webhooks nest them under `signature`
+    const p = req.body?.signature && typeof req.body.signature === 'object' ? req.body.signature : (req.body || {});
+    const key = process.env.INBOUND_EMAIL_SIGNING_KEY;
+    if (key && p.timestamp && p.token && typeof p.signature === 'string') {
+      if (Math.abs(Date.now() / 1000 - Number(p.timestamp)) > 15 * 60) return false;
+      return safeEqual(p.signature, hmac('sha256', key, `${p.timestamp}${p.token}`));
+    }
+    const token = process.env.INBOUND_EMAIL_TOKEN;
+    return !!token && safeEqual(String(req.query.token || ''), token);
+  },
+
+  parse(req) {
+    const p = req.body && typeof req.body === 'object' ? req.body : {};
+    const headers = p.headers && typeof p.headers === 'object' ? p.headers : {};
+    const fromRaw = pick(p, 'from', 'From', 'sender') || pick(headers, 'from', 'From');
+    const subject = pick(p, 'subject', 'Subject') || pick(headers, 'subject', 'Subject') || '';
+    const text = pick(p, 'stripped-text', 'body-plain', 'text', 'plain', 'TextBody', 'body') || '';
+    if (!fromRaw || !(text || subject)) return null;
+
+    const { name, address } = parseAddress(fromRaw);
+    const messageId = pick(p, 'Message-Id', 'message-id', 'messageId', 'MessageID') || pick(headers, 'message_id', 'Message-Id', 'message-id');
+    const inReplyTo = pick(p, 'In-Reply-To', 'in-reply-to') || pick(headers, 'in_reply_to', 'In-Reply-To');
+    const references = pick(p, 'References', 'references') || pick(headers, 'references', 'References');
+    const isRover = /@(?:[a-z0-9-]+\.)*rover\.com$/i.test(address || '');
+    const body = [subject, text].filter(Boolean).join('\n');
+
+    // thread: Rover conversation id, else the first Message-Id of the reply chain, else the sender
+    const rootRef = (references || '').trim().split(/\s+/)[0] || inReplyTo || null;
+    const threadId = (isRover && roverThread(body)) || rootRef || address;
+    const dateStr = pick(p, 'Date', 'date', 'timestamp') || pick(headers, 'date', 'Date');
+    const when = dateStr ? new Date(/^\d+$/.test(dateStr) ? Number(dateStr) * 1000 : dateStr) : new Date();
+
+    return {
+      from: address,
+      body,
+      receivedAt: isNaN(when) ? new Date() : when,
+      platform: isRover ? 'rover-email' : 'email',
+      channel: 'EMAIL',
+      threadId,
+      providerMessageId: messageId,
+      fromPhone: null,
+      fromEmail: address,
+      fromName: name
+    };
+  }
+};
@@ -0,0 +1,19 @@
+// src/services/inbound/index.js
+// Inbound webhook adapters. Each one knows how to authenticate its provider and turn the
+// request into the same normalized message the intake pipeline consumes:
+//   { from, body, receivedAt, platform, channel, threadId, providerMessageId, fromPhone, fromEmail, fromName }
+// Adapters may also define respond(res, result) when the provider expects a specific reply body.
+import { smsForward } from './sms-forward.js';
+import { twilio } from './twilio.js';
+import { json } from './json.js';
+import { email } from './email.js';
+
+const ADAPTERS = { [smsForward.name]: smsForward, [twilio.name]: twilio, [json.name]: json, [email.name]: email };
+
+export function getAdapter(name) {
+  return Object.prototype.hasOwnProperty.call(ADAPTERS, name) ? ADAPTERS[name] : null;
+}
+
+export function adapterNames() {
+  return Object.keys(ADAPTERS);
+}
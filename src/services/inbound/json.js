@@ -0,0 +1,42 @@
+// src/services/inbound/json.js
+// Signed generic JSON for any other relay:
+//   POST { from, body, timestamp?, platform?, threadId?, messageId?, name? }
+//   X-Hub-Timestamp: <unix seconds>
+//   X-Hub-Signature: sha256=<hex HMAC-SHA256(INBOUND_JSON_SECRET, `${timestamp}.${rawBody}`)>
+// Requests older than 5 minutes are rejected to stop replays.
+import { safeEqual, hmac } from '../utils/signature.js';
+
+const MAX_SKEW_SECONDS = 5 * 60;
+
+export const json = {
+  name: 'json',
+
+  verify(req) {
+    const secret = process.env.INBOUND_JSON_SECRET;
+    const ts = Number(req.get('X-Hub-Timestamp'));
+    const sig = String(req.get('X-Hub-Signature') || '').replace(/^sha256=/i, '');
+    if (!secret || !sig || !Number.isFinite(ts) || !req.rawBody) return false;
+    if (Math.abs(Date.now() / 1000 - ts) > MAX_SKEW_SECONDS) return false;
+    return safeEqual(sig, hmac('sha256', secret, `${ts}.${req.rawBody.toString('utf8')}`));
+  },
+
+  parse(req) {
+    const p = req.body && typeof req.body === 'object' ? req.body : {};
+    if (!p.from || !p.body) return null;
+    const from = String(p.from);
+    const looksLikePhone = /\d{7,}/.test(from.replace(/\D+/g, ''));
+    const platform = p.platform ? String(p.platform).toLowerCase() : 'json';
+    return {
+      from,
+      body: String(p.body),
+      receivedAt: new Date(Number(p.timestamp) || Date.now()),
+      platform,
+      channel: p.channel ? String(p.channel).toUpperCase() : 'SMS',
+      threadId: p.threadId ? String(p.threadId) : from,
+      providerMessageId: p.messageId ? String(p.messageId) : null,
+      fromPhone: looksLikePhone ? from : null,
+      fromEmail: from.includes('@') ? from : null,
+      fromName: p.name ? String(p.name) : null
+    };
+  }
+};
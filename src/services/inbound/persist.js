@@ -0,0 +1,131 @@
+// src/services/inbound/persist.js
+// Prisma side of the intake pipeline: the read-only lookups processInbound() needs,
+// and applyDecision() which carries out a decision.
+import { prisma, prismaWithTrash } from '../../db.js';
+import { classifyMessage } from '../classifier.js';
+import { findOverlappingBlocks } from '../blocks.js';
+import { recordAudit, SYSTEM_ACTOR } from '../audit.js';
+import { clientIdFor } from '../clients.js';
+import { attachPastPets } from '../pets.js';
+
+const TWO_DAYS = 2 * 24 * 60 * 60 * 1000;
+
+/** Live lookups for processInbound(); nothing here writes. */
+export const intakeDeps = {
+  // trashed messages count too, so a re-delivered text isn't stored (or booked) twice
+  findMessageByEid: (eid) => prismaWithTrash.message.findUnique({ where: { eid } }),
+
+  classify: (body) => classifyMessage(body),
+
+  findBlocks: (startAt, endAt) => findOverlappingBlocks(startAt, endAt),
+
+  // highest priority: a recent PENDING or CONFIRMED booking for this phone/email (any date)
+  findOpenThread({ phone, email }) {
+    const where = phone
+      // compare normalized versions; endsWith works even if saved with separators
+      ? { clientPhone: { not: null }, AND: [{ clientPhone: { endsWith: phone } }] }
+      : { clientEmail: email };
+    return prisma.booking.findFirst({
+      where: { ...where, status: { in: ['PENDING', 'CONFIRMED'] } },
+      orderBy: { createdAt: 'desc' }
+    });
+  },
+
+  // a recent booking for this contact near the start date (legacy reuse behavior)
+  findNearbyBooking({ phone, email, relay, startAt }) {
+    return prisma.booking.findFirst({
+      where: {
+        OR: [
+          ...(phone ? [{ clientPhone: { endsWith: phone } }] : []),
+          ...(email ? [{ clientEmail: email }] : []),
+          { roverRelay: relay }
+        ],
+        AND: [
+          { startAt: { gte: new Date(startAt.getTime() - TWO_DAYS) } },
+          { startAt: { lte: new Date(startAt.getTime() + TWO_DAYS) } }
+        ]
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+};
+
+/**
+ * Write what processInbound() decided: bookings, change request, then the message.
+ * Booking/change writes are audit-logged as `actor` with the stored message as their source.
+ * Returns the webhook response body { ok, bookingId, eid, candidate, blocked? }.
+ */
+export async function applyDecision(decision, { actor = SYSTEM_ACTOR } = {}) {
+  if (decision.action === 'ignore') return { ok: true, ignored: decision.reason };
+  if (decision.action === 'duplicate') {
+    return { ok: true, deduped: true, bookingId: decision.duplicateOf.bookingId, eid: decision.eid };
+  }
+
+  // audit events wait for the message id
+  const events = [];
+  const bookingIds = [];
+  for (const b of decision.bookings) {
+    if (b.op === 'create') {
+      const created = await prisma.booking.create({ data: { ...b.data, clientId: await clientIdFor(b.data, { actor }) } });
+      events.push({ action: 'booking.create', entityId: created.id, after: created });
+      // a returning client's dogs come along (the rest are suggested on the booking page)
+      for (const pet of await attachPastPets(created, { text: decision.message.body })) {
+        events.push({ action: 'pet.attach', entityType: 'Pet', entityId: pet.id, bookingId: created.id, note: `${pet.name} added from the client's past stays` });
+      }
+      bookingIds[b.segment] = created.id;
+    } else if (b.op === 'update') {
+      const before = await prisma.booking.findUnique({ where: { id: b.id } });
+      const updated = await prisma.booking.update({ where: { id: b.id }, data: b.patch });
+      events.push({ action: 'booking.update', entityId: updated.id, before, after: updated });
+      bookingIds[b.segment] = updated.id;
+    } else {
+      bookingIds[b.segment] = b.id;
+    }
+  }
+
+  const seriesId = decision.series ? await linkSeries(decision, bookingIds, events) : null;
+
+  if (decision.changeRequest) {
+    const cr = await prisma.changeRequest.create({ data: decision.changeRequest });
+    events.push({ action: 'change.create', entityType: 'ChangeRequest', entityId: cr.id, bookingId: cr.bookingId, after: cr });
+  }
+
+  const bookingId = decision.attachTo?.bookingId
+    ?? (decision.attachTo ? bookingIds[decision.attachTo.segment] : null)
+    ?? null;
+
+  // Store the inbound message (bookingId may be null)
+  const message = await prisma.message.create({ data: { ...decision.message, bookingId } });
+  if (seriesId) {
+    // every booking in the series points back at the message that asked for it
+    await prisma.bookingSeries.updateMany({ where: { id: seriesId, sourceMessageId: null }, data: { sourceMessageId: message.id } });
+  }
+  for (const e of events) await recordAudit({ ...e, actor, sourceMessageId: message.id });
+
+  return {
+    ok: true, bookingId, eid: decision.eid, candidate: decision.candidate, messageId: message.id,
+    seriesId: seriesId || undefined,
+    blocked: decision.blocked.length
+      ? decision.blocked.map(b => ({ id: b.id, reason: b.reason, startAt: b.startAt, endAt: b.endAt }))
+      : undefined
+  };
+}
+
+// put the thread booking (if any) and the per-segment bookings into one series, in segment order
+async function linkSeries(decision, bookingIds, events) {
+  const { seriesId: existing, threadBookingId, threadSegment } = decision.series;
+
+  let seriesId = existing, base = 0;
+  if (existing) base = await prisma.booking.count({ where: { seriesId: existing } });
+  else seriesId = (await prisma.bookingSeries.create({ data: {} })).id;
+
+  const members = decision.bookings.map(b => ({ id: bookingIds[b.segment], segment: b.segment }));
+  if (threadBookingId && !existing) members.push({ id: threadBookingId, segment: threadSegment });
+  members.sort((a, b) => a.segment - b.segment);
+
+  for (let i = 0; i < members.length; i++) {
+    await prisma.booking.update({ where: { id: members[i].id }, data: { seriesId, seriesIndex: base + i } });
+    events.push({ action: 'booking.series', entityId: members[i].id, diff: { seriesId: [null, seriesId], seriesIndex: [null, base + i] } });
+  }
+  return seriesId;
+}
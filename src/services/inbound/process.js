@@ -0,0 +1,246 @@
+// src/services/inbound/process.js
+// The intake decision for one normalized inbound message, with no writes of its own.
+// All lookups go through `deps` so the same code drives the live webhooks (see persist.js)
+// and the /api/intake/dry-run preview.
+import { buildEID } from '../utils/eid.js';
+import { normPhone } from '../utils/phone.js';
+import { describeBlock } from '../blocks.js';
+import {
+  findKeywords,
+  classifyService,
+  parseSegments,       // multi-segment parser
+  extractRoverMeta     // owner/pet/age/weight (Rover-style)
+} from '../intake.js';
+
+// Detect Rover automated request notifications we want to ignore completely
+export function isRoverAuto(body) {
+  const b = String(body || '').trim();
+
+  // Pattern A: "[ New booking request (dog boarding) from X: ... Book @ r.rover.com/XYZ ]"
+  const hasRoverLink = /\br\.rover\.com\/[A-Za-z0-9]+/i.test(b);
+  const looksLikeNewReq = /\bNew booking request\b/i.test(b);
+
+  // Pattern B: "Boarding Request - One Time: Drop-off: Fri, Nov 07 ... Pick-up: Sat, Nov 08 ..."
+  const looksLikeOneTime = /^Boarding Request\s*-\s*One Time:/i.test(b)
+    && /\bDrop-?off:/i.test(b) && /\bPick-?up:/i.test(b);
+
+  return (hasRoverLink && looksLikeNewReq) || looksLikeOneTime;
+}
+
+const blockNoteFor = (blocks) => blocks.length
+  ? `⛔ Overlaps blocked time: ${blocks.map(describeBlock).join('; ')}`
+  : null;
+
+/**
+ * Decide what an inbound message should do, without changing anything.
+ *
+ * deps (all async):
+ *   findMessageByEid(eid)                          → Message | null
+ *   classify(body)                                 → { label, score, extracted } (may throw; best-effort)
+ *   findBlocks(startAt, endAt)                     → Block[] (throws rather than answer "none" when it can't tell)
+ *   findOpenThread({ phone, email })               → PENDING/CONFIRMED Booking | null
+ *   findNearbyBooking({ phone, email, relay, startAt }) → Booking | null (±2 days of startAt)
+ *
+ * Returns { action: 'ignore' | 'duplicate' | 'intake', ... }. For 'intake':
+ *   bookings:      per candidate segment not about the open thread,
+ *                  { segment, op: 'create', data } | { segment, op: 'update', id, patch } | { segment, op: 'reuse', id }
+ *   series:        { seriesId, threadBookingId, threadSegment } when 2+ bookings come out of the message, else null
+ *   changeRequest: ChangeRequest data for the open thread, or null
+ *   message:       Message data (bookingId filled in by attachTo)
+ *   attachTo:      { bookingId } | { segment } | null
+ *   push:          { title, body }
+ * @param {{ from: string, body: string, receivedAt: Date, platform: string, channel: string,
+ *           threadId: string, providerMessageId?: string|null, fromPhone?: string|null,
+ *           fromEmail?: string|null, fromName?: string|null }} msg
+ */
+export async function processInbound(msg, deps) {
+  if (isRoverAuto(msg.body)) {
+    // ignore these completely: no message, no booking
+    return { action: 'ignore', reason: 'rover_auto_notice' };
+  }
+
+  const { from, body, receivedAt } = msg;
+
+  // EID dedupe (BEFORE writes) — real provider ids when the adapter has one
+  const eid = buildEID({
+    platform: msg.platform,
+    threadId: msg.threadId,
+    providerMessageId: msg.providerMessageId || undefined,
+    from, body, timestamp: receivedAt.getTime()
+  });
+  const already = await deps.findMessageByEid(eid);
+  if (already) {
+    return { action: 'duplicate', eid, duplicateOf: { messageId: already.id, bookingId: already.bookingId || null } };
+  }
+
+  // Optional AI classification
+  const classification = { label: null, score: null, extracted: null };
+  try {
+    Object.assign(classification, await deps.classify(body));
+  } catch {
+    // best-effort; ignore failures
+  }
+
+  // ---- Heuristics (keywords + segments) ----
+  const keywords   = findKeywords(body);
+  const svcGuess   = classifyService(body);
+  const segments   = parseSegments(body, receivedAt); // [{startAt,endAt,serviceHint}, ...]
+  const roverMeta  = extractRoverMeta(body);          // {ownerName, petName, petAgeMonths, petWeightLbs}
+
+  // strict gate: must have keywords AND at least one segment AND not purely "Walk"
+  const isWalkOnly = svcGuess === 'Walk';
+  const candidate = (keywords.length > 0) && segments.length > 0 && !isWalkOnly;
+
+  // blackout periods hit by any requested segment (hard conflict → flagged, never auto-confirmed)
+  const blocked = [];
+  for (const seg of segments) {
+    const hits = await deps.findBlocks(seg.startAt, seg.endAt);
+    for (const h of hits) if (!blocked.some(x => x.id === h.id)) blocked.push(h);
+  }
+
+  // try attaching to an open thread for this exact phone first (best defense against dupes)
+  const phone = normPhone(msg.fromPhone);
+  // Rover mail all comes from one sender, so its address says nothing about the client
+  const email = msg.fromEmail && msg.platform !== 'rover-email' ? msg.fromEmail : null;
+  const openThread = (phone || email) ? await deps.findOpenThread({ phone, email }) : null;
+
+  // with an open thread, the segment overlapping it (else the first) is about that booking
+  let threadSeg = -1;
+  if (openThread && segments.length) {
+    threadSeg = segments.findIndex(seg => seg.startAt < new Date(openThread.endAt) && seg.endAt > new Date(openThread.startAt));
+    if (threadSeg < 0) threadSeg = 0;
+  }
+
+  // every other segment gets its own booking, reusing a recent one near the same dates
+  const bookings = [];
+  if (candidate) {
+    for (let idx = 0; idx < segments.length; idx++) {
+      if (idx === threadSeg) continue;
+      const seg = segments[idx];
+      const inferredSvc = svcGuess !== 'Unspecified' ? svcGuess : (seg.serviceHint || 'Unspecified');
+      const segNote = blockNoteFor(blocked.filter(bl => bl.startAt < seg.endAt && bl.endAt > seg.startAt));
+
+      const booking = (phone || msg.fromEmail)
+        ? await deps.findNearbyBooking({ phone, email: msg.fromEmail, relay: from, startAt: seg.startAt })
+        : null;
+
+      const taken = booking && (booking.id === openThread?.id || bookings.some(b => b.id === booking.id));
+      if (!booking || booking.status === 'CANCELED' || taken) {
+        bookings.push({
+          segment: idx,
+          op: 'create',
+          data: {
+            source: body.includes('r.rover.com') || msg.platform === 'rover-email' ? 'Rover' : (msg.channel === 'EMAIL' ? 'Email' : 'SMS'),
+            clientName: roverMeta.ownerName || msg.fromName || from,
+            clientPhone: normPhone(msg.fromPhone) || null,
+            clientEmail: msg.fromEmail,
+            contactLabel: roverMeta.ownerName || null,
+            roverRelay: from.includes('r.rover.com') ? from : null,
+            serviceType: inferredSvc,
+            startAt: seg.startAt,
+            endAt: seg.endAt,
+            status: 'PENDING',
+            notes: [`Created from ${msg.channel === 'EMAIL' ? 'email' : 'SMS'} (filtered booking candidate)`, segNote].filter(Boolean).join('\n')
+          }
+        });
+        continue;
+      }
+
+      const patch = {};
+      if ((booking.serviceType || 'Unspecified') === 'Unspecified' && inferredSvc !== 'Unspecified') {
+        patch.serviceType = inferredSvc;
+      }
+      const needDates =
+        Math.abs(new Date(booking.startAt) - seg.startAt) > 60 * 1000 ||
+        Math.abs(new Date(booking.endAt)   - seg.endAt)   > 60 * 1000;
+      if (needDates) {
+        patch.startAt = seg.startAt;
+        patch.endAt   = seg.endAt;
+      }
+      if (segNote && !(booking.notes || '').includes(segNote)) {
+        patch.notes = [booking.notes, segNote].filter(Boolean).join('\n');
+      }
+      bookings.push(Object.keys(patch).length
+        ? { segment: idx, op: 'update', id: booking.id, patch }
+        : { segment: idx, op: 'reuse', id: booking.id });
+    }
+  }
+
+  // If there is an open booking thread and the message contains a new range, detect change request
+  let changeRequest = null;
+  if (threadSeg >= 0) {
+    const seg = segments[threadSeg];
+    const curStart = new Date(openThread.startAt);
+    const curEnd   = new Date(openThread.endAt);
+
+    // consider it a change if either side differs by > 1 minute
+    if (Math.abs(curStart - seg.startAt) > 60_000 || Math.abs(curEnd - seg.endAt) > 60_000) {
+      changeRequest = {
+        bookingId: openThread.id,
+        oldStartAt: curStart,
+        oldEndAt:   curEnd,
+        newStartAt: seg.startAt,
+        newEndAt:   seg.endAt,
+        status: 'PENDING'
+      };
+    }
+  }
+
+  // the message threads to the open booking, else to the first segment's booking
+  const attachTo = openThread ? { bookingId: openThread.id }
+    : bookings.length ? { segment: bookings[0].segment }
+    : null;
+
+  // several stays from one message → link them (joining the open thread's series if it has one)
+  const series = (openThread ? 1 : 0) + bookings.length > 1
+    ? { seriesId: openThread?.seriesId || null, threadBookingId: openThread?.id || null, threadSegment: openThread ? threadSeg : null }
+    : null;
+
+  const message = {
+    eid,
+    platform: msg.platform,
+    threadId: msg.threadId,
+    providerMessageId: msg.providerMessageId,
+    fromPhone: msg.fromPhone,
+    direction: 'IN',
+    channel: msg.channel,
+    fromLabel: roverMeta.ownerName || msg.fromName || from,
+    body: String(body).slice(0, 2000),
+    isRead: false,
+    isBookingCandidate: candidate,
+    extractedKeywordsJson: JSON.stringify(keywords),
+    extractedDatesJson: JSON.stringify(
+      segments.map(s => ({
+        startISO: s.startAt.toISOString(),
+        endISO:   s.endAt.toISOString()
+      }))
+    ),
+    classifyLabel: classification.label,
+    classifyScore: classification.score,
+    extractedJson: classification.extracted ? JSON.stringify(classification.extracted) : null
+  };
+
+  const blockNote = blockNoteFor(blocked);
+  return {
+    action: 'intake',
+    eid,
+    candidate,
+    keywords,
+    service: svcGuess,
+    segments,
+    roverMeta,
+    classification,
+    blocked,
+    openThread: openThread ? { id: openThread.id, status: openThread.status, startAt: openThread.startAt, endAt: openThread.endAt } : null,
+    bookings,
+    series,
+    changeRequest,
+    message,
+    attachTo,
+    push: {
+      title: blockNote && (candidate || changeRequest) ? '⛔ Booking request during blocked time'
+        : candidate ? '📩 New booking message' : '📩 New message',
+      body: `${from}: ${body.slice(0, 100)}`
+    }
+  };
+}
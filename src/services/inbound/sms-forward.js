@@ -0,0 +1,41 @@
+// src/services/inbound/sms-forward.js
+// The original phone forwarder: {from, body, timestamp} as JSON, form, raw JSON text or query,
+// authenticated by ?token=SMS_FORWARD_TOKEN.
+import { safeEqual } from '../utils/signature.js';
+
+export const smsForward = {
+  name: 'sms-forward',
+
+  verify(req) {
+    const token = req.query.token;
+    return !!process.env.SMS_FORWARD_TOKEN && safeEqual(String(token || ''), process.env.SMS_FORWARD_TOKEN);
+  },
+
+  parse(req) {
+    let from, body, timestamp;
+    if (req.is('application/json') && req.body && typeof req.body === 'object') {
+      ({ from, body, timestamp } = req.body);
+    } else if (typeof req.body === 'string' && req.body.trim().startsWith('{')) {
+      try { ({ from, body, timestamp } = JSON.parse(req.body)); } catch {}
+    } else if (req.body && typeof req.body === 'object') {
+      ({ from, body, timestamp } = req.body);
+    }
+    if (!from && req.query) {
+      from = req.query.from; body = req.query.body; timestamp = req.query.timestamp;
+    }
+    if (!from || !body) return null;
+
+    return {
+      from: String(from),
+      body: String(body),
+      receivedAt: new Date(Number(timestamp) || Date.now()),
+      platform: 'sms',
+      channel: 'SMS',
+      threadId: String(from),
+      providerMessageId: null, // forwarder has no id → EID falls back to from/body/timestamp hash
+      fromPhone: String(from),
+      fromEmail: null,
+      fromName: null
+    };
+  }
+};
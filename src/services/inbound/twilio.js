@@ -0,0 +1,49 @@
+// src/services/inbound/twilio.js
+// Twilio Messaging webhook (application/x-www-form-urlencoded).
+// Signature: base64(HMAC-SHA1(TWILIO_AUTH_TOKEN, url + sorted key/value pairs)) in X-Twilio-Signature.
+import { safeEqual, hmac } from '../utils/signature.js';
+
+/** The URL Twilio signed; set PUBLIC_BASE_URL when running behind a proxy that rewrites host/proto. */
+function signedUrl(req) {
+  const base = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return base + req.originalUrl;
+}
+
+export function twilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((acc, k) => acc + k + (params[k] ?? ''), url);
+  return hmac('sha1', authToken, data, 'base64');
+}
+
+export const twilio = {
+  name: 'twilio',
+
+  verify(req) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const sig = req.get('X-Twilio-Signature');
+    if (!authToken || !sig) return false;
+    const params = req.body && typeof req.body === 'object' ? req.body : {};
+    return safeEqual(sig, twilioSignature(authToken, signedUrl(req), params));
+  },
+
+  parse(req) {
+    const p = req.body || {};
+    if (!p.From || p.Body == null) return null;
+    return {
+      from: String(p.From),
+      body: String(p.Body),
+      receivedAt: new Date(),
+      platform: 'twilio',
+      channel: 'SMS',
+      threadId: String(p.From),
+      providerMessageId: p.MessageSid || p.SmsSid || null,
+      fromPhone: String(p.From),
+      fromEmail: null,
+      fromName: null
+    };
+  },
+
+  // Twilio wants TwiML back; an empty <Response/> means "no auto-reply"
+  respond(res, _result) {
+    res.type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+  }
+};
@@ -1,5 +1,7 @@
 // src/services/intake.js
 // unified intake helpers
+import { recordAudit } from './audit.js';
+import { zonedDate, zonedParts, startOfDay, addDays, atTime, weekday, dayKey } from './utils/dates.js';
 
 // ---------- keywords (keeps walking words for detection, but we can ban later) ----------
 const KEYWORDS = [
@@ -40,8 +42,8 @@ function monoMonth(m) {
 
 function yearInfer(ref, mm, dd) {
   // rule: if no year, assume current year; if that date is >7 days in the past, bump to next year
-  const y = ref.getFullYear();
-  const d = new Date(y, mm, dd);
+  const y = zonedParts(ref).year;
+  const d = zonedDate(y, mm, dd);
   const sevenDaysAgo = new Date(ref.getTime() - 7*24*60*60*1000);
   return d < sevenDaysAgo ? y + 1 : y;
 }
@@ -49,23 +51,20 @@ function yearInfer(ref, mm, dd) {
 // ===== Natural-language helpers =====
 const WEEKDAYS = { sun:0, sunday:0, mon:1, monday:1, tue:2, tues:2, tuesday:2, wed:3, weds:3, wednesday:3, thu:4, thur:4, thurs:4, thursday:4, fri:5, friday:5, sat:6, saturday:6 };
 
-function clone(d){ return new Date(d.getTime()); }
-function startOfDay(d){ const x = clone(d); x.setHours(0,0,0,0); return x; }
-function endOfDay(d){ const x = clone(d); x.setHours(23,59,59,999); return x; }
-
-function addDays(d, n){ const x = clone(d); x.setDate(x.getDate()+n); return x; }
-function setHM(d,h=17,m=0){ const x = clone(d); x.setHours(h,m,0,0); return x; }
+// all day/hour math is in the business timezone (utils/dates.js), whatever the host's zone
+function setHM(d,h=17,m=0){ return atTime(d, h, m); }
+function plusHours(d, h){ return new Date(d.getTime() + h*60*60*1000); }
 
 function nextWeekday(ref, wd) {
   const x = startOfDay(ref);
-  const cur = x.getDay();
+  const cur = weekday(x);
   const diff = (wd - cur + 7) % 7 || 7; // always future (>=1 day)
   return addDays(x, diff);
 }
 
 function thisOrNextWeekday(ref, wd) {
   const x = startOfDay(ref);
-  const cur = x.getDay();
+  const cur = weekday(x);
   const diff = (wd - cur + 7) % 7;
   return addDays(x, diff);
 }
@@ -73,7 +72,7 @@ function thisOrNextWeekday(ref, wd) {
 function weekSpan(ref, which /* 'this'|'next' */) {
   // Mon..Sun weeks (common for scheduling)
   const x = startOfDay(ref);
-  const day = x.getDay();
+  const day = weekday(x);
   const mondayOffset = (day === 0 ? -6 : 1 - day); // go to Monday of this week
   let start = addDays(x, mondayOffset);
   if (which === 'next') start = addDays(start, 7);
@@ -82,33 +81,33 @@ function weekSpan(ref, which /* 'this'|'next' */) {
 }
 
 // nth weekday of a month: e.g., 4th Thursday of November (Thanksgiving)
-function nthWeekdayOfMonth(year, monthIndex, weekday, n) {
-  const first = new Date(year, monthIndex, 1);
-  const firstWd = first.getDay();
-  const offset = (weekday - firstWd + 7) % 7;
+function nthWeekdayOfMonth(year, monthIndex, wd, n) {
+  const first = zonedDate(year, monthIndex, 1);
+  const firstWd = weekday(first);
+  const offset = (wd - firstWd + 7) % 7;
   const day = 1 + offset + 7*(n-1);
-  return new Date(year, monthIndex, day);
+  return zonedDate(year, monthIndex, day);
 }
 
 // US holiday resolver (observed **date**, not time) — extend as needed
 function usHolidays(year) {
   const y = year;
-  const newYearsDay = new Date(y, 0, 1);
+  const newYearsDay = zonedDate(y, 0, 1);
   const mlkDay = nthWeekdayOfMonth(y, 0, 1, 3);   // 3rd Monday Jan
   const presidentsDay = nthWeekdayOfMonth(y, 1, 1, 3); // 3rd Monday Feb
   const memorialDay = (()=>{ // last Monday May
-    const last = new Date(y, 4, 31);
-    const d = last.getDay();
+    const last = zonedDate(y, 4, 31);
+    const d = weekday(last);
     return addDays(last, -((d+6)%7));
   })();
-  const independenceDay = new Date(y, 6, 4);
+  const independenceDay = zonedDate(y, 6, 4);
   const laborDay = nthWeekdayOfMonth(y, 8, 1, 1); // 1st Monday Sep
   const columbusDay = nthWeekdayOfMonth(y, 9, 1, 2); // 2nd Monday Oct
-  const halloween = new Date(y, 9, 31);
+  const halloween = zonedDate(y, 9, 31);
   const thanksgiving = nthWeekdayOfMonth(y, 10, 4, 4); // 4th Thu Nov
-  const christmasEve = new Date(y, 11, 24);
-  const christmas = new Date(y, 11, 25);
-  const newYearsEve = new Date(y, 11, 31);
+  const christmasEve = zonedDate(y, 11, 24);
+  const christmas = zonedDate(y, 11, 25);
+  const newYearsEve = zonedDate(y, 11, 31);
 
   return {
     "new year": newYearsDay,
@@ -129,6 +128,23 @@ function usHolidays(year) {
   };
 }
 
+/** True if `d` falls on one of the US holidays above (calendar date match, business timezone). */
+export function isUSHoliday(d) {
+  return usHolidayName(d) != null;
+}
+
+/** Display name of the US holiday on `d` (longest alias, e.g. "Christmas Day"), or null. */
+export function usHolidayName(d) {
+  const x = new Date(d);
+  if (isNaN(x)) return null;
+  const key = dayKey(x);
+  const names = Object.entries(usHolidays(zonedParts(x).year))
+    .filter(([, h]) => dayKey(h) === key)
+    .map(([name]) => name)
+    .sort((a, b) => b.length - a.length);
+  return names.length ? names[0].replace(/\b\w/g, c => c.toUpperCase()) : null;
+}
+
 // map a holiday mention in text to a concrete {year, monthIndex} anchor
 function holidayContextMonth(text = '', ref = new Date()) {
   const t = text.toLowerCase();
@@ -140,12 +156,13 @@ function holidayContextMonth(text = '', ref = new Date()) {
   ];
   const hit = names.find(n => t.includes(n));
   if (!hit) return null;
-  const y0 = ref.getFullYear();
+  const y0 = zonedParts(ref).year;
   // prefer the *upcoming* occurrence of that holiday
   let d = usHolidays(y0)[hit];
   if (!d || d < ref) d = usHolidays(y0 + 1)[hit];
   if (!d) return null;
-  return { year: d.getFullYear(), month: d.getMonth() };
+  const { year, month } = zonedParts(d);
+  return { year, month };
 }
 
 // coarse day-part → hour mapping
@@ -262,10 +279,8 @@ export function parseSegments(text, ref = new Date()) {
 
   // local helpers
   function mk(y,m,d,t){
-    const dt = new Date(y,m,d);
-    if (t?.h != null) dt.setHours(t.h, t.min||0, 0, 0);
-    else dt.setHours(17,0,0,0);
-    return dt;
+    if (t?.h != null) return zonedDate(y, m, d, t.h, t.min||0);
+    return zonedDate(y, m, d, 17, 0);
   }
   function spanHint(a,b){
     const days = Math.round((b - a) / (24*60*60*1000));
@@ -287,8 +302,8 @@ export function parseSegments(text, ref = new Date()) {
     const Y1 = y1 ? (+y1 < 100 ? 2000 + +y1 : +y1) : yearInfer(ref, mm1, dd1);
     const Y2 = y2 ? (+y2 < 100 ? 2000 + +y2 : +y2) : yearInfer(ref, mm2, dd2);
     const startAt = mk(Y1, mm1, dd1, times?.start || null);
-    const endAt   = mk(Y2, mm2, dd2, times?.end   || null);
-    if (endAt < startAt) endAt.setDate(endAt.getDate() + 1);
+    let endAt     = mk(Y2, mm2, dd2, times?.end   || null);
+    if (endAt < startAt) endAt = addDays(endAt, 1);
     segs.push({ startAt, endAt, serviceHint: spanHint(startAt, endAt) });
     return segs;
   }
@@ -301,9 +316,8 @@ export function parseSegments(text, ref = new Date()) {
     return segs;
   }
   if (/\btonight\b/i.test(norm)) {
-    const base = clone(ref);
-    const s = setHM(base, 19, 0); // 7pm tonight
-    const e = addDays(setHM(base, 8, 0), 1); // 8am tomorrow
+    const s = setHM(ref, 19, 0); // 7pm tonight
+    const e = addDays(setHM(ref, 8, 0), 1); // 8am tomorrow
     segs.push({ startAt: s, endAt: e, serviceHint: spanHint(s,e) });
     return segs;
   }
@@ -363,8 +377,8 @@ export function parseSegments(text, ref = new Date()) {
     const wd = WEEKDAYS[singleWd[2].toLowerCase()];
     const day = which === 'next' ? nextWeekday(ref, wd) : thisOrNextWeekday(ref, wd);
     const s = setHM(day, times?.start?.h ?? 9, times?.start?.min ?? 0);
-    const e = setHM(day, times?.end?.h ?? 17, times?.end?.min ?? 0);
-    if (e <= s) e.setHours(s.getHours() + 8);
+    let e = setHM(day, times?.end?.h ?? 17, times?.end?.min ?? 0);
+    if (e <= s) e = plusHours(s, 8);
     segs.push({ startAt: s, endAt: e, serviceHint: spanHint(s,e) });
     return segs;
   }
@@ -379,15 +393,15 @@ export function parseSegments(text, ref = new Date()) {
   const holRx = new RegExp(`\\b(${holWords.map(w=>w.replace(/[\s']/g, m=> m===' ' ? '\\s+' : m)).join('|')})\\b`, 'i');
   const mh = norm.match(holRx);
   if (mh) {
-    const yNow = ref.getFullYear();
+    const yNow = zonedParts(ref).year;
     let day = usHolidays(yNow)[mh[1].toLowerCase()];
     if (!day || day < addDays(ref,-7)) { // if it looks past, try next year
       day = usHolidays(yNow+1)[mh[1].toLowerCase()];
     }
     if (day) {
       const s = setHM(day, times?.start?.h ?? 9, times?.start?.min ?? 0);
-      const e = setHM(day, times?.end?.h ?? 17, times?.end?.min ?? 0);
-      if (e <= s) e.setHours(s.getHours() + 8);
+      let e = setHM(day, times?.end?.h ?? 17, times?.end?.min ?? 0);
+      if (e <= s) e = plusHours(s, 8);
       segs.push({ startAt: s, endAt: e, serviceHint: spanHint(s,e) });
       return segs;
     }
@@ -400,14 +414,13 @@ export function parseSegments(text, ref = new Date()) {
     const ordMap = { first:1, second:2, third:3, fourth:4 };
     const n = ordMap[ordWord] || parseInt(ordWord,10);
     const mm = monoMonth(wkendOf[2]);
-    const y = ref.getFullYear();
+    const y = zonedParts(ref).year;
     // find the nth Saturday of that month (weekend = Sat..Sun)
-    const firstOfMonth = new Date(y, mm, 1);
     let count = 0, sat = null;
     for (let d=1; d<=31; d++){
-      const dt = new Date(y, mm, d);
-      if (dt.getMonth() !== mm) break;
-      if (dt.getDay() === 6) { // Saturday
+      const dt = zonedDate(y, mm, d);
+      if (zonedParts(dt).month !== mm) break;
+      if (weekday(dt) === 6) { // Saturday
         count++;
         if (count === n) { sat = dt; break; }
       }
@@ -425,16 +438,15 @@ export function parseSegments(text, ref = new Date()) {
   const relMonthMatch = norm.match(/\b(this|next)\s+month\b/i);
   if (relMonthMatch) {
     const which = relMonthMatch[1].toLowerCase();
-    const base  = new Date(ref);
-    if (which === 'next') base.setMonth(base.getMonth()+1);
-    const Y = base.getFullYear(), M = base.getMonth();
+    const now = zonedParts(ref);
+    const { year: Y, month: M } = zonedParts(zonedDate(now.year, now.month + (which === 'next' ? 1 : 0), 1));
 
     const mRange = norm.match(/\bmonth[^0-9]*(\d{1,2})\s*[-]\s*(\d{1,2})\b/i);
     if (mRange) {
       const d1 = +mRange[1], d2 = +mRange[2];
       const s = mk(Y,M,d1,times?.start||null);
-      const e = mk(Y,M,d2,times?.end||null);
-      if (e < s) e.setDate(e.getDate()+1);
+      let e = mk(Y,M,d2,times?.end||null);
+      if (e < s) e = addDays(e, 1);
       segs.push({ startAt:s, endAt:e, serviceHint: spanHint(s,e) });
       return segs;
     }
@@ -442,8 +454,8 @@ export function parseSegments(text, ref = new Date()) {
     if (mDay) {
       const d = +mDay[1];
       const s = mk(Y,M,d,times?.start||null);
-      const e = mk(Y,M,d,times?.end||null);
-      if (e < s) e.setDate(e.getDate()+1);
+      let e = mk(Y,M,d,times?.end||null);
+      if (e < s) e = addDays(e, 1);
       segs.push({ startAt:s, endAt:e, serviceHint: spanHint(s,e) });
       return segs;
     }
@@ -485,8 +497,8 @@ export function parseSegments(text, ref = new Date()) {
     const startH = times?.start?.h ?? dayPartToHour(leftPart || '');
     const endH   = times?.end?.h   ?? dayPartToHour(rightPart || '');
     const startAt = mk(a.yy, a.mm, a.dd, { h: startH, min: times?.start?.min ?? 0 });
-    const endAt   = mk(b ? b.yy : a.yy, b ? b.mm : a.mm, b ? b.dd : a.dd, { h: endH, min: times?.end?.min ?? 0 });
-    if (endAt < startAt) endAt.setDate(endAt.getDate() + 1);
+    let endAt     = mk(b ? b.yy : a.yy, b ? b.mm : a.mm, b ? b.dd : a.dd, { h: endH, min: times?.end?.min ?? 0 });
+    if (endAt < startAt) endAt = addDays(endAt, 1);
     segs.push({ startAt, endAt, serviceHint: spanHint(startAt, endAt) });
   }
 
@@ -540,7 +552,7 @@ export function serializeRange(range) {
  * and gently update attached PENDING bookings' dates/service when appropriate.
  *
  * @param {import('@prisma/client').PrismaClient} prisma
- * @param {{days?: number, limit?: number}} opts
+ * @param {{days?: number, limit?: number, actor?: object}} opts  actor goes in the audit log
  */
 export async function reparseAll(prisma, opts = {}) {
   const days  = Number.isFinite(opts.days) ? opts.days : 180;
@@ -604,7 +616,11 @@ export async function reparseAll(prisma, opts = {}) {
         }
 
         if (Object.keys(patch).length) {
-          await prisma.booking.update({ where: { id: booking.id }, data: patch });
+          const updatedBooking = await prisma.booking.update({ where: { id: booking.id }, data: patch });
+          await recordAudit({
+            actor: opts.actor, action: 'booking.reparse', entityId: booking.id,
+            before: booking, after: updatedBooking, sourceMessageId: m.id
+          });
           touchedBookings++;
         }
       }
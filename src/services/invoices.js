@@ -0,0 +1,200 @@
+// src/services/invoices.js
+// Invoices + manually recorded payments. Status follows the money:
+// DRAFT → SENT → PARTIALLY_PAID → PAID; VOID is terminal.
+import { prisma } from '../db.js';
+import { quoteBooking } from './pricing.js';
+import { findBookingWithPets } from './pets.js';
+import { parseInput, zonedParts, formatDate } from './utils/dates.js';
+
+export const INVOICE_STATUSES = ['DRAFT', 'SENT', 'PARTIALLY_PAID', 'PAID', 'VOID'];
+export const PAYMENT_METHODS = ['CASH', 'VENMO', 'ZELLE', 'CHECK', 'OTHER'];
+const OPEN_STATUSES = ['SENT', 'PARTIALLY_PAID'];
+const DUE_DAYS = Number(process.env.INVOICE_DUE_DAYS || 7);
+
+/** Parse a dollar amount ("$45.50", "45.5", 45) into integer cents; null if invalid. */
+export function toCents(v) {
+  const n = Number(String(v ?? '').replace(/[$,\s]/g, ''));
+  return Number.isFinite(n) ? Math.round(n * 100) : null;
+}
+
+/**
+ * Line items for a booking: the rate-card quote when the service has a rate, otherwise one
+ * line at the booking's saved rateCents (or $0 to fill in by hand).
+ */
+export async function linesFromBooking(b) {
+  const range = `${formatDate(b.startAt)} – ${formatDate(b.endAt)}`;
+  const quote = await quoteBooking(b);
+  if (!quote.missingRate && quote.lines.length) {
+    return quote.lines.map((l, i) => ({
+      label: i === 0 ? `${l.label}, ${range}` : l.label,
+      qty: l.qty, unitCents: l.unitCents, cents: l.cents, sort: i
+    }));
+  }
+  const dogs = Math.max(b.dogsCount || 1, b.pets?.length || 0);
+  const cents = b.rateCents || 0;
+  return [{
+    label: `${b.serviceType}, ${range} (${dogs} dog${dogs === 1 ? '' : 's'})`,
+    qty: 1, unitCents: cents, cents, sort: 0
+  }];
+}
+
+// INV-<year>-<seq>, retried by the caller on a unique clash. The highest seq is found
+// numerically: as strings "INV-2026-9999" sorts after "INV-2026-10000".
+async function nextNumber(now = new Date()) {
+  const prefix = `INV-${zonedParts(now).year}-`;
+  const taken = await prisma.invoice.findMany({
+    where: { number: { startsWith: prefix } },
+    select: { number: true }
+  });
+  const last = taken.reduce((max, i) => Math.max(max, Number(i.number.slice(prefix.length)) || 0), 0);
+  return prefix + String(last + 1).padStart(4, '0');
+}
+
+/** New DRAFT invoice for a booking. Returns { invoice } or { error: 'booking_not_found' }. */
+export async function createInvoiceForBooking(bookingId) {
+  const b = await findBookingWithPets(bookingId);
+  if (!b) return { error: 'booking_not_found' };
+
+  const lines = await linesFromBooking(b);
+  const totalCents = lines.reduce((sum, l) => sum + l.cents, 0);
+  const dueAt = new Date(Math.max(Date.now(), new Date(b.endAt).getTime()) + DUE_DAYS * 24 * 60 * 60 * 1000);
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const invoice = await prisma.invoice.create({
+        data: {
+          number: await nextNumber(),
+          bookingId: b.id,
+          clientId: b.clientId,
+          billToName: b.contactLabel || b.clientName,
+          billToPhone: b.clientPhone,
+          billToEmail: b.clientEmail,
+          totalCents,
+          dueAt,
+          lines: { create: lines }
+        },
+        include: { lines: true, payments: true }
+      });
+      return { invoice };
+    } catch (e) {
+      if (e?.code !== 'P2002') throw e; // number taken by a concurrent create → next one
+    }
+  }
+  throw new Error('could not allocate an invoice number');
+}
+
+/** Recompute totals from lines/payments and move the status along (VOID stays VOID). */
+export async function recomputeInvoice(id) {
+  const inv = await prisma.invoice.findUnique({ where: { id }, include: { lines: true, payments: true } });
+  if (!inv) return null;
+
+  const totalCents = inv.lines.reduce((sum, l) => sum + l.cents, 0);
+  const paidCents = inv.payments.reduce((sum, p) => sum + p.amountCents, 0);
+  let status = inv.status;
+  if (status !== 'VOID') {
+    if (paidCents > 0 && paidCents >= totalCents) status = 'PAID';
+    else if (paidCents > 0) status = 'PARTIALLY_PAID';
+    else status = inv.sentAt ? 'SENT' : 'DRAFT';
+  }
+  return prisma.invoice.update({
+    where: { id },
+    data: { totalCents, paidCents, status },
+    include: { lines: { orderBy: { sort: 'asc' } }, payments: { orderBy: { receivedAt: 'asc' } } }
+  });
+}
+
+/** Add a line to a DRAFT invoice. Returns { invoice } or { error }. */
+export async function addLine(id, { label, qty = 1, unit }) {
+  const inv = await prisma.invoice.findUnique({ where: { id }, include: { lines: true } });
+  if (!inv) return { error: 'not_found' };
+  if (inv.status !== 'DRAFT') return { error: 'Only draft invoices can be edited' };
+  const q = Number(qty);
+  const unitCents = toCents(unit);
+  if (!label || !Number.isFinite(q) || q <= 0 || unitCents == null) return { error: 'label, qty and unit price are required' };
+
+  await prisma.invoiceLine.create({
+    data: { invoiceId: id, label: String(label).trim(), qty: q, unitCents, cents: Math.round(q * unitCents), sort: inv.lines.length }
+  });
+  return { invoice: await recomputeInvoice(id) };
+}
+
+export async function removeLine(id, lineId) {
+  const inv = await prisma.invoice.findUnique({ where: { id } });
+  if (!inv) return { error: 'not_found' };
+  if (inv.status !== 'DRAFT') return { error: 'Only draft invoices can be edited' };
+  await prisma.invoiceLine.deleteMany({ where: { id: lineId, invoiceId: id } });
+  return { invoice: await recomputeInvoice(id) };
+}
+
+/** DRAFT → SENT (stamps sentAt). */
+export async function markSent(id) {
+  const inv = await prisma.invoice.findUnique({ where: { id } });
+  if (!inv) return { error: 'not_found' };
+  if (inv.status === 'VOID') return { error: 'Invoice is void' };
+  await prisma.invoice.update({ where: { id }, data: { sentAt: inv.sentAt || new Date() } });
+  return { invoice: await recomputeInvoice(id) };
+}
+
+/** Void an invoice that has no payments on it. */
+export async function voidInvoice(id) {
+  const inv = await prisma.invoice.findUnique({ where: { id }, include: { payments: true } });
+  if (!inv) return { error: 'not_found' };
+  if (inv.payments.length) return { error: 'Remove the payments before voiding' };
+  const invoice = await prisma.invoice.update({ where: { id }, data: { status: 'VOID', voidedAt: new Date() } });
+  return { invoice };
+}
+
+/**
+ * Record a payment received by hand.
+ * @param {{ amount: string|number, method: string, reference?: string, note?: string, receivedAt?: string }} input
+ */
+export async function recordPayment(id, input = {}) {
+  const inv = await prisma.invoice.findUnique({ where: { id } });
+  if (!inv) return { error: 'not_found' };
+  if (inv.status === 'VOID') return { error: 'Invoice is void' };
+
+  const amountCents = toCents(input.amount);
+  if (amountCents == null || amountCents <= 0) return { error: 'amount must be positive' };
+  const method = String(input.method || '').toUpperCase();
+  if (!PAYMENT_METHODS.includes(method)) return { error: `method must be one of ${PAYMENT_METHODS.join(', ')}` };
+  const receivedAt = parseInput(input.receivedAt) || new Date();
+  if (isNaN(receivedAt)) return { error: 'Invalid receivedAt' };
+
+  const payment = await prisma.payment.create({
+    data: {
+      invoiceId: id,
+      amountCents,
+      method,
+      reference: input.reference ? String(input.reference).trim() : null,
+      note: input.note ? String(input.note).trim() : null,
+      receivedAt
+    }
+  });
+  return { payment, invoice: await recomputeInvoice(id) };
+}
+
+export async function removePayment(id, paymentId) {
+  const res = await prisma.payment.deleteMany({ where: { id: paymentId, invoiceId: id } });
+  if (!res.count) return { error: 'not_found' };
+  return { invoice: await recomputeInvoice(id) };
+}
+
+/**
+ * Unpaid money on sent invoices, biggest balances first.
+ * @returns {Promise<{ totalCents: number, overdueCents: number, invoices: Array<object> }>}
+ */
+export async function outstandingBalances(now = new Date()) {
+  const open = await prisma.invoice.findMany({
+    where: { status: { in: OPEN_STATUSES } },
+    include: { booking: { select: { id: true, serviceType: true, startAt: true, endAt: true } } }
+  });
+  const invoices = open
+    .map(inv => ({ ...inv, balanceCents: inv.totalCents - inv.paidCents, overdue: !!inv.dueAt && inv.dueAt < now }))
+    .filter(inv => inv.balanceCents > 0)
+    .sort((a, b) => b.balanceCents - a.balanceCents);
+  return {
+    totalCents: invoices.reduce((sum, i) => sum + i.balanceCents, 0),
+    overdueCents: invoices.filter(i => i.overdue).reduce((sum, i) => sum + i.balanceCents, 0),
+    invoices
+  };
+}
@@ -0,0 +1,169 @@
+// src/services/outbox.js
+// Outbound SMS queue polled by the phone-side forwarder app.
+// Lifecycle of an OUT message: queued → leased → sent | (failed → backoff → queued …) → dead.
+import crypto from 'crypto';
+import { prisma } from '../db.js';
+import { buildEID } from './utils/eid.js';
+import { safeEqual } from './utils/signature.js';
+
+const LEASE_SECONDS = Number(process.env.OUTBOX_LEASE_SECONDS || 120);
+const MAX_ATTEMPTS  = Number(process.env.OUTBOX_MAX_ATTEMPTS || 5);
+const BACKOFF_BASE_MS = 60 * 1000;        // 1 min after the first failure …
+const BACKOFF_MAX_MS  = 60 * 60 * 1000;   // … doubling, capped at 1 hour
+
+/** Delay before the next attempt after `failCount` failures. */
+export function backoffMs(failCount) {
+  const n = Math.max(1, failCount | 0);
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (n - 1));
+}
+
+/**
+ * True if the request carries the gateway token as `Authorization: Bearer`. Not accepted in
+ * the query string: URLs end up in the request log.
+ */
+export function isGatewayAuthorized(req) {
+  const expected = process.env.OUTBOX_TOKEN || process.env.SMS_FORWARD_TOKEN;
+  if (!expected) return false;
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return !!m && safeEqual(m[1], expected);
+}
+
+/**
+ * Queue a text to the booking's client. Returns the created Message.
+ * Throws Error('no_phone') when the booking has no phone to send to.
+ */
+export async function queueReply(booking, text) {
+  const toPhone = booking.clientPhone;
+  if (!toPhone) throw new Error('no_phone');
+  const body = String(text).slice(0, 2000);
+
+  return prisma.message.create({
+    data: {
+      eid: buildEID({ platform: 'sms-out', threadId: toPhone, providerMessageId: crypto.randomUUID() }),
+      platform: 'sms',
+      threadId: toPhone,
+      bookingId: booking.id,
+      direction: 'OUT',
+      channel: 'SMS',
+      toPhone,
+      toLabel: booking.contactLabel || booking.clientName || toPhone,
+      body,
+      isQueued: true,
+      isRead: true,
+      nextAttemptAt: new Date()
+    }
+  });
+}
+
+/**
+ * Lease up to `limit` due messages to the gateway. A lease that expired without an
+ * ack counts as a failed attempt (the phone never confirmed it) before re-leasing.
+ * @returns {Promise<Array<{ id: string, to: string, body: string, leaseToken: string, leaseUntil: Date, attempt: number }>>}
+ */
+export async function leaseNext({ limit = 1, leaseSeconds = LEASE_SECONDS } = {}) {
+  const now = new Date();
+  const take = Math.min(Math.max(1, limit | 0), 20);
+
+  const due = await prisma.message.findMany({
+    where: {
+      direction: 'OUT',
+      isQueued: true,
+      OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lte: now } }],
+      AND: [{ OR: [{ leaseUntil: null }, { leaseUntil: { lt: now } }] }]
+    },
+    orderBy: { createdAt: 'asc' },
+    take: take * 2 // some may be lost to a concurrent poll or dead-lettered below
+  });
+
+  const leased = [];
+  for (const m of due) {
+    if (leased.length >= take) break;
+
+    // expired lease → that attempt failed silently
+    if (m.leaseUntil) {
+      const failed = await recordFailure(m, 'lease_expired', { expectLeaseToken: m.leaseToken });
+      if (!failed || failed.deadAt || failed.nextAttemptAt > now) continue;
+      m.failCount = failed.failCount;
+    }
+
+    const leaseToken = crypto.randomUUID();
+    const leaseUntil = new Date(now.getTime() + leaseSeconds * 1000);
+    // claim atomically: only succeeds if nobody else leased it in between
+    const claim = await prisma.message.updateMany({
+      where: {
+        id: m.id,
+        isQueued: true,
+        OR: [{ leaseUntil: null }, { leaseUntil: { lt: now } }]
+      },
+      data: { leaseToken, leaseUntil }
+    });
+    if (claim.count !== 1) continue;
+
+    leased.push({ id: m.id, to: m.toPhone, body: m.body, leaseToken, leaseUntil, attempt: m.failCount + 1 });
+  }
+  return leased;
+}
+
+/**
+ * Gateway confirmation. `ok: true` marks the message sent; otherwise it's a
+ * failed attempt that backs off or dead-letters after MAX_ATTEMPTS.
+ * Returns { message } or { error } ('not_found' | 'lease_mismatch' | 'not_queued').
+ */
+export async function ack({ id, leaseToken, ok, error }) {
+  const m = await prisma.message.findUnique({ where: { id } });
+  if (!m) return { error: 'not_found' };
+  if (!m.isQueued) return m.sentAt ? { message: m } : { error: 'not_queued' }; // repeated success ack is harmless
+  if (!leaseToken || m.leaseToken !== leaseToken) return { error: 'lease_mismatch' };
+
+  if (ok) {
+    const message = await prisma.message.update({
+      where: { id },
+      data: { isQueued: false, sentAt: new Date(), leaseToken: null, leaseUntil: null, lastError: null }
+    });
+    return { message };
+  }
+  const message = await recordFailure(m, error || 'send_failed', { expectLeaseToken: leaseToken });
+  return message ? { message } : { error: 'lease_mismatch' };
+}
+
+/** Put a dead-lettered (or stuck) message back in the queue from scratch. */
+export async function retry(id) {
+  const m = await prisma.message.findUnique({ where: { id } });
+  if (!m || m.direction !== 'OUT' || m.sentAt) return null;
+  return prisma.message.update({
+    where: { id },
+    data: { isQueued: true, deadAt: null, failCount: 0, lastError: null, leaseToken: null, leaseUntil: null, nextAttemptAt: new Date() }
+  });
+}
+
+/** Display state for an OUT message (used by the booking thread). */
+export function outboxState(m) {
+  if (m.direction !== 'OUT') return null;
+  if (m.sentAt) return 'SENT';
+  if (m.deadAt) return 'DEAD';
+  if (!m.isQueued) return null; // logged/manual OUT message, never queued
+  if (m.leaseUntil && new Date(m.leaseUntil) > new Date()) return 'SENDING';
+  return m.failCount > 0 ? 'RETRYING' : 'QUEUED';
+}
+
+// one failed attempt: bump failCount, schedule the retry or dead-letter it
+async function recordFailure(m, reason, { expectLeaseToken } = {}) {
+  const failCount = m.failCount + 1;
+  const dead = failCount >= MAX_ATTEMPTS;
+  const now = new Date();
+  const res = await prisma.message.updateMany({
+    where: { id: m.id, isQueued: true, leaseToken: expectLeaseToken ?? null },
+    data: {
+      failCount,
+      lastError: String(reason).slice(0, 500),
+      leaseToken: null,
+      leaseUntil: null,
+      ...(dead
+        ? { isQueued: false, deadAt: now, nextAttemptAt: null }
+        : { nextAttemptAt: new Date(now.getTime() + backoffMs(failCount)) })
+    }
+  });
+  if (res.count !== 1) return null;
+  if (dead) console.warn('[outbox] dead-lettered message', m.id, 'after', failCount, 'attempts:', reason);
+  return prisma.message.findUnique({ where: { id: m.id } });
+}
@@ -0,0 +1,41 @@
+// src/services/pdf.js
+// HTML → PDF through headless Chromium (@sparticuz/chromium + puppeteer-core).
+// Shared by the confirmed-bookings export and invoices.
+
+/** Render an EJS view to an HTML string (no layout). */
+export function renderView(app, view, data) {
+  return new Promise((resolve, reject) => {
+    app.render(view, data, (err, out) => {
+      if (err) reject(err); else resolve(out);
+    });
+  });
+}
+
+/** Print an HTML document to a Letter-size PDF Buffer. Throws if Chromium can't start. */
+export async function htmlToPdf(html) {
+  // Lazy import only when needed
+  const [{ default: chromium }, { default: puppeteer }] = await Promise.all([
+    import('@sparticuz/chromium'),
+    import('puppeteer-core')
+  ]);
+
+  const browser = await puppeteer.launch({
+    args: chromium.args,
+    defaultViewport: chromium.defaultViewport,
+    executablePath: await chromium.executablePath(),
+    headless: true,
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: ['domcontentloaded', 'networkidle0'] });
+
+    return await page.pdf({
+      format: 'Letter',
+      printBackground: true,
+      margin: { top: '14mm', right: '14mm', bottom: '14mm', left: '14mm' }
+    });
+  } finally {
+    await browser.close();
+  }
+}
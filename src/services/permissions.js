@@ -0,0 +1,30 @@
+// src/services/permissions.js
+// Roles and what each may do. Routes check a permission (routes/auth.js requirePermission);
+// views get `can(perm)` to hide actions the signed-in role can't perform.
+export const ROLES = ['owner', 'helper'];
+
+export const PERMISSIONS = {
+  'bookings:view': 'See the inbox, dashboard, bookings and clients',
+  'bookings:checkin': 'Check dogs in at drop-off',
+  'pets:edit': 'Add and edit pets and their care notes',
+  'analytics:view': 'See booking analytics (without money)',
+  'bookings:manage': 'Create, edit, confirm, decline, merge and reply to bookings',
+  'bookings:delete': 'Delete bookings',
+  'clients:manage': 'Add, trust and delete clients',
+  'finance': 'Quotes, invoices, payments, rates and revenue',
+  'settings': 'Capacity rules, cancellation policies and blocked time',
+  'users:manage': 'Add and disable users, sign out their devices',
+  'admin': 'Admin tools: clear-all, demo cleanup, reclassify, re-parse, exports, calendar auth, calendar feeds'
+};
+
+// owner can do everything; helper gets the day-to-day care tasks
+const GRANTS = {
+  owner: new Set(Object.keys(PERMISSIONS)),
+  helper: new Set(['bookings:view', 'bookings:checkin', 'pets:edit', 'analytics:view'])
+};
+
+/** True if the user's role grants `perm`. Unknown roles get nothing. */
+export function can(user, perm) {
+  if (!PERMISSIONS[perm]) throw new Error(`unknown permission: ${perm}`);
+  return !!user && !user.disabledAt && !!GRANTS[user.role]?.has(perm);
+}
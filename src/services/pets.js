@@ -0,0 +1,214 @@
+// src/services/pets.js
+// Pet profiles belong to a client and are reused across their bookings; a BookingPet puts a
+// pet on one stay, with that stay's overrides. Code that reads `booking.pets` includes
+// PETS_INCLUDE and flattens the result with withPets().
+import { prisma, prismaWithTrash } from '../db.js';
+import { recordAudit } from './audit.js';
+import { trashPet } from './trash.js';
+
+// a trashed pet keeps its stays (a restore puts it back on them) but isn't shown on them
+export const LIVE_STAYS = { pet: { deletedAt: null } };
+export const PETS_INCLUDE = { petStays: { where: LIVE_STAYS, include: { pet: true }, orderBy: { createdAt: 'asc' } } };
+
+const PROFILE_FIELDS = ['name', 'breed', 'ageYears', 'weightLbs', 'instructions', 'photoUrl'];
+const blank = v => v === undefined || v === null || v === '';
+const nameKey = name => String(name || '').trim().toLowerCase();
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * A stay as a flat pet: the profile, with this stay's instructions winning over the
+ * profile's (both are kept as `stayInstructions` / `profileInstructions`).
+ */
+export function stayPet(stay) {
+  return {
+    ...stay.pet,
+    stayId: stay.id,
+    bookingId: stay.bookingId,
+    profileInstructions: stay.pet.instructions,
+    stayInstructions: stay.instructions,
+    instructions: stay.instructions ?? stay.pet.instructions
+  };
+}
+
+/** The booking with `pets` flattened from its petStays (null passes through). */
+export function withPets(booking) {
+  if (!booking) return booking;
+  const { petStays, ...rest } = booking;
+  return { ...rest, pets: (petStays || []).map(stayPet) };
+}
+
+/** A booking by id with its pets flattened, or null. */
+export async function findBookingWithPets(id, include = {}) {
+  return withPets(await prisma.booking.findUnique({ where: { id }, include: { ...include, ...PETS_INCLUDE } }));
+}
+
+function findProfile(clientId, name) {
+  return prisma.pet.findFirst({
+    where: { clientId, name: { equals: String(name).trim(), mode: 'insensitive' } },
+    orderBy: { updatedAt: 'desc' }
+  });
+}
+
+/**
+ * Add or edit a pet on a booking. `petId` edits that profile; otherwise the client's pet with
+ * the same name is reused (non-empty fields update it) or a new profile is created.
+ * `stayInstructions` applies to this stay only ('' clears it).
+ * Returns { pet, created } with `pet` flattened like withPets(), or null for an unknown petId.
+ */
+export async function savePetForBooking(booking, input, { actor, note = null } = {}) {
+  const fields = {};
+  for (const f of PROFILE_FIELDS) if (input[f] !== undefined) fields[f] = input[f];
+
+  let before = null, pet;
+  if (input.petId) {
+    before = await prisma.pet.findUnique({ where: { id: input.petId } });
+    if (!before) return null;
+    pet = await prisma.pet.update({ where: { id: before.id }, data: fields });
+  } else {
+    before = booking.clientId && !blank(fields.name) ? await findProfile(booking.clientId, fields.name) : null;
+    if (before) {
+      // a re-import or re-entry only fills in what it knows (and keeps the name as spelled)
+      const data = Object.fromEntries(Object.entries(fields).filter(([k, v]) => k !== 'name' && !blank(v)));
+      pet = await prisma.pet.update({ where: { id: before.id }, data });
+    } else {
+      pet = await prisma.pet.create({ data: { name: 'Dog', ...fields, clientId: booking.clientId || null } });
+    }
+  }
+  await recordAudit({
+    actor, action: before ? 'pet.update' : 'pet.create', entityType: 'Pet', entityId: pet.id,
+    bookingId: booking.id, before, after: pet, note
+  });
+
+  const key = { bookingId_petId: { bookingId: booking.id, petId: pet.id } };
+  const stayData = input.stayInstructions !== undefined ? { instructions: input.stayInstructions || null } : {};
+  const stayBefore = await prisma.bookingPet.findUnique({ where: key });
+  const stay = await prisma.bookingPet.upsert({
+    where: key,
+    create: { bookingId: booking.id, petId: pet.id, ...stayData },
+    update: stayData
+  });
+  if (!stayBefore) {
+    await recordAudit({
+      actor, action: 'pet.attach', entityType: 'Pet', entityId: pet.id, bookingId: booking.id,
+      note: `${pet.name} added to this stay`
+    });
+  } else {
+    await recordAudit({
+      actor, action: 'pet.stay_update', entityType: 'Pet', entityId: pet.id, bookingId: booking.id,
+      before: { stayInstructions: stayBefore.instructions }, after: { stayInstructions: stay.instructions }
+    });
+  }
+
+  return { pet: stayPet({ ...stay, pet }), created: !before };
+}
+
+/**
+ * Take a pet off a booking. A pet without an owner on its last stay goes to the Trash
+ * instead, keeping the stay so a restore puts it back here.
+ */
+export async function detachPet(bookingId, petId, { actor } = {}) {
+  const key = { bookingId_petId: { bookingId, petId } };
+  const stay = await prisma.bookingPet.findUnique({ where: key, include: { pet: true } });
+  if (!stay || stay.pet.deletedAt) return false;
+  if (!stay.pet.clientId && !stay.pet.bookingId && (await prisma.bookingPet.count({ where: { petId } })) === 1) {
+    await trashPet(petId, { actor, bookingId, note: `${stay.pet.name} removed from this stay and moved to the Trash` });
+    return true;
+  }
+  await prisma.bookingPet.delete({ where: key });
+  await recordAudit({
+    actor, action: 'pet.detach', entityType: 'Pet', entityId: petId, bookingId,
+    note: `${stay.pet.name} removed from this stay`
+  });
+  return true;
+}
+
+/** The client's pets that aren't on this booking yet, to offer on the booking page. */
+export async function suggestPets(booking) {
+  if (!booking?.clientId) return [];
+  return prisma.pet.findMany({
+    where: { clientId: booking.clientId, stays: { none: { bookingId: booking.id } } },
+    orderBy: { updatedAt: 'desc' }
+  });
+}
+
+/**
+ * Intake: put a returning client's past pets on a booking it just created. Pets named in the
+ * message are attached; with none named, all of them are when their count matches the
+ * booking's dogs. The rest stay suggestions on the booking page. Returns the attached pets.
+ */
+export async function attachPastPets(booking, { text = '' } = {}) {
+  if (!booking.clientId) return [];
+  const pets = await prisma.pet.findMany({ where: { clientId: booking.clientId }, orderBy: { updatedAt: 'desc' } });
+  if (!pets.length) return [];
+
+  const named = pets.filter(p => new RegExp(`\\b${escapeRegex(p.name.trim())}\\b`, 'i').test(text));
+  const dogs = booking.dogsCount > 0 ? booking.dogsCount : 1;
+  const chosen = named.length ? named : (pets.length === dogs ? pets : []);
+  for (const p of chosen) {
+    await prisma.bookingPet.create({ data: { bookingId: booking.id, petId: p.id } });
+  }
+  return chosen;
+}
+
+/**
+ * Backfill from per-booking Pet rows (legacy `bookingId` set): each row becomes a stay, and
+ * rows of the same client with the same name fold into one profile. The newest row's details
+ * win, older rows fill its blanks, and an older stay whose instructions differ keeps them as
+ * that stay's override. Rows of bookings without a client become single-stay pets.
+ * Safe to re-run; the maintenance job calls it.
+ * @returns {Promise<{ profiles: number, folded: number }>}
+ */
+export async function foldPetProfiles({ actor } = {}) {
+  const stats = { profiles: 0, folded: 0 };
+  const legacy = await prisma.pet.findMany({ where: { bookingId: { not: null } }, orderBy: { updatedAt: 'desc' } });
+  if (!legacy.length) return stats;
+
+  // trashed bookings' pets fold too; they come back with the booking
+  const bookings = await prismaWithTrash.booking.findMany({
+    where: { id: { in: [...new Set(legacy.map(p => p.bookingId))] } },
+    select: { id: true, clientId: true }
+  });
+  const clientOf = new Map(bookings.map(b => [b.id, b.clientId]));
+
+  const groups = new Map();
+  for (const p of legacy) {
+    const clientId = clientOf.get(p.bookingId) || null;
+    const key = clientId ? `${clientId}:${nameKey(p.name)}` : p.id;
+    if (!groups.has(key)) groups.set(key, { clientId, rows: [] });
+    groups.get(key).rows.push(p);
+  }
+
+  for (const { clientId, rows } of groups.values()) {
+    const [keep, ...dups] = rows;
+    const data = { clientId, bookingId: null, name: keep.name.trim() };
+    for (const f of PROFILE_FIELDS) {
+      const v = dups.find(d => !blank(d[f]))?.[f];
+      if (blank(keep[f]) && !blank(v)) data[f] = v;
+    }
+    const instructions = data.instructions ?? keep.instructions;
+
+    await prisma.$transaction(async (tx) => {
+      for (const p of rows) {
+        const override = p !== keep && !blank(p.instructions) && p.instructions !== instructions ? p.instructions : null;
+        await tx.bookingPet.upsert({
+          where: { bookingId_petId: { bookingId: p.bookingId, petId: keep.id } },
+          create: { bookingId: p.bookingId, petId: keep.id, instructions: override, createdAt: p.createdAt },
+          update: {}
+        });
+      }
+      // folded rows go to the Trash like any other pet delete
+      if (dups.length) await tx.pet.updateMany({ where: { id: { in: dups.map(d => d.id) } }, data: { deletedAt: new Date() } });
+      await tx.pet.update({ where: { id: keep.id }, data });
+    });
+
+    stats.profiles++;
+    stats.folded += dups.length;
+    if (dups.length) {
+      await recordAudit({
+        actor, action: 'pet.merge', entityType: 'Pet', entityId: keep.id, bookingId: null,
+        note: `Folded ${dups.length} duplicate ${dups.length === 1 ? 'row' : 'rows'} of ${data.name} into one profile`
+      });
+    }
+  }
+  return stats;
+}
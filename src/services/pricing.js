@@ -0,0 +1,157 @@
+// src/services/pricing.js
+// Rate card + quotes. Prices live in ServiceRate rows (one per service); a quote is computed
+// on demand from a booking and can be saved into Booking.rateCents.
+import { prisma } from '../db.js';
+import { serviceCategory } from './capacity.js';
+import { usHolidayName } from './intake.js';
+import { startOfDay, addDays, zonedParts } from './utils/dates.js';
+
+export const PRICING_SERVICES = ['Overnight', 'Daycare', 'Drop-in', 'Walk'];
+export const BILLING_MODES = ['NIGHT', 'DAY', 'VISIT'];
+const UNIT_LABELS = { NIGHT: ['night', 'nights'], DAY: ['day', 'days'], VISIT: ['visit', 'visits'] };
+
+const money = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+/** 12345 → "$123.45" */
+export function formatCents(cents) {
+  return cents == null ? '—' : money.format(cents / 100);
+}
+
+/**
+ * The billable units of a stay, one entry per night/day/visit with its business-day midnight.
+ * NIGHT: calendar nights between drop-off and pick-up days (min 1).
+ * DAY:   every calendar day touched (a pick-up at exactly midnight doesn't count the next day).
+ * VISIT: one per booking.
+ */
+export function billableUnits(startAt, endAt, billing) {
+  const start = new Date(startAt), end = new Date(endAt);
+  const first = startOfDay(start);
+  if (billing === 'VISIT') return [first];
+
+  let lastDay = startOfDay(end);
+  if (billing === 'DAY' && end.getTime() === lastDay.getTime() && lastDay > first) {
+    lastDay = addDays(lastDay, -1);
+  }
+  const days = [];
+  for (let d = first; d <= lastDay; d = addDays(d, 1)) days.push(d);
+  if (billing === 'NIGHT') return days.length > 1 ? days.slice(0, -1) : days;
+  return days;
+}
+
+/** Rate for a booking's service: exact name first, then its capacity category. */
+export async function rateFor(serviceType) {
+  const rates = await prisma.serviceRate.findMany();
+  const s = String(serviceType || '').trim().toLowerCase();
+  return rates.find(r => r.serviceType.toLowerCase() === s)
+    || rates.find(r => r.serviceType === serviceCategory(serviceType))
+    || null;
+}
+
+/**
+ * Price a booking against the rate card.
+ * @param {{ startAt: Date, endAt: Date, serviceType: string, dogsCount?: number, pets?: Array<{ ageYears?: number|null }> }} booking
+ * @param {object} [rate] ServiceRate to use instead of looking it up
+ * @returns {Promise<{ serviceType: string, missingRate?: true, rateId?: string, billing?: string, units?: number,
+ *   dogs?: number, puppies?: number, lines: Array<{ label: string, qty: number, unitCents: number, cents: number }>,
+ *   totalCents: number|null }>}
+ */
+export async function quoteBooking(booking, rate) {
+  rate = rate || await rateFor(booking.serviceType);
+  if (!rate) return { serviceType: booking.serviceType, missingRate: true, lines: [], totalCents: null };
+
+  const pets = booking.pets || [];
+  const dogs = Math.max(Number(booking.dogsCount) > 0 ? Number(booking.dogsCount) : 1, pets.length);
+  const puppies = pets.filter(p => p.ageYears != null && p.ageYears < 1).length;
+  const days = billableUnits(booking.startAt, booking.endAt, rate.billing);
+  const n = days.length;
+  const [one, many] = UNIT_LABELS[rate.billing] || UNIT_LABELS.NIGHT;
+
+  const lines = [];
+  const add = (label, qty, unitCents) => { if (qty && unitCents) lines.push({ label, qty, unitCents, cents: qty * unitCents }); };
+
+  const extraDogCents = Math.round(rate.baseCents * (1 - (rate.extraDogPct || 0) / 100));
+  add(`${booking.serviceType} (${n} ${n === 1 ? one : many})`, n, rate.baseCents);
+  add(`Additional dog${rate.extraDogPct ? ` (${rate.extraDogPct}% off)` : ''}`, n * (dogs - 1), extraDogCents);
+
+  // surcharge applies to the whole per-unit price (all dogs) on each holiday night/day
+  if (rate.holidayPct) {
+    const perUnit = rate.baseCents + (dogs - 1) * extraDogCents;
+    const byName = new Map();
+    for (const d of days) {
+      const name = usHolidayName(d);
+      if (name) byName.set(name, (byName.get(name) || 0) + 1);
+    }
+    for (const [name, qty] of byName) {
+      add(`Holiday surcharge — ${name} (${rate.holidayPct}%)`, qty, Math.round(perUnit * rate.holidayPct / 100));
+    }
+  }
+
+  add('Puppy care', n * puppies, rate.puppyCents);
+
+  if (rate.latePickupAfter && rate.latePickupCents) {
+    const end = zonedParts(booking.endAt);
+    const [h, m] = rate.latePickupAfter.split(':').map(Number);
+    if (end.hour * 60 + end.minute > h * 60 + (m || 0)) {
+      add(`Late pick-up (after ${rate.latePickupAfter})`, 1, rate.latePickupCents);
+    }
+  }
+
+  return {
+    serviceType: booking.serviceType,
+    rateId: rate.id,
+    billing: rate.billing,
+    units: n,
+    dogs,
+    puppies,
+    lines,
+    totalCents: lines.reduce((sum, l) => sum + l.cents, 0)
+  };
+}
+
+/** Plain-text breakdown for replies, one line per item plus the total. */
+export function quoteLines(quote) {
+  return [
+    ...quote.lines.map(l => `• ${l.label}: ${l.qty > 1 ? `${l.qty} × ${formatCents(l.unitCents)} = ` : ''}${formatCents(l.cents)}`),
+    `Total: ${formatCents(quote.totalCents)}`
+  ].join('\n');
+}
+
+/** Validate a ServiceRate payload (dollar amounts accepted as "45" or "45.50"). Returns { data } or { error }. */
+export function parseRateInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  const cents = v => Math.round(Number(String(v).replace(/[$,\s]/g, '')) * 100);
+
+  if (body.serviceType != null) {
+    data.serviceType = String(body.serviceType).trim();
+    if (!data.serviceType) return { error: 'serviceType is required' };
+  } else if (!partial) return { error: 'serviceType is required' };
+
+  if (body.billing != null) {
+    const v = String(body.billing).trim().toUpperCase();
+    if (!BILLING_MODES.includes(v)) return { error: `billing must be one of ${BILLING_MODES.join(', ')}` };
+    data.billing = v;
+  }
+
+  for (const [field, key] of [['base', 'baseCents'], ['puppyFee', 'puppyCents'], ['latePickupFee', 'latePickupCents']]) {
+    const v = body[field];
+    if (v == null || v === '') continue;
+    const c = cents(v);
+    if (!Number.isFinite(c) || c < 0) return { error: `${field} must be a non-negative amount` };
+    data[key] = c;
+  }
+  if (!partial && data.baseCents == null) return { error: 'base price is required' };
+
+  for (const key of ['extraDogPct', 'holidayPct']) {
+    const v = body[key];
+    if (v == null || v === '') continue;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || (key === 'extraDogPct' && n > 100)) return { error: `${key} must be a percentage` };
+    data[key] = n;
+  }
+
+  if (body.latePickupAfter != null) {
+    const v = String(body.latePickupAfter).trim();
+    if (v && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(v)) return { error: 'latePickupAfter must be HH:MM' };
+    data.latePickupAfter = v ? v.padStart(5, '0') : null;
+  }
+  return { data };
+}
@@ -0,0 +1,32 @@
+// src/services/push.js
+// Web Push to every subscribed device. Subscriptions are saved by /push/subscribe in server.js.
+import webpush from 'web-push';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const VAPID_PUBLIC_KEY  = process.env.VAPID_PUBLIC_KEY;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+const VAPID_SUBJECT     = process.env.VAPID_SUBJECT || 'mailto:you@example.com';
+if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname  = path.dirname(__filename);
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '../../storage');
+const SUBS_FILE   = path.join(STORAGE_DIR, 'push-subs.json');
+
+async function loadSubs() {
+  try { return JSON.parse(await fs.readFile(SUBS_FILE, 'utf8')); }
+  catch { return []; }
+}
+
+/** Send `{ title, body, url }` to every device; a no-op without VAPID keys or subscribers. */
+export async function sendPushAll(payloadObj) {
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return;
+  const subs = await loadSubs();
+  if (!subs.length) return;
+  const payload = JSON.stringify(payloadObj);
+  await Promise.allSettled(subs.map(s => webpush.sendNotification(s, payload)));
+}
@@ -0,0 +1,37 @@
+// src/services/rate-limit.js
+// Fixed-window in-memory rate limiter keyed by whatever the caller chooses (IP, IP+username…).
+// Single-process only, which is how this app is deployed.
+
+/**
+ * @param {{ windowMs: number, max: number }} opts
+ * @returns {{ hit: (key: string, now?: number) => { allowed: boolean, remaining: number, retryAfterMs: number },
+ *   reset: (key: string) => void }}
+ */
+export function createRateLimiter({ windowMs, max }) {
+  const hits = new Map(); // key → { count, resetAt }
+
+  function sweep(now) {
+    if (hits.size < 1000) return;
+    for (const [k, v] of hits) if (v.resetAt <= now) hits.delete(k);
+  }
+
+  return {
+    hit(key, now = Date.now()) {
+      sweep(now);
+      let h = hits.get(key);
+      if (!h || h.resetAt <= now) {
+        h = { count: 0, resetAt: now + windowMs };
+        hits.set(key, h);
+      }
+      h.count++;
+      return {
+        allowed: h.count <= max,
+        remaining: Math.max(0, max - h.count),
+        retryAfterMs: h.count <= max ? 0 : h.resetAt - now
+      };
+    },
+    reset(key) {
+      hits.delete(key);
+    }
+  };
+}
@@ -0,0 +1,257 @@
+// src/services/recurrence.js
+// Standing weekly bookings (daycare Mon/Wed/Fri, regular drop-ins).
+// A Recurrence holds an RRULE-style weekly pattern; occurrences become ordinary Booking rows
+// a horizon ahead so capacity, calendar sync and the inbox keep working unchanged.
+import { prisma } from '../db.js';
+import { createOrUpdateBusyEvent } from './calendar.js';
+import { evaluateCapacity } from './capacity.js';
+import { findOverlappingBlocks, describeBlock } from './blocks.js';
+import { declineBooking } from './booking-actions.js';
+import { recordAudit, SYSTEM_ACTOR } from './audit.js';
+import { dayKey, fromDayKey, addDays, weekday, formatDate } from './utils/dates.js';
+import { normPhone } from './utils/phone.js';
+
+export const HORIZON_DAYS = Number(process.env.RECURRENCE_HORIZON_DAYS || 28);
+
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_LABELS = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+
+const DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RX = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// startTime/endTime are business wall-clock "HH:MM" on a YYYY-MM-DD day
+function atTime(key, hhmm) {
+  const [h, min] = hhmm.split(':').map(Number);
+  return fromDayKey(key, h, min);
+}
+
+function exdatesOf(r) {
+  try { return new Set(JSON.parse(r.exdatesJson || '[]')); } catch { return new Set(); }
+}
+
+/** "FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20261231" for display/export. */
+export function toRRule(r) {
+  const parts = ['FREQ=WEEKLY', `BYDAY=${r.byDays}`];
+  if (r.untilDate) parts.push(`UNTIL=${r.untilDate.replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+/** "Mon, Wed, Fri 08:00–18:00 until 12/31/2026" */
+export function describeRecurrence(r) {
+  const days = r.byDays.split(',').map(d => DAY_LABELS[d] || d).join(', ');
+  const until = r.untilDate ? ` until ${formatDate(fromDayKey(r.untilDate))}` : '';
+  return `Weekly on ${days} ${r.startTime}–${r.endTime}${until}`;
+}
+
+/**
+ * Occurrences of a recurrence whose day falls in [fromKey, toKey] (YYYY-MM-DD, inclusive),
+ * honoring startDate/untilDate and exception dates.
+ * @returns {Array<{ date: string, startAt: Date, endAt: Date }>}
+ */
+export function occurrencesBetween(r, fromKey, toKey) {
+  const days = new Set(r.byDays.split(','));
+  const skip = exdatesOf(r);
+  const first = fromKey > r.startDate ? fromKey : r.startDate;
+  const last = r.untilDate && r.untilDate < toKey ? r.untilDate : toKey;
+
+  const out = [];
+  for (let day = fromDayKey(first); dayKey(day) <= last; day = addDays(day, 1)) {
+    const key = dayKey(day);
+    if (!days.has(WEEKDAYS[weekday(day)]) || skip.has(key)) continue;
+    const startAt = atTime(key, r.startTime);
+    let endAt = atTime(key, r.endTime);
+    if (endAt <= startAt) endAt = addDays(endAt, 1); // overnight pattern
+    out.push({ date: key, startAt, endAt });
+  }
+  return out;
+}
+
+/**
+ * Validate a recurrence payload. Accepts either an `rrule` string
+ * ("FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20261231") or `days` (array or "MO,WE,FR") + `until`,
+ * together with startTime/endTime ("HH:MM"), startDate, exceptions (array or comma list of dates)
+ * and the booking fields. Returns { data } or { error }.
+ */
+export function parseRecurrenceInput(body = {}) {
+  let days = body.days ?? body.byDays;
+  let until = body.until ?? body.untilDate;
+
+  if (body.rrule) {
+    const parts = Object.fromEntries(String(body.rrule).replace(/^RRULE:/i, '').split(';')
+      .map(p => p.split('=')).filter(kv => kv.length === 2).map(([k, v]) => [k.toUpperCase(), v]));
+    if (parts.FREQ && parts.FREQ.toUpperCase() !== 'WEEKLY') return { error: 'Only FREQ=WEEKLY is supported' };
+    if (parts.BYDAY) days = parts.BYDAY;
+    if (parts.UNTIL) {
+      const m = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+      if (!m) return { error: 'Invalid UNTIL' };
+      until = `${m[1]}-${m[2]}-${m[3]}`;
+    }
+  }
+
+  const list = (Array.isArray(days) ? days : String(days || '').split(','))
+    .map(d => String(d).trim().toUpperCase().slice(0, 2)).filter(Boolean);
+  if (!list.length || list.some(d => !WEEKDAYS.includes(d))) return { error: 'Pick at least one weekday (SU..SA)' };
+
+  const startTime = String(body.startTime || '').trim();
+  const endTime = String(body.endTime || '').trim();
+  if (!TIME_RX.test(startTime) || !TIME_RX.test(endTime)) return { error: 'startTime and endTime must be HH:MM' };
+
+  const startDate = String(body.startDate || dayKey(new Date())).slice(0, 10);
+  if (!DATE_RX.test(startDate)) return { error: 'Invalid startDate' };
+  const untilDate = until ? String(until).slice(0, 10) : null;
+  if (untilDate && (!DATE_RX.test(untilDate) || untilDate < startDate)) return { error: 'until must be a date on/after the start' };
+
+  const ex = Array.isArray(body.exceptions) ? body.exceptions : String(body.exceptions || '').split(/[\s,]+/);
+  const exdates = ex.map(s => String(s).trim()).filter(Boolean);
+  if (exdates.some(d => !DATE_RX.test(d))) return { error: 'Exceptions must be YYYY-MM-DD dates' };
+
+  if (!body.clientName) return { error: 'clientName is required' };
+  const dogs = Number(body.dogsCount);
+
+  return {
+    data: {
+      clientName: String(body.clientName).trim(),
+      clientPhone: normPhone(body.clientPhone) || null,
+      clientEmail: body.clientEmail || null,
+      contactLabel: body.contactLabel || null,
+      clientId: body.clientId || null,
+      serviceType: (body.serviceType && String(body.serviceType).trim()) || 'Daycare',
+      dogsCount: Number.isFinite(dogs) && dogs > 0 ? dogs : 1,
+      notes: body.notes ? String(body.notes) : null,
+      byDays: WEEKDAYS.filter(d => list.includes(d)).join(','),
+      startTime: startTime.padStart(5, '0'),
+      endTime: endTime.padStart(5, '0'),
+      startDate,
+      untilDate,
+      exdatesJson: exdates.length ? JSON.stringify([...new Set(exdates)].sort()) : null
+    }
+  };
+}
+
+/**
+ * Create Booking rows for every occurrence up to `horizonDays` ahead that doesn't exist yet.
+ * Each one is capacity- and block-checked: it's CONFIRMED and synced to the calendar when
+ * it fits, otherwise left PENDING with the reason in its notes for the sitter to decide.
+ * New bookings are audit-logged as `actor` (the maintenance job when called from there).
+ * @returns {Promise<{ created: number, confirmed: number, pending: number }>}
+ */
+export async function materializeRecurrence(r, { horizonDays = HORIZON_DAYS, now = new Date(), actor = SYSTEM_ACTOR } = {}) {
+  const stats = { created: 0, confirmed: 0, pending: 0 };
+  if (!r.active) return stats;
+
+  const today = dayKey(now);
+  const toKey = dayKey(addDays(now, horizonDays));
+
+  const occurrences = occurrencesBetween(r, today, toKey);
+  const existing = new Set((await prisma.booking.findMany({
+    where: { recurrenceId: r.id, occurrenceDate: { in: occurrences.map(o => o.date) } },
+    select: { occurrenceDate: true }
+  })).map(b => b.occurrenceDate));
+
+  for (const o of occurrences) {
+    if (existing.has(o.date)) continue;
+
+    const draft = { startAt: o.startAt, endAt: o.endAt, serviceType: r.serviceType, dogsCount: r.dogsCount };
+    const [cap, blocks] = await Promise.all([evaluateCapacity(draft), findOverlappingBlocks(o.startAt, o.endAt)]);
+    const fits = !cap.willExceed && !blocks.length;
+    const why = [
+      cap.willExceed ? `⚠️ Over capacity: ${cap.explanation}` : null,
+      blocks.length ? `⛔ Overlaps blocked time: ${blocks.map(describeBlock).join('; ')}` : null
+    ].filter(Boolean);
+
+    let booking;
+    try {
+      booking = await prisma.booking.create({
+        data: {
+          source: 'Recurring',
+          clientName: r.clientName,
+          clientPhone: r.clientPhone,
+          clientEmail: r.clientEmail,
+          contactLabel: r.contactLabel,
+          clientId: r.clientId,
+          serviceType: r.serviceType,
+          dogsCount: r.dogsCount,
+          startAt: o.startAt,
+          endAt: o.endAt,
+          status: fits ? 'CONFIRMED' : 'PENDING',
+          notes: [r.notes, ...why].filter(Boolean).join('\n') || null,
+          recurrenceId: r.id,
+          occurrenceDate: o.date
+        }
+      });
+    } catch (e) {
+      // unique (recurrenceId, occurrenceDate): another run got there first
+      if (e?.code === 'P2002') continue;
+      throw e;
+    }
+
+    stats.created++;
+    await recordAudit({ actor, action: 'booking.create', entityId: booking.id, after: booking, note: 'Recurring occurrence' });
+    if (fits) {
+      stats.confirmed++;
+      await createOrUpdateBusyEvent(booking, cap.atCapacity ? 'opaque' : 'transparent');
+    } else {
+      stats.pending++;
+    }
+  }
+
+  await prisma.recurrence.update({ where: { id: r.id }, data: { materializedThrough: toKey } });
+  return stats;
+}
+
+/** Maintenance entry point: expand every active recurrence. */
+export async function materializeAll(opts = {}) {
+  const rules = await prisma.recurrence.findMany({ where: { active: true } });
+  const totals = { recurrences: rules.length, created: 0, confirmed: 0, pending: 0 };
+  for (const r of rules) {
+    try {
+      const s = await materializeRecurrence(r, opts);
+      totals.created += s.created;
+      totals.confirmed += s.confirmed;
+      totals.pending += s.pending;
+    } catch (e) {
+      console.error('[recurrence] materialize failed for', r.id, e);
+    }
+  }
+  return totals;
+}
+
+/**
+ * "Cancel this one": decline the occurrence and add its day to the exceptions so it isn't
+ * materialized again. Returns null if the booking isn't a recurrence occurrence.
+ */
+export async function cancelOccurrence(bookingId, { actor } = {}) {
+  const b = await prisma.booking.findUnique({ where: { id: bookingId }, include: { recurrence: true } });
+  if (!b?.recurrence) return null;
+
+  const ex = exdatesOf(b.recurrence);
+  ex.add(b.occurrenceDate || dayKey(b.startAt));
+  await prisma.recurrence.update({ where: { id: b.recurrenceId }, data: { exdatesJson: JSON.stringify([...ex].sort()) } });
+  await declineBooking(b.id, { actor });
+  return { canceled: [b.id] };
+}
+
+/**
+ * "Cancel the rest": end the recurrence the day before this occurrence and decline this
+ * and every later occurrence already materialized. Returns null if not an occurrence.
+ */
+export async function cancelFollowing(bookingId, { actor } = {}) {
+  const b = await prisma.booking.findUnique({ where: { id: bookingId }, include: { recurrence: true } });
+  if (!b?.recurrence) return null;
+
+  const key = b.occurrenceDate || dayKey(b.startAt);
+  const untilDate = dayKey(addDays(fromDayKey(key), -1));
+  const ended = untilDate < b.recurrence.startDate;
+
+  await prisma.recurrence.update({
+    where: { id: b.recurrenceId },
+    data: ended ? { active: false } : { untilDate }
+  });
+
+  const rest = await prisma.booking.findMany({
+    where: { recurrenceId: b.recurrenceId, occurrenceDate: { gte: key }, status: { not: 'CANCELED' } },
+    select: { id: true }
+  });
+  for (const x of rest) await declineBooking(x.id, { actor });
+  return { canceled: rest.map(x => x.id), untilDate: ended ? null : untilDate };
+}
@@ -0,0 +1,66 @@
+// src/services/series.js
+// BookingSeries: the bookings created from one multi-segment request, kept together so
+// they can be confirmed/declined as a group or one segment at a time.
+import { prisma } from '../db.js';
+import { confirmBooking, declineBooking } from './booking-actions.js';
+import { PETS_INCLUDE, withPets } from './pets.js';
+
+/** The series a booking belongs to, with its bookings in segment order and the source message. */
+export async function seriesFor(booking) {
+  if (!booking?.seriesId) return null;
+  return prisma.bookingSeries.findUnique({
+    where: { id: booking.seriesId },
+    include: {
+      // nested includes skip the soft-delete filter (db.js)
+      bookings: { where: { deletedAt: null }, orderBy: [{ seriesIndex: 'asc' }, { startAt: 'asc' }] },
+      sourceMessage: true
+    }
+  });
+}
+
+// series bookings limited to `ids` when given (per-segment actions), with their pets so
+// confirm weighs them like a single confirm does
+async function seriesBookings(seriesId, ids) {
+  const series = await prisma.bookingSeries.findUnique({
+    where: { id: seriesId },
+    include: { bookings: { where: { deletedAt: null }, orderBy: [{ seriesIndex: 'asc' }, { startAt: 'asc' }], include: PETS_INCLUDE } }
+  });
+  if (!series) return null;
+  const only = Array.isArray(ids) && ids.length ? new Set(ids.map(String)) : null;
+  return series.bookings.filter(b => !only || only.has(b.id)).map(withPets);
+}
+
+/**
+ * Confirm the PENDING bookings of a series in date order, so each one's capacity check
+ * sees the segments confirmed before it. Blocked segments are skipped unless `override`.
+ * @returns {Promise<null | { confirmed: string[], blocked: Array<{ id: string, blocks: object[] }>, skipped: string[],
+ *   vaccineWarnings: Array<{ id: string, warnings: object[] }> }>}
+ */
+export async function confirmSeries(seriesId, { override = false, ids, actor } = {}) {
+  const bookings = await seriesBookings(seriesId, ids);
+  if (!bookings) return null;
+
+  const confirmed = [], blocked = [], skipped = [], vaccineWarnings = [];
+  for (const b of bookings) {
+    if (b.status !== 'PENDING') { skipped.push(b.id); continue; }
+    const r = await confirmBooking(b, { override, actor });
+    if (r.error === 'blocked') { blocked.push({ id: b.id, blocks: r.blocks }); continue; }
+    confirmed.push(b.id);
+    if (r.vaccineWarnings.length) vaccineWarnings.push({ id: b.id, warnings: r.vaccineWarnings });
+  }
+  return { confirmed, blocked, skipped, vaccineWarnings };
+}
+
+/** Decline every not-yet-canceled booking in a series (or just `ids`). */
+export async function declineSeries(seriesId, { ids, actor } = {}) {
+  const bookings = await seriesBookings(seriesId, ids);
+  if (!bookings) return null;
+
+  const declined = [];
+  for (const b of bookings) {
+    if (b.status === 'CANCELED') continue;
+    await declineBooking(b.id, { actor });
+    declined.push(b.id);
+  }
+  return { declined };
+}
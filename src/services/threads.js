@@ -0,0 +1,185 @@
+// src/services/threads.js
+// Fixing up message threads by hand: move/detach a message, start a booking from one,
+// and merge duplicate bookings.
+import { prisma } from '../db.js';
+import { deleteBusyEvent } from './calendar.js';
+import { classifyService, extractRoverMeta } from './intake.js';
+import { normPhone } from './utils/phone.js';
+import { formatDate } from './utils/dates.js';
+import { recordAudit } from './audit.js';
+import { clientIdFor } from './clients.js';
+import { PETS_INCLUDE, withPets } from './pets.js';
+import { trashPetsWith } from './trash.js';
+
+/**
+ * Point a message at another booking, or detach it with bookingId = null.
+ * The move shows on both bookings' timelines, done by `actor`.
+ * Returns { message } or { error } ('message_not_found' | 'booking_not_found').
+ */
+export async function moveMessage(messageId, bookingId, { actor } = {}) {
+  const m = await prisma.message.findUnique({ where: { id: messageId } });
+  if (!m) return { error: 'message_not_found' };
+  if (bookingId) {
+    const b = await prisma.booking.findUnique({ where: { id: bookingId }, select: { id: true } });
+    if (!b) return { error: 'booking_not_found' };
+  }
+  const message = await prisma.message.update({ where: { id: messageId }, data: { bookingId: bookingId || null } });
+  await auditMessageMove(m, message.bookingId, actor);
+  return { message, fromBookingId: m.bookingId };
+}
+
+// one event per booking the message left or joined
+async function auditMessageMove(m, toBookingId, actor) {
+  if (m.bookingId === toBookingId) return;
+  const diff = { bookingId: [m.bookingId, toBookingId] };
+  for (const bookingId of [m.bookingId, toBookingId].filter(Boolean)) {
+    await recordAudit({ actor, action: 'message.move', entityType: 'Message', entityId: m.id, bookingId, diff, sourceMessageId: m.id });
+  }
+}
+
+/**
+ * Booking fields prefilled from a stored message: the first parsed date range
+ * (extractedDatesJson), guessed service, and the sender as client.
+ * Returns null when the message has no usable dates.
+ */
+export function bookingDraftFromMessage(m) {
+  let ranges = [];
+  try { ranges = JSON.parse(m.extractedDatesJson || '[]'); } catch { /* leave empty */ }
+  const first = ranges.find(r => r?.startISO && r?.endISO);
+  if (!first) return null;
+
+  const startAt = new Date(first.startISO);
+  const endAt = new Date(first.endISO);
+  if (isNaN(startAt) || isNaN(endAt)) return null;
+
+  const meta = extractRoverMeta(m.body || '');
+  const svc = classifyService(m.body || '');
+  return {
+    source: m.platform === 'rover-email' || /r\.rover\.com/i.test(m.body || '') ? 'Rover' : (m.channel === 'EMAIL' ? 'Email' : 'SMS'),
+    clientName: meta.ownerName || m.fromLabel || m.fromPhone || 'Client',
+    clientPhone: normPhone(m.fromPhone) || null,
+    contactLabel: meta.ownerName || null,
+    serviceType: svc || 'Unspecified',
+    startAt,
+    endAt,
+    status: 'PENDING',
+    notes: 'Created from message (manual split)'
+  };
+}
+
+/**
+ * New PENDING booking from a message (fields in `overrides` win over the prefill),
+ * with the message moved onto it.
+ * Returns { booking } or { error } ('message_not_found' | 'no_dates').
+ */
+export async function bookingFromMessage(messageId, overrides = {}, { actor } = {}) {
+  const m = await prisma.message.findUnique({ where: { id: messageId } });
+  if (!m) return { error: 'message_not_found' };
+
+  const draft = bookingDraftFromMessage(m) || {};
+  const data = { ...draft, ...overrides };
+  if (!data.startAt || !data.endAt) return { error: 'no_dates' };
+  if (!data.clientName) data.clientName = m.fromLabel || m.fromPhone || 'Client';
+  if (!data.serviceType) data.serviceType = 'Unspecified';
+  if (!data.source) data.source = 'SMS';
+  if (!data.clientId) data.clientId = await clientIdFor(data, { actor });
+
+  const booking = await prisma.$transaction(async (tx) => {
+    const created = await tx.booking.create({ data });
+    await tx.message.update({ where: { id: m.id }, data: { bookingId: created.id } });
+    return created;
+  });
+  await recordAudit({ actor, action: 'booking.create', entityId: booking.id, after: booking, sourceMessageId: m.id, note: 'Split from a message' });
+  await auditMessageMove(m, booking.id, actor);
+  return { booking, fromBookingId: m.bookingId };
+}
+
+/**
+ * Fold booking `dropId` into `keepId`: its messages, pets (same-name dogs are not duplicated),
+ * change requests, uploads and invoices move over, empty contact fields are filled in, notes are appended,
+ * then the duplicate goes to the Trash and its calendar event is removed. The kept booking's
+ * dates and status are left alone.
+ * Returns { booking, moved: { messages, pets, changes, uploads, invoices } } or { error }.
+ */
+export async function mergeBookings(keepId, dropId, { actor } = {}) {
+  if (!keepId || !dropId || keepId === dropId) return { error: 'pick_two_bookings' };
+
+  const [keep, drop] = await Promise.all([
+    prisma.booking.findUnique({ where: { id: keepId }, include: PETS_INCLUDE }).then(withPets),
+    prisma.booking.findUnique({ where: { id: dropId }, include: PETS_INCLUDE }).then(withPets)
+  ]);
+  if (!keep || !drop) return { error: 'booking_not_found' };
+
+  const keepNames = new Set(keep.pets.map(p => p.name.trim().toLowerCase()));
+  const movePets = drop.pets.filter(p => !keepNames.has(p.name.trim().toLowerCase()));
+
+  const fill = {};
+  for (const k of ['clientPhone', 'clientEmail', 'contactLabel', 'roverRelay', 'externalId', 'clientId', 'rateCents']) {
+    if (keep[k] == null && drop[k] != null) fill[k] = drop[k];
+  }
+  if ((keep.serviceType || 'Unspecified') === 'Unspecified' && drop.serviceType && drop.serviceType !== 'Unspecified') {
+    fill.serviceType = drop.serviceType;
+  }
+  if ((drop.dogsCount || 1) > (keep.dogsCount || 1)) fill.dogsCount = drop.dogsCount;
+  const mergeNote = `Merged from duplicate booking (${formatDate(drop.startAt)} – ${formatDate(drop.endAt)}, ${drop.status})`;
+  fill.notes = [keep.notes, drop.notes && drop.notes !== keep.notes ? drop.notes : null, mergeNote].filter(Boolean).join('\n');
+
+  const [messages, pets, changes, uploads, invoices, booking] = await prisma.$transaction(async (tx) => {
+    const msgs = await tx.message.updateMany({ where: { bookingId: drop.id }, data: { bookingId: keep.id } });
+    // same-name stays go with the duplicate (cascade)
+    const pts = await tx.bookingPet.updateMany({ where: { id: { in: movePets.map(p => p.stayId) } }, data: { bookingId: keep.id } });
+    const crs = await tx.changeRequest.updateMany({ where: { bookingId: drop.id }, data: { bookingId: keep.id } });
+    // otherwise they'd lose their booking when the duplicate is purged
+    const ups = await tx.upload.updateMany({ where: { bookingId: drop.id }, data: { bookingId: keep.id } });
+    const invs = await tx.invoice.updateMany({ where: { bookingId: drop.id }, data: { bookingId: keep.id } });
+    const updated = await tx.booking.update({ where: { id: keep.id }, data: fill });
+    // to the Trash like any delete (services/trash.js); same-name stays stay with it
+    const now = new Date();
+    await tx.booking.update({ where: { id: drop.id }, data: { deletedAt: now } });
+    await trashPetsWith(tx, drop.id, now);
+    return [msgs.count, pts.count, crs.count, ups.count, invs.count, updated];
+  });
+
+  await recordAudit({
+    actor, action: 'booking.merge', entityId: keep.id, before: keep, after: booking,
+    note: `${mergeNote} (${messages} messages, ${pets} pets, ${changes} change requests, ${uploads} files, ${invoices} invoices moved; id ${drop.id})`
+  });
+  await recordAudit({ actor, action: 'booking.delete', entityId: drop.id, before: drop, note: `Merged into ${keep.id}; moved to the Trash` });
+
+  // the duplicate's hold/busy event would otherwise linger on the calendar forever
+  await deleteBusyEvent(drop.id);
+
+  return { booking, moved: { messages, pets, changes, uploads, invoices } };
+}
+
+/**
+ * Other bookings and unlinked messages from the same contact, for the booking page's
+ * move/merge pickers.
+ */
+export async function relatedForBooking(booking) {
+  const phone = normPhone(booking.clientPhone);
+  const contact = [
+    ...(phone ? [{ clientPhone: { endsWith: phone } }] : []),
+    ...(booking.clientEmail ? [{ clientEmail: booking.clientEmail }] : []),
+    ...(booking.clientId ? [{ clientId: booking.clientId }] : [])
+  ];
+
+  const [bookings, unlinked] = await Promise.all([
+    contact.length
+      ? prisma.booking.findMany({
+          where: { id: { not: booking.id }, OR: contact },
+          orderBy: { startAt: 'desc' },
+          take: 20,
+          select: { id: true, clientName: true, serviceType: true, startAt: true, endAt: true, status: true }
+        })
+      : [],
+    phone
+      ? prisma.message.findMany({
+          where: { bookingId: null, fromPhone: { endsWith: phone } },
+          orderBy: { createdAt: 'desc' },
+          take: 20
+        })
+      : []
+  ]);
+  return { bookings, unlinked };
+}
@@ -0,0 +1,214 @@
+// src/services/trash.js
+// Soft delete: bookings (with their messages), clients, pets and loose messages go to the
+// Trash (deletedAt set) and can be restored or purged for good. A client's pets are profiles
+// and stay put; a pet without an owner goes with the booking it's on, or alone when taken
+// off its last stay. Anything trashed longer than TRASH_RETENTION_DAYS is purged by the
+// maintenance job.
+import { prisma, prismaWithTrash } from '../db.js';
+import { createOrUpdateBusyEvent, deleteBusyEvent } from './calendar.js';
+import { evaluateCapacity } from './capacity.js';
+import { recordAudit } from './audit.js';
+
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASHED = { deletedAt: { not: null } };
+
+// pets without an owner whose stays are all on this booking
+const soloPetsOf = bookingId => ({ clientId: null, bookingId: null, stays: { some: { bookingId }, every: { bookingId } } });
+
+// a purge marks the owner's files; purgeOrphanUploads() deletes them once no owner is left
+const releaseUploads = (tx, where, now = new Date()) => tx.upload.updateMany({ where, data: { detachedAt: now } });
+
+/** Trash a booking's ownerless pets along with it (inside the caller's transaction). */
+export function trashPetsWith(tx, bookingId, now) {
+  return tx.pet.updateMany({ where: { ...soloPetsOf(bookingId), deletedAt: null }, data: { deletedAt: now } });
+}
+
+/**
+ * Move a booking and its messages to the Trash and take its event off the calendar.
+ * Returns the trashed booking, or null if there is no live booking with that id.
+ */
+export async function trashBooking(id, { actor, now = new Date(), note = null } = {}) {
+  const existing = await prisma.booking.findUnique({ where: { id } });
+  if (!existing) return null;
+
+  // same timestamp everywhere, so a restore brings back exactly what went out together
+  const [booking, messages, pets] = await prisma.$transaction(async (tx) => [
+    await tx.booking.update({ where: { id }, data: { deletedAt: now } }),
+    await tx.message.updateMany({ where: { bookingId: id }, data: { deletedAt: now } }),
+    await trashPetsWith(tx, id, now)
+  ]);
+  await recordAudit({
+    actor, action: 'booking.delete', entityId: id, before: existing,
+    note: note || `Moved to the Trash with ${messages.count} messages${pets.count ? ` and ${pets.count} pets` : ''}`
+  });
+
+  await deleteBusyEvent(id);
+  return booking;
+}
+
+/**
+ * Bring a trashed booking back with the messages and pets trashed alongside it; a CONFIRMED
+ * booking gets its calendar event back. Returns null if it isn't in the Trash.
+ */
+export async function restoreBooking(id, { actor } = {}) {
+  const trashed = await prisma.booking.findFirst({ where: { id, ...TRASHED } });
+  if (!trashed) return null;
+
+  const together = { bookingId: id, deletedAt: trashed.deletedAt };
+  const booking = await prisma.$transaction(async (tx) => {
+    await tx.message.updateMany({ where: together, data: { deletedAt: null } });
+    await tx.pet.updateMany({ where: { deletedAt: trashed.deletedAt, stays: { some: { bookingId: id } } }, data: { deletedAt: null } });
+    return tx.booking.update({ where: { id }, data: { deletedAt: null } });
+  });
+  await recordAudit({ actor, action: 'booking.restore', entityId: id, diff: { deletedAt: [trashed.deletedAt.toISOString(), null] } });
+
+  if (booking.status === 'CONFIRMED') {
+    const cap = await evaluateCapacity(booking, { excludeBookingId: booking.id });
+    await createOrUpdateBusyEvent(booking, cap.atCapacity ? 'opaque' : 'transparent');
+  }
+  return booking;
+}
+
+/**
+ * Delete a trashed booking for good, with its messages and the pets trashed alongside it;
+ * its stays cascade. Other ownerless pets left without a stay go to the Trash.
+ * Returns false if not in the Trash.
+ */
+export async function purgeBooking(id, { actor } = {}) {
+  const trashed = await prisma.booking.findFirst({ where: { id, ...TRASHED } });
+  if (!trashed) return false;
+
+  // children first to satisfy FKs (change requests and stays cascade, invoices keep their copy)
+  await prismaWithTrash.$transaction(async (tx) => {
+    const pets = await tx.pet.findMany({ where: { ...soloPetsOf(id), deletedAt: trashed.deletedAt }, select: { id: true } });
+    await releaseUploads(tx, { OR: [{ bookingId: id }, { petId: { in: pets.map(p => p.id) } }] });
+    await tx.message.deleteMany({ where: { bookingId: id } });
+    await tx.booking.delete({ where: { id } });
+    await tx.pet.deleteMany({ where: { id: { in: pets.map(p => p.id) } } });
+  });
+  await recordAudit({ actor, action: 'booking.purge', entityId: id, before: trashed, note: 'Purged from the Trash' });
+  await trashOrphanPets({ actor });
+  return true;
+}
+
+/**
+ * Trash a pet on its own. `bookingId` is where it was taken off (for the audit trail).
+ * Returns the trashed pet, or null if there is no live pet with that id.
+ */
+export async function trashPet(id, { actor, now = new Date(), bookingId = null, note = null } = {}) {
+  const existing = await prisma.pet.findUnique({ where: { id } });
+  if (!existing) return null;
+  const pet = await prisma.pet.update({ where: { id }, data: { deletedAt: now } });
+  await recordAudit({ actor, action: 'pet.delete', entityType: 'Pet', entityId: id, bookingId, before: existing, note: note || 'Moved to the Trash' });
+  return pet;
+}
+
+/** Bring a trashed pet back, onto the stays it still has. */
+export async function restorePet(id, { actor } = {}) {
+  const trashed = await prisma.pet.findFirst({ where: { id, ...TRASHED } });
+  if (!trashed) return null;
+  const pet = await prisma.pet.update({ where: { id }, data: { deletedAt: null } });
+  await recordAudit({
+    actor, action: 'pet.restore', entityType: 'Pet', entityId: id, bookingId: null,
+    diff: { deletedAt: [trashed.deletedAt.toISOString(), null] }
+  });
+  return pet;
+}
+
+/** Delete a trashed pet for good; its stays, vaccines and medications cascade, its files follow. */
+export async function purgePet(id, { actor } = {}) {
+  const trashed = await prisma.pet.findFirst({ where: { id, ...TRASHED } });
+  if (!trashed) return false;
+  await prismaWithTrash.$transaction(async (tx) => {
+    await releaseUploads(tx, { petId: id });
+    await tx.pet.delete({ where: { id } });
+  });
+  await recordAudit({ actor, action: 'pet.purge', entityType: 'Pet', entityId: id, bookingId: null, before: trashed, note: 'Purged from the Trash' });
+  return true;
+}
+
+/** Pets with no owner and no stays left (e.g. after a purge) go to the Trash. */
+export async function trashOrphanPets({ actor, now = new Date() } = {}) {
+  const orphans = await prisma.pet.findMany({ where: { clientId: null, bookingId: null, stays: { none: {} } }, select: { id: true } });
+  for (const p of orphans) await trashPet(p.id, { actor, now, note: 'No owner or stays left' });
+  return orphans.length;
+}
+
+/** Trash a client. Their bookings and pets are left alone. */
+export async function trashClient(id, { actor, now = new Date() } = {}) {
+  const existing = await prisma.client.findUnique({ where: { id } });
+  if (!existing) return null;
+  const client = await prisma.client.update({ where: { id }, data: { deletedAt: now } });
+  await recordAudit({ actor, action: 'client.delete', entityType: 'Client', entityId: id, before: existing, note: 'Moved to the Trash' });
+  return client;
+}
+
+export async function restoreClient(id, { actor } = {}) {
+  const trashed = await prisma.client.findFirst({ where: { id, ...TRASHED } });
+  if (!trashed) return null;
+  const client = await prisma.client.update({ where: { id }, data: { deletedAt: null } });
+  await recordAudit({
+    actor, action: 'client.restore', entityType: 'Client', entityId: id,
+    diff: { deletedAt: [trashed.deletedAt.toISOString(), null] }
+  });
+  return client;
+}
+
+/** Delete a trashed client for good; bookings and invoices keep their copy of the details. */
+export async function purgeClient(id, { actor } = {}) {
+  const trashed = await prisma.client.findFirst({ where: { id, ...TRASHED } });
+  if (!trashed) return false;
+  await prismaWithTrash.client.delete({ where: { id } });
+  await recordAudit({ actor, action: 'client.purge', entityType: 'Client', entityId: id, before: trashed, note: 'Purged from the Trash' });
+  return true;
+}
+
+/** Restore/purge a loose (unlinked) trashed message, e.g. from clear-all. */
+export async function restoreMessage(id) {
+  const r = await prisma.message.updateMany({ where: { id, bookingId: null, ...TRASHED }, data: { deletedAt: null } });
+  return r.count > 0;
+}
+
+export async function purgeMessage(id) {
+  const r = await prismaWithTrash.message.deleteMany({ where: { id, bookingId: null, ...TRASHED } });
+  return r.count > 0;
+}
+
+/** Everything in the Trash, newest first, for the Trash page. */
+export async function listTrash() {
+  const [bookings, clients, pets, messages] = await Promise.all([
+    prisma.booking.findMany({
+      where: TRASHED,
+      orderBy: { deletedAt: 'desc' },
+      include: { _count: { select: { messages: true, petStays: true } } }
+    }),
+    prisma.client.findMany({ where: TRASHED, orderBy: { deletedAt: 'desc' } }),
+    prisma.pet.findMany({ where: TRASHED, orderBy: { deletedAt: 'desc' }, include: { _count: { select: { stays: true } } } }),
+    prisma.message.findMany({ where: { bookingId: null, ...TRASHED }, orderBy: { deletedAt: 'desc' }, take: 200 })
+  ]);
+  return { bookings, clients, pets, messages };
+}
+
+/** When an item trashed at `deletedAt` will be purged automatically. */
+export function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+/** Maintenance: purge everything trashed more than TRASH_RETENTION_DAYS ago. */
+export async function purgeExpired({ now = new Date(), actor } = {}) {
+  const before = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  const old = { deletedAt: { lt: before } };
+  const [bookings, clients] = await Promise.all([
+    prisma.booking.findMany({ where: old, select: { id: true } }),
+    prisma.client.findMany({ where: old, select: { id: true } })
+  ]);
+  for (const b of bookings) await purgeBooking(b.id, { actor });
+  for (const c of clients) await purgeClient(c.id, { actor });
+  // after the bookings, which take the pets trashed with them
+  const pets = await prisma.pet.findMany({ where: old, select: { id: true } });
+  for (const p of pets) await purgePet(p.id, { actor });
+  const messages = await prismaWithTrash.message.deleteMany({ where: { bookingId: null, ...old } });
+  return { bookings: bookings.length, clients: clients.length, pets: pets.length, messages: messages.count };
+}
@@ -0,0 +1,144 @@
+// src/services/uploads.js
+// Files attached to pets (photos, vaccine certificates) and bookings (signed waivers), stored
+// under STORAGE_DIR/uploads with a thumbnail for images. Nothing here is public: files are
+// only served through the authenticated GET /uploads/:id (routes/uploads.js).
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { prisma } from '../db.js';
+import { recordAudit } from './audit.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '../../storage');
+export const UPLOAD_DIR = path.join(STORAGE_DIR, 'uploads');
+export const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_MB || 10) * 1024 * 1024;
+
+// content type → extension; checked against the file's own bytes, not just what the browser says
+export const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+export const UPLOAD_KINDS = {
+  photo: 'Photo',
+  vaccine: 'Vaccine certificate',
+  waiver: 'Signed waiver',
+  document: 'Document'
+};
+const THUMB_PX = 320;
+
+/** The real type of a file from its first bytes, or null if it isn't one we accept. */
+export function sniffType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buf.toString('ascii', 0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+}
+
+// keys are generated, but never let one resolve outside the uploads dir
+function resolveKey(key) {
+  const full = path.resolve(UPLOAD_DIR, key);
+  if (!full.startsWith(path.resolve(UPLOAD_DIR) + path.sep)) throw new Error(`bad upload key ${key}`);
+  return full;
+}
+
+/** Absolute path of an upload's file (or its thumbnail, falling back to the file). */
+export function uploadPath(upload, { thumb = false } = {}) {
+  return resolveKey(thumb && upload.thumbKey ? upload.thumbKey : upload.storageKey);
+}
+
+/**
+ * Store a file and record it against a pet and/or booking. Returns { upload } or
+ * { error } when the file is empty, too big or not an allowed type.
+ * A photo becomes the pet's photo; a vaccine certificate with `vaccineId` becomes that
+ * record's document.
+ * @param {{ buffer: Buffer, originalName?: string, kind?: string, petId?: string|null,
+ *   bookingId?: string|null, vaccineId?: string|null }} file
+ */
+export async function saveUpload({ buffer, originalName, kind = 'document', petId = null, bookingId = null, vaccineId = null }, { actor } = {}) {
+  if (!buffer?.length) return { error: 'empty_file' };
+  if (buffer.length > MAX_UPLOAD_BYTES) return { error: 'too_large' };
+  if (!UPLOAD_KINDS[kind]) return { error: 'bad_kind' };
+  const mimeType = sniffType(buffer);
+  if (!mimeType) return { error: 'type_not_allowed' };
+
+  const now = new Date();
+  const dir = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const name = crypto.randomUUID();
+  const storageKey = `${dir}/${name}${ALLOWED_TYPES[mimeType]}`;
+  await fs.mkdir(path.join(UPLOAD_DIR, dir), { recursive: true });
+  await fs.writeFile(resolveKey(storageKey), buffer, { flag: 'wx' });
+
+  // a thumbnail is nice to have; a file sharp can't read is still kept
+  let thumbKey = null;
+  if (mimeType.startsWith('image/')) {
+    try {
+      const key = `${dir}/${name}.thumb.webp`;
+      await sharp(buffer).rotate().resize(THUMB_PX, THUMB_PX, { fit: 'inside', withoutEnlargement: true }).webp().toFile(resolveKey(key));
+      thumbKey = key;
+    } catch (e) {
+      console.error('[uploads] thumbnail failed', storageKey, e.message);
+    }
+  }
+
+  const upload = await prisma.upload.create({
+    data: {
+      kind, mimeType, sizeBytes: buffer.length, storageKey, thumbKey, petId, bookingId, vaccineId,
+      originalName: String(originalName || 'file').slice(0, 200),
+      uploadedBy: actor?.label || null
+    }
+  });
+  const url = `/uploads/${upload.id}`;
+  if (kind === 'photo' && petId && mimeType.startsWith('image/')) {
+    await prisma.pet.update({ where: { id: petId }, data: { photoUrl: url } });
+  }
+  if (kind === 'vaccine' && vaccineId) {
+    await prisma.petVaccine.update({ where: { id: vaccineId }, data: { documentUrl: url } });
+  }
+
+  await recordAudit({
+    actor, action: 'upload.create', entityType: petId ? 'Pet' : 'Booking', entityId: petId || bookingId,
+    bookingId, note: `${UPLOAD_KINDS[kind]} uploaded: ${upload.originalName}`
+  });
+  return { upload };
+}
+
+async function removeFiles(upload) {
+  for (const key of [upload.storageKey, upload.thumbKey].filter(Boolean)) {
+    await fs.rm(resolveKey(key), { force: true }).catch(e => console.error('[uploads] remove failed', key, e.message));
+  }
+}
+
+/** Delete an upload and its files; a pet photo / certificate pointing at it is cleared. */
+export async function deleteUpload(id, { actor } = {}) {
+  const upload = await prisma.upload.findUnique({ where: { id } });
+  if (!upload) return false;
+  const url = `/uploads/${upload.id}`;
+  await prisma.upload.delete({ where: { id } });
+  if (upload.petId) await prisma.pet.updateMany({ where: { id: upload.petId, photoUrl: url }, data: { photoUrl: null } });
+  if (upload.vaccineId) await prisma.petVaccine.updateMany({ where: { id: upload.vaccineId, documentUrl: url }, data: { documentUrl: null } });
+  await removeFiles(upload);
+  await recordAudit({
+    actor, action: 'upload.delete', entityType: upload.petId ? 'Pet' : 'Booking', entityId: upload.petId || upload.bookingId,
+    bookingId: upload.bookingId, note: `${UPLOAD_KINDS[upload.kind] || upload.kind} removed: ${upload.originalName}`
+  });
+  return true;
+}
+
+/**
+ * Maintenance: delete uploads whose pet and booking were both purged (detachedAt is set by
+ * services/trash.js). A file that merely lost a link some other way is kept.
+ */
+export async function purgeOrphanUploads() {
+  const orphans = await prisma.upload.findMany({ where: { petId: null, bookingId: null, detachedAt: { not: null } } });
+  for (const u of orphans) {
+    await prisma.upload.delete({ where: { id: u.id } });
+    await removeFiles(u);
+  }
+  return orphans.length;
+}
@@ -0,0 +1,138 @@
+// src/services/utils/dates.js
+// The one place that knows what "a day" and "5pm" mean: everything is in the business
+// timezone (BUSINESS_TZ, falling back to TZ), never the host's. A server on UTC and a
+// laptop in Denver parse "drop-off 5pm" to the same instant and agree on where today ends.
+// Dates in and out are plain Date instants; wall-clock fields only exist inside this module.
+import { fromZonedTime } from 'date-fns-tz';
+
+export const TZ = process.env.BUSINESS_TZ || process.env.TZ || 'America/New_York';
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = n => String(n).padStart(2, '0');
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const partsFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TZ, hourCycle: 'h23', weekday: 'short',
+  year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+});
+
+/**
+ * Wall-clock fields of an instant in the business timezone.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ *   month is 0-11 and weekday 0 (Sunday) - 6, like Date
+ */
+export function zonedParts(d = new Date()) {
+  const x = new Date(d);
+  const p = {};
+  for (const { type, value } of partsFormat.formatToParts(x)) p[type] = value;
+  return {
+    year: +p.year, month: +p.month - 1, day: +p.day,
+    hour: +p.hour, minute: +p.minute, second: +p.second,
+    weekday: WEEKDAY_INDEX[p.weekday]
+  };
+}
+
+/**
+ * The instant the business clock reads year-month-day hour:minute. Out-of-range fields roll
+ * over the way `new Date(y, m, d)` does (day 32 → next month, hour 24 → next day).
+ */
+export function zonedDate(year, month, day, hour = 0, minute = 0, second = 0, ms = 0) {
+  const wall = new Date(Date.UTC(year, month, day, hour, minute, second, ms));
+  if (isNaN(wall)) return new Date(NaN);
+  if (year >= 0 && year < 100) wall.setUTCFullYear(year);
+  return fromZonedTime(wall.toISOString().slice(0, 23), TZ);
+}
+
+/** Midnight that starts `d`'s business day. */
+export function startOfDay(d) {
+  const p = zonedParts(d);
+  return zonedDate(p.year, p.month, p.day);
+}
+
+/** Last millisecond of `d`'s business day (23 or 25 hours after the start on DST days). */
+export function endOfDay(d) {
+  const p = zonedParts(d);
+  return new Date(zonedDate(p.year, p.month, p.day + 1).getTime() - 1);
+}
+
+/** Same wall-clock time `n` calendar days later (so 5pm stays 5pm across a DST change). */
+export function addDays(d, n) {
+  const p = zonedParts(d);
+  return zonedDate(p.year, p.month, p.day + n, p.hour, p.minute, p.second, new Date(d).getUTCMilliseconds());
+}
+
+/** `d`'s business day at hour:minute. */
+export function atTime(d, hour, minute = 0) {
+  const p = zonedParts(d);
+  return zonedDate(p.year, p.month, p.day, hour, minute);
+}
+
+/** Day of the week in the business timezone, 0 = Sunday. */
+export function weekday(d) {
+  return zonedParts(d).weekday;
+}
+
+/** "YYYY-MM-DD" of `d`'s business day — for grouping and for <input type="date">. */
+export function dayKey(d) {
+  const p = zonedParts(d);
+  return `${p.year}-${pad(p.month + 1)}-${pad(p.day)}`;
+}
+
+/** The instant a "YYYY-MM-DD" business day reaches hour:minute (midnight by default). */
+export function fromDayKey(key, hour = 0, minute = 0) {
+  const [y, m, d] = String(key).split('-').map(Number);
+  return zonedDate(y, m - 1, d, hour, minute);
+}
+
+/** True when both instants fall on the same business day. */
+export function sameDay(a, b) {
+  return dayKey(a) === dayKey(b);
+}
+
+/**
+ * Parse a date from a form, query string or API body. Anything without an explicit offset is
+ * business wall time: "2026-11-03" is that day's midnight, "2026-11-03T17:00" (what
+ * <input type="datetime-local"> sends) is 5pm there. ISO strings with Z/±hh:mm, epoch ms
+ * and Dates pass through. Returns null for empty input, an Invalid Date for garbage (check isNaN).
+ */
+export function parseInput(v) {
+  if (v == null || v === '') return null;
+  if (v instanceof Date || typeof v === 'number') return new Date(v);
+  const s = String(v).trim();
+  if (/^\d{10,}$/.test(s)) return new Date(Number(s)); // epoch ms
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/);
+  if (m) {
+    const [, y, mo, d, h = 0, mi = 0, sec = 0, ms = '0'] = m;
+    return zonedDate(+y, +mo - 1, +d, +h, +mi, +sec, +ms.padEnd(3, '0'));
+  }
+  return new Date(s);
+}
+
+/** Value for <input type="datetime-local"> ("YYYY-MM-DDTHH:mm" in business time). */
+export function inputDateTime(d) {
+  if (!d || isNaN(new Date(d))) return '';
+  const p = zonedParts(d);
+  return `${dayKey(d)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// ---------- display ----------
+const DATE = { year: 'numeric', month: 'numeric', day: 'numeric' };
+const TIME = { hour: 'numeric', minute: '2-digit' };
+
+function format(d, options) {
+  if (d == null || d === '') return '';
+  const x = new Date(d);
+  return isNaN(x) ? '' : x.toLocaleString('en-US', { timeZone: TZ, ...options });
+}
+
+/** "11/3/2026" */
+export const formatDate = (d, options = {}) => format(d, { ...DATE, ...options });
+/** "11/3/2026, 5:00 PM" */
+export const formatDateTime = (d, options = {}) => format(d, { ...DATE, ...TIME, ...options });
+/** "5:00 PM" */
+export const formatTime = (d, options = {}) => format(d, { ...TIME, ...options });
+
+/** "11/3/2026, 5:00 PM – 11/5/2026, 10:00 AM", dropping the second date when it's the same day. */
+export function formatRange(start, end) {
+  if (sameDay(start, end)) return `${formatDateTime(start)} – ${formatTime(end)}`;
+  return `${formatDateTime(start)} – ${formatDateTime(end)}`;
+}
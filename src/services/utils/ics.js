@@ -0,0 +1,62 @@
+// src/services/utils/ics.js
+// Just enough RFC 5545 to publish a read-only calendar: escaped TEXT values, UTC date-times,
+// CRLF line endings and lines folded at 75 octets.
+
+/** TEXT value escaping (backslash, semicolon, comma, newline). */
+export function escapeText(v) {
+  return String(v ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/\r/g, '');
+}
+
+/** UTC DATE-TIME, e.g. 20261103T220000Z. */
+export function icsDateTime(d) {
+  return new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// continuation lines start with a space, which counts toward their 75 octets;
+// never split a multi-byte character
+function fold(line) {
+  const parts = [];
+  let cur = '', bytes = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (bytes + n > (parts.length ? 74 : 75)) {
+      parts.push(cur);
+      cur = '';
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  parts.push(cur);
+  return parts.join('\r\n ');
+}
+
+/**
+ * A VCALENDAR with one VEVENT per event. Property values are used as given, so escape TEXT
+ * with escapeText() and format times with icsDateTime().
+ * @param {{ name: string, prodId: string, timeZone?: string, refreshMinutes?: number }} calendar
+ * @param {Array<Array<[string, string]>>} events each a list of [property, value] pairs
+ * @returns {string}
+ */
+export function buildCalendar({ name, prodId, timeZone, refreshMinutes }, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : []),
+    ...(refreshMinutes ? [`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`] : [])
+  ];
+  for (const props of events) {
+    lines.push('BEGIN:VEVENT', ...props.map(([k, v]) => `${k}:${v}`), 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,13 @@
+// src/services/utils/phone.js
+
+/**
+ * The one phone normalization used for matching and storage: digits only, the last 10 when
+ * there are at least 10 (US numbers, so "+1 (555) 123-4567" and "5551234567" agree).
+ * Returns null for empty input.
+ */
+export function normPhone(p) {
+  if (!p) return null;
+  const digits = String(p).replace(/\D+/g, '');
+  if (digits.length >= 10) return digits.slice(-10);
+  return digits || null;
+}
@@ -0,0 +1,39 @@
+// src/services/utils/secrets.js
+// Secrets kept in the database (the Google refresh token) are sealed with AES-256-GCM under
+// TOKEN_ENCRYPTION_KEY, so a leaked backup or SQL dump alone doesn't hand out calendar access.
+// Any string works as the key (it's hashed to 32 bytes); changing it orphans what was sealed.
+import crypto from 'crypto';
+
+const VERSION = 'v1';
+
+function key() {
+  const raw = process.env.TOKEN_ENCRYPTION_KEY;
+  return raw ? crypto.createHash('sha256').update(raw).digest() : null;
+}
+
+/** True when TOKEN_ENCRYPTION_KEY is set. */
+export const canSeal = () => !!key();
+
+/** "v1:<iv>:<tag>:<ciphertext>" (base64url parts). Throws without TOKEN_ENCRYPTION_KEY. */
+export function sealSecret(plain) {
+  const k = key();
+  if (!k) throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', k, iv);
+  const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), data].map(p => typeof p === 'string' ? p : p.toString('base64url')).join(':');
+}
+
+/** The plain secret, or null when it can't be opened (no key, another key, tampered). */
+export function openSecret(sealed) {
+  const k = key();
+  const [version, iv, tag, data] = String(sealed || '').split(':');
+  if (!k || version !== VERSION || !data) return null;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', k, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+
+/** Constant-time string compare (false on length mismatch or missing values). */
+export function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const ab = Buffer.from(a), bb = Buffer.from(b);
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+/** HMAC digest helper: hmac('sha256', key, data, 'hex'). */
+export function hmac(algo, key, data, encoding = 'hex') {
+  return crypto.createHmac(algo, key).update(data).digest(encoding);
+}
@@ -0,0 +1,54 @@
+// test/dates.test.js
+// Business-timezone date helpers. `npm test` runs this with BUSINESS_TZ=America/New_York on
+// hosts in UTC and in Los Angeles; the answers must not depend on the host.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TZ, startOfDay, endOfDay, addDays, parseInput, inputDateTime, dayKey } from '../src/services/utils/dates.js';
+
+const HOUR = 60 * 60 * 1000;
+
+test('business timezone comes from BUSINESS_TZ, not the host', () => {
+  assert.equal(TZ, 'America/New_York');
+});
+
+test('endOfDay on the spring-forward day is 23 hours after its start', () => {
+  const d = new Date('2026-03-08T16:00:00Z'); // noon EDT
+  assert.equal(startOfDay(d).toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(endOfDay(d).toISOString(), '2026-03-09T03:59:59.999Z');
+  assert.equal(endOfDay(d) - startOfDay(d) + 1, 23 * HOUR);
+});
+
+test('endOfDay on the fall-back day is 25 hours after its start', () => {
+  const d = new Date('2026-11-01T17:00:00Z'); // noon EST
+  assert.equal(startOfDay(d).toISOString(), '2026-11-01T04:00:00.000Z');
+  assert.equal(endOfDay(d).toISOString(), '2026-11-02T04:59:59.999Z');
+  assert.equal(endOfDay(d) - startOfDay(d) + 1, 25 * HOUR);
+});
+
+test('parseInput reads a datetime-local value as business wall time', () => {
+  assert.equal(parseInput('2026-11-03T17:00').toISOString(), '2026-11-03T22:00:00.000Z');
+  assert.equal(parseInput('2026-07-01T17:00').toISOString(), '2026-07-01T21:00:00.000Z');
+  assert.equal(parseInput('2026-11-03').toISOString(), '2026-11-03T05:00:00.000Z');
+  assert.equal(inputDateTime(parseInput('2026-11-03T17:00')), '2026-11-03T17:00');
+});
+
+test('parseInput passes explicit offsets and epoch ms through', () => {
+  assert.equal(parseInput('2026-11-03T17:00:00Z').toISOString(), '2026-11-03T17:00:00.000Z');
+  assert.equal(parseInput(String(Date.UTC(2026, 10, 3))).toISOString(), '2026-11-03T00:00:00.000Z');
+  assert.equal(parseInput(''), null);
+  assert.ok(isNaN(parseInput('not a date')));
+});
+
+test('addDays keeps the wall-clock time across a DST change', () => {
+  const fri = parseInput('2026-03-07T17:00'); // 5pm EST
+  const sun = addDays(fri, 2); // 5pm EDT
+  assert.equal(sun.toISOString(), '2026-03-09T21:00:00.000Z');
+  assert.equal(inputDateTime(sun), '2026-03-09T17:00');
+  assert.equal(sun - fri, 2 * 24 * HOUR - HOUR);
+  assert.equal(inputDateTime(addDays(parseInput('2026-10-31T17:00'), 1)), '2026-11-01T17:00');
+});
+
+test('dayKey follows the business day, not the host day', () => {
+  // 11:30pm in New York is already the next day in UTC
+  assert.equal(dayKey(new Date('2026-11-04T04:30:00Z')), '2026-11-03');
+});
@@ -0,0 +1,25 @@
+// test/inbound.test.js
+// The intake decision with lookups stubbed (processInbound takes them as `deps`).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processInbound } from '../src/services/inbound/process.js';
+
+const noLookups = {
+  findMessageByEid: async () => null,
+  classify: async () => ({}),
+  findBlocks: async () => [],
+  findOpenThread: async () => null,
+  findNearbyBooking: async () => null
+};
+
+test('processInbound stores the sender phone normalized on a new booking', async () => {
+  const decision = await processInbound({
+    from: '+1 (555) 123-4567', fromPhone: '+1 (555) 123-4567',
+    body: 'Hi! Can you do boarding for Max 11/3 to 11/5?',
+    receivedAt: new Date('2026-10-19T15:00:00Z'),
+    platform: 'sms', channel: 'SMS', threadId: 't1'
+  }, noLookups);
+  assert.equal(decision.action, 'intake');
+  const [created] = decision.bookings.filter(b => b.op === 'create');
+  assert.equal(created.data.clientPhone, '5551234567');
+});
@@ -0,0 +1,26 @@
+// test/intake.test.js
+// Message parsing: times in a text are business wall-clock times wherever the server runs.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSegments } from '../src/services/intake.js';
+
+const ref = new Date('2026-10-19T15:00:00Z');
+
+test('parseSegments: "drop-off 5pm" is 5pm business time on the first day', () => {
+  const [seg, ...rest] = parseSegments('Can you watch Max 11/3 to 11/5? drop-off 5pm, pick up 10am', ref);
+  assert.equal(rest.length, 0);
+  assert.equal(seg.startAt.toISOString(), '2026-11-03T22:00:00.000Z');
+  assert.equal(seg.endAt.toISOString(), '2026-11-05T15:00:00.000Z');
+  assert.equal(seg.serviceHint, 'Overnight');
+});
+
+test('parseSegments: "tomorrow" is the business day after the reference', () => {
+  const [seg] = parseSegments('drop-off 5pm tomorrow, pick up 9pm', ref);
+  assert.equal(seg.startAt.toISOString(), '2026-10-20T21:00:00.000Z');
+  assert.equal(seg.endAt.toISOString(), '2026-10-21T01:00:00.000Z');
+  assert.equal(seg.serviceHint, 'Daycare');
+});
+
+test('parseSegments: nothing to parse gives no segments', () => {
+  assert.deepEqual(parseSegments('', ref), []);
+});